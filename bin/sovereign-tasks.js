@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// `sovereign-tasks` command-line client; see lib/cli.js for the commands.
+
+import { runCli } from "../lib/cli.js";
+
+runCli(process.argv.slice(2), {
+  env: process.env,
+  stdout: process.stdout,
+  stderr: process.stderr,
+}).then((code) => {
+  process.exitCode = code;
+}).catch((err) => {
+  process.stderr.write(`sovereign-tasks: ${(err && err.stack) || err}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,117 @@
+// List access control shared by the API and web routers.
+// The list owner is `TaskList.userId`; other users reach a list through `TaskListMember`.
+// Lists and tasks in the trash (`deletedAt` set) are invisible here.
+
+export const LIST_ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3,
+};
+
+// Roles an invite may grant
+export const INVITE_ROLES = ["viewer", "editor"];
+
+// Invites expire this long after they were last sent; resending renews them
+export const INVITE_MAX_AGE_DAYS = 30;
+
+export function inviteExpiresAt(invite) {
+  const sentAt = new Date(invite.sentAt || invite.createdAt);
+  return new Date(sentAt.getTime() + INVITE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+}
+
+export function normaliseRole(role) {
+  return Object.prototype.hasOwnProperty.call(LIST_ROLE_RANK, role) ? role : "viewer";
+}
+
+export function hasListRole(role, required) {
+  return (LIST_ROLE_RANK[role] || 0) >= LIST_ROLE_RANK[required];
+}
+
+export function createListAccess(prisma) {
+  // Map of listId -> { role, position, rank } for every list the user can see.
+  // `position` and `rank` are the member's own ordering, or null for owned lists.
+  async function listRoles(userId) {
+    const [owned, memberships] = await Promise.all([
+      prisma.taskList.findMany({ where: { userId, deletedAt: null }, select: { id: true } }),
+      prisma.taskListMember.findMany({
+        where: { userId: String(userId), list: { deletedAt: null } },
+        select: { listId: true, role: true, position: true, rank: true },
+      }),
+    ]);
+
+    const roles = new Map();
+    memberships.forEach((m) => {
+      roles.set(m.listId, { role: normaliseRole(m.role), position: m.position, rank: m.rank });
+    });
+    owned.forEach((l) => {
+      roles.set(l.id, { role: "owner", position: null, rank: null });
+    });
+    return roles;
+  }
+
+  // Resolves to { list, role } or null when the user cannot see the list
+  async function getListAccess(userId, listId) {
+    const list = await prisma.taskList.findUnique({ where: { id: listId } });
+    if (!list || list.deletedAt) return null;
+    if (String(list.userId) === String(userId)) {
+      return { list, role: "owner" };
+    }
+
+    const member = await prisma.taskListMember.findUnique({
+      where: { listId_userId: { listId, userId: String(userId) } },
+    });
+    if (!member) return null;
+    return { list, role: normaliseRole(member.role) };
+  }
+
+  // Resolves to { task, list, role } or null when the user cannot see the task
+  async function getTaskAccess(userId, taskId) {
+    const task = await prisma.task.findUnique({ where: { id: taskId } });
+    if (!task || task.deletedAt) return null;
+    const access = await getListAccess(userId, task.listId);
+    if (!access) return null;
+    return { task, list: access.list, role: access.role };
+  }
+
+  // Annotate a list row with the caller's role (members see their own ordering)
+  function withRole(list, roles) {
+    const entry = roles.get(list.id);
+    if (!entry) return list;
+    return {
+      ...list,
+      ownerId: list.userId,
+      role: entry.role,
+      position: entry.position === null ? list.position : entry.position,
+      rank: entry.rank === null ? list.rank : entry.rank,
+    };
+  }
+
+  // The same functions, but only for `listIds`; other lists look like they do not exist.
+  // Used for access tokens limited to some lists (lib/tokens.js).
+  function limitedTo(listIds) {
+    const allowed = new Set(listIds);
+    return {
+      async listRoles(userId) {
+        const roles = await listRoles(userId);
+        [...roles.keys()].filter((id) => !allowed.has(id)).forEach((id) => roles.delete(id));
+        return roles;
+      },
+      async getListAccess(userId, listId) {
+        return allowed.has(listId) ? getListAccess(userId, listId) : null;
+      },
+      async getTaskAccess(userId, taskId) {
+        const found = await getTaskAccess(userId, taskId);
+        return found && allowed.has(found.task.listId) ? found : null;
+      },
+      withRole,
+    };
+  }
+
+  return {
+    listRoles,
+    getListAccess,
+    getTaskAccess,
+    withRole,
+    limitedTo,
+  };
+}
@@ -0,0 +1,84 @@
+// Activity history for tasks and lists (`TaskActivity` rows).
+// Every mutating API route records who did what, with before/after values of the
+// fields it changed, and `GET /:id/history` / `GET /lists/:id/history` read it back.
+//
+// Actions reuse the route log tags ("tasks:update", "lists:share", ...). Tags, feeds, webhooks,
+// access tokens, inbound mail addresses and reminders are personal, so their entries are
+// only shown to the actor.
+
+import { toDateOnly, formatDateOnly } from "./recurrence.js";
+
+export const TASK_ACTIVITY_FIELDS = [
+  "title", "description", "dueDate", "recurringConfig", "completed", "starred", "listId", "parentId",
+];
+export const LIST_ACTIVITY_FIELDS = ["name", "slug"];
+export const PRIVATE_ACTIVITY_PREFIXES = ["tags:", "feeds:", "tokens:", "webhooks:", "inbound:", "reminders:", "tasks:tags"];
+
+export const HISTORY_DEFAULT_LIMIT = 50;
+export const HISTORY_MAX_LIMIT = 200;
+
+function normaliseValue(field, value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (field === "dueDate") return formatDateOnly(toDateOnly(value));
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+// { field: { from, to } } for the `fields` that differ between two rows.
+// Pass `before = null` for a created row and `after = null` for a deleted one.
+export function activityChanges(before, after, fields) {
+  const changes = {};
+  fields.forEach((field) => {
+    const from = before ? normaliseValue(field, before[field]) : null;
+    const to = after ? normaliseValue(field, after[field]) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+// opts = { prisma, logger }
+export function createActivityLog({ prisma, logger }) {
+  // Best effort, after the change itself succeeded: a failed write is logged, never thrown.
+  // actor = { id, name }; entries = [{ action, listId?, taskId?, changes? }]
+  function record(actor, entries) {
+    const data = (Array.isArray(entries) ? entries : [entries]).filter(Boolean).map((entry) => ({
+      actorId: String(actor.id),
+      actorName: actor.name || null,
+      action: entry.action,
+      listId: entry.listId ?? null,
+      taskId: entry.taskId ?? null,
+      changes: entry.changes && Object.keys(entry.changes).length ? entry.changes : null,
+    }));
+    if (!data.length) return Promise.resolve(0);
+    return prisma.taskActivity.createMany({ data }).then((result) => result.count).catch((err) => {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-activity] record failed", {
+          actorId: actor.id,
+          actions: data.map((d) => d.action),
+          error: err && err.message,
+        });
+      }
+      return 0;
+    });
+  }
+
+  // Newest first, paged with `before` (an entry id). Resolves to { entries, nextBefore }.
+  async function history(where, viewerId, { before, limit }) {
+    const rows = await prisma.taskActivity.findMany({
+      where: {
+        ...where,
+        ...(before ? { id: { lt: before } } : {}),
+        OR: [
+          { actorId: String(viewerId) },
+          { AND: PRIVATE_ACTIVITY_PREFIXES.map((prefix) => ({ NOT: { action: { startsWith: prefix } } })) },
+        ],
+      },
+      orderBy: { id: "desc" },
+      take: limit + 1,
+    });
+    const entries = rows.slice(0, limit);
+    return { entries, nextBefore: rows.length > limit ? entries[entries.length - 1].id : null };
+  }
+
+  return { record, history };
+}
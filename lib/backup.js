@@ -0,0 +1,147 @@
+// Versioned account backup format shared by `GET /export`, `POST /restore` and the
+// web UI's offline "Download backup" (which builds the same shape from localStorage).
+//
+// {
+//   format: "sovereign-tasks-backup",
+//   version: 1,
+//   exportedAt: ISO string,
+//   source: "server" | "local",
+//   lists:     [{ id, name, slug, position }],
+//   tasks:     [{ id, listId, parentId, title, description, dueDate: "YYYY-MM-DD" | null,
+//                 recurringConfig, completed, starred, position, createdAt, tagIds }],
+//   tags:      [{ id, name, color }],
+//   reminders: [{ taskId, reminderAt, email }],          // pending reminders only
+//   invites:   [{ listId, email, role, status, createdAt }],
+//   preferences: { taskFilter, tagFilter } | null
+// }
+// Ids are only meaningful inside the file; restoring assigns new ones.
+// Only lists the user owns are included; lists shared with them belong to someone else.
+
+import { toDateOnly, formatDateOnly, normaliseRecurrence } from "./recurrence.js";
+
+export const BACKUP_FORMAT = "sovereign-tasks-backup";
+export const BACKUP_VERSION = 1;
+export const RESTORE_MODES = ["merge", "replace"];
+
+function dateOnly(value) {
+  const date = toDateOnly(value);
+  return date ? formatDateOnly(date) : null;
+}
+
+// `position` in the file is the index among siblings; `lists` and `tasks` come in rank order
+function positionsInOrder(rows, groupOf) {
+  const counts = new Map();
+  const positions = new Map();
+  rows.forEach((row) => {
+    const group = groupOf(row);
+    const index = counts.get(group) || 0;
+    positions.set(row.id, index);
+    counts.set(group, index + 1);
+  });
+  return positions;
+}
+
+export function buildBackup({ lists, tasks, tags, assignments, reminders, invites, preferences, now }) {
+  const listPositions = positionsInOrder(lists, () => "lists");
+  const taskPositions = positionsInOrder(tasks, (t) => `${t.listId}:${t.parentId}`);
+  const tagIdsByTask = new Map();
+  (assignments || []).forEach((a) => {
+    tagIdsByTask.set(a.taskId, [...(tagIdsByTask.get(a.taskId) || []), a.tagId]);
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: (now || new Date()).toISOString(),
+    source: "server",
+    lists: lists.map((l) => ({ id: l.id, name: l.name, slug: l.slug, position: listPositions.get(l.id) })),
+    tasks: tasks.map((t) => ({
+      id: t.id,
+      listId: t.listId,
+      parentId: t.parentId,
+      title: t.title,
+      description: t.description,
+      dueDate: dateOnly(t.dueDate),
+      recurringConfig: t.recurringConfig || null,
+      completed: t.completed,
+      starred: t.starred,
+      position: taskPositions.get(t.id),
+      createdAt: t.createdAt,
+      tagIds: tagIdsByTask.get(t.id) || [],
+    })),
+    tags: (tags || []).map((t) => ({ id: t.id, name: t.name, color: t.color })),
+    reminders: (reminders || []).map((r) => ({ taskId: r.taskId, reminderAt: r.reminderAt, email: r.email })),
+    invites: (invites || []).map((i) => ({
+      listId: i.listId,
+      email: i.email,
+      role: i.role,
+      status: i.status,
+      createdAt: i.createdAt,
+    })),
+    preferences: preferences || null,
+  };
+}
+
+function isId(value) {
+  return Number.isFinite(Number(value)) && value !== null && value !== "";
+}
+
+// Checks the envelope and the references inside it.
+// Returns { backup } (normalised) or { error }.
+export function validateBackup(input) {
+  if (!input || typeof input !== "object" || input.format !== BACKUP_FORMAT) {
+    return { error: "Not a Sovereign Tasks backup file" };
+  }
+  const version = Number(input.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: "Backup has no valid version" };
+  }
+  if (version > BACKUP_VERSION) {
+    return { error: `Backup version ${version} was made by a newer release; this server reads up to version ${BACKUP_VERSION}` };
+  }
+  if (!Array.isArray(input.lists) || !Array.isArray(input.tasks)) {
+    return { error: "Backup must contain lists and tasks arrays" };
+  }
+
+  const listIds = new Set();
+  for (const [index, list] of input.lists.entries()) {
+    if (!list || !isId(list.id) || typeof list.name !== "string" || !list.name.trim()) {
+      return { error: `lists[${index}] needs an id and a name` };
+    }
+    listIds.add(String(list.id));
+  }
+
+  const taskIds = new Set(input.tasks.map((t) => (t && isId(t.id) ? String(t.id) : null)));
+  for (const [index, task] of input.tasks.entries()) {
+    if (!task || !isId(task.id) || typeof task.title !== "string") {
+      return { error: `tasks[${index}] needs an id and a title` };
+    }
+    if (!listIds.has(String(task.listId))) {
+      return { error: `tasks[${index}] refers to a list that is not in the backup` };
+    }
+    if (task.parentId != null && !taskIds.has(String(task.parentId))) {
+      return { error: `tasks[${index}] refers to a parent task that is not in the backup` };
+    }
+    if (task.recurringConfig && !normaliseRecurrence(task.recurringConfig)) {
+      return { error: `tasks[${index}] has an unsupported recurringConfig` };
+    }
+  }
+
+  const tags = Array.isArray(input.tags) ? input.tags : [];
+  for (const [index, tag] of tags.entries()) {
+    if (!tag || !isId(tag.id) || typeof tag.name !== "string" || !tag.name.trim()) {
+      return { error: `tags[${index}] needs an id and a name` };
+    }
+  }
+
+  return {
+    backup: {
+      ...input,
+      version,
+      tags,
+      reminders: Array.isArray(input.reminders) ? input.reminders : [],
+      invites: Array.isArray(input.invites) ? input.invites : [],
+      preferences: input.preferences && typeof input.preferences === "object" ? input.preferences : null,
+    },
+  };
+}
@@ -0,0 +1,200 @@
+// Operations for `POST /batch`, which applies them in order in one transaction:
+//   { op: "create", listId, title, description?, dueDate?, recurringConfig?, starred?, parentId? }
+//   { op: "update", id, title?, description?, dueDate?, recurringConfig? }
+//   { op: "complete", id, completed? = true, completeSubtasks? }
+//   { op: "star", id, starred? = true }
+//   { op: "move", id, listId }              appended to the end of the target list
+//   { op: "delete", id }                    to the trash, with its subtasks
+// Everything but create and delete accepts `baseUpdatedAt` like `PUT /:id`.
+// The shapes are checked by the `batch` schema in lib/schemas.js.
+
+import { hasListRole } from "./access.js";
+import { activityChanges, TASK_ACTIVITY_FIELDS } from "./activity.js";
+import { rankBetween, lastTaskRank } from "./rank.js";
+import { advanceRecurringTask, toDateOnly, formatDateOnly } from "./recurrence.js";
+import { tombstoneData, trashPurgeAt } from "./trash.js";
+
+export const BATCH_MAX_OPERATIONS = 200;
+// Fields an update operation may change
+export const BATCH_UPDATE_FIELDS = ["title", "description", "dueDate", "recurringConfig"];
+
+// Thrown inside the transaction to roll it back
+function fail(index, status, error, extra = {}) {
+  return Object.assign(new Error(error), { batchFailure: { index, status, error, ...extra } });
+}
+
+// Runs validated operations in order in one transaction; a failing operation rolls back
+// all of them. `roles` is the user's list roles from `access.listRoles`, resolved once
+// for the whole batch.
+// Resolves to { results, entries, events, rolled }: per-operation results, activity
+// entries, webhook events to send once committed, and the recurring tasks that rolled
+// forward as [{ id, from, to }] (their reminders still have to move). Failures throw an error with `batchFailure: { index, status, error }`.
+export async function applyBatch(prisma, operations, { userId, roles, retentionDays }) {
+  const canEdit = (listId) => roles.has(listId) && hasListRole(roles.get(listId).role, "editor");
+  const deletedAt = new Date();
+  const entries = [];
+  const events = [];
+  const rolled = [];
+
+  async function loadTask(tx, index, id) {
+    const task = await tx.task.findFirst({ where: { id, deletedAt: null } });
+    if (!task || !roles.has(task.listId)) throw fail(index, 404, "Task not found");
+    if (!canEdit(task.listId)) throw fail(index, 403, "You do not have permission to change this list");
+    return task;
+  }
+
+  function checkList(index, listId) {
+    if (!roles.has(listId)) throw fail(index, 404, "List not found");
+    if (!canEdit(listId)) throw fail(index, 403, "You do not have permission to change this list");
+  }
+
+  // Same contract as `updateIfUnchanged` in the API router, on the transaction client
+  async function guardedUpdate(tx, index, task, baseUpdatedAt, data) {
+    if (!baseUpdatedAt) return tx.task.update({ where: { id: task.id }, data });
+    const result = await tx.task.updateMany({ where: { id: task.id, updatedAt: baseUpdatedAt }, data });
+    const current = await tx.task.findUnique({ where: { id: task.id } });
+    if (result.count === 0) throw fail(index, 409, "Task was changed since it was last loaded", { current });
+    return current;
+  }
+
+  function subtaskStates(tx, parentId) {
+    return tx.task.findMany({
+      where: { parentId, deletedAt: null },
+      select: { id: true, listId: true, completed: true, updatedAt: true },
+    });
+  }
+
+  async function applyOperation(tx, index, op) {
+    if (op.op === "create") {
+      checkList(index, op.listId);
+      let parentId = null;
+      if (op.parentId !== null) {
+        const parent = await tx.task.findFirst({
+          where: { id: op.parentId, deletedAt: null },
+          select: { listId: true, parentId: true },
+        });
+        if (!parent || parent.listId !== op.listId) throw fail(index, 400, "Parent task must be in the same list");
+        if (parent.parentId !== null) throw fail(index, 400, "Subtasks cannot have subtasks of their own");
+        parentId = op.parentId;
+      }
+      const rank = rankBetween(await lastTaskRank(tx, op.listId, parentId), null);
+      const created = await tx.task.create({
+        data: {
+          userId,
+          listId: op.listId,
+          parentId,
+          title: op.title,
+          description: op.description ?? null,
+          dueDate: op.dueDate ?? null,
+          recurringConfig: op.recurringConfig || null,
+          completed: false,
+          starred: op.starred,
+          rank,
+        },
+      });
+      entries.push({
+        action: "tasks:create",
+        listId: created.listId,
+        taskId: created.id,
+        changes: activityChanges(null, created, TASK_ACTIVITY_FIELDS),
+      });
+      events.push({ event: "task.created", listId: created.listId, data: { task: created } });
+      return { task: created };
+    }
+
+    const task = await loadTask(tx, index, op.id);
+
+    if (op.op === "update" || op.op === "star") {
+      const data = op.op === "star"
+        ? { starred: op.starred }
+        : Object.fromEntries(BATCH_UPDATE_FIELDS.filter((field) => field in op).map((field) => [field, op[field]]));
+      const updated = await guardedUpdate(tx, index, task, op.baseUpdatedAt, data);
+      entries.push({
+        action: "tasks:update",
+        listId: updated.listId,
+        taskId: task.id,
+        changes: activityChanges(task, updated, TASK_ACTIVITY_FIELDS),
+      });
+      events.push({ event: "task.updated", listId: updated.listId, data: { task: updated } });
+      return { task: updated };
+    }
+
+    if (op.op === "complete") {
+      // Completing a recurring task advances it to the next occurrence, as in `PUT /:id`
+      const data = { completed: op.completed };
+      let rolledFrom = null;
+      if (op.completed && !task.completed && task.recurringConfig && task.dueDate) {
+        const next = advanceRecurringTask({ dueDate: task.dueDate, recurring: task.recurringConfig });
+        data.completed = next.completed;
+        data.recurringConfig = next.recurring;
+        if (!next.completed) {
+          rolledFrom = task.dueDate;
+          data.dueDate = new Date(next.dueDate);
+        }
+      }
+      const completing = data.completed === true && !task.completed;
+      const updated = await guardedUpdate(
+        tx, index, task, op.baseUpdatedAt || (rolledFrom ? task.updatedAt : undefined), data
+      );
+
+      let subtasks;
+      if (task.parentId === null && (rolledFrom || (completing && op.completeSubtasks))) {
+        await tx.task.updateMany({ where: { parentId: task.id }, data: { completed: !rolledFrom } });
+        subtasks = await subtaskStates(tx, task.id);
+      }
+      if (rolledFrom) rolled.push({ id: task.id, from: rolledFrom, to: updated.dueDate });
+
+      const changes = activityChanges(task, updated, TASK_ACTIVITY_FIELDS);
+      if (rolledFrom) changes.completedOccurrence = { from: null, to: formatDateOnly(toDateOnly(rolledFrom)) };
+      entries.push({
+        action: completing || rolledFrom ? "tasks:complete" : "tasks:update",
+        listId: updated.listId,
+        taskId: task.id,
+        changes,
+      });
+      events.push({
+        event: completing || rolledFrom ? "task.completed" : "task.updated",
+        listId: updated.listId,
+        data: { task: updated, ...(rolledFrom ? { completedOccurrence: formatDateOnly(toDateOnly(rolledFrom)) } : {}) },
+      });
+      return subtasks ? { task: updated, subtasks } : { task: updated };
+    }
+
+    if (op.op === "move") {
+      if (task.parentId !== null) throw fail(index, 400, "Subtasks move together with their parent task");
+      checkList(index, op.listId);
+      if (op.listId === task.listId) return { task };
+
+      const rank = rankBetween(await lastTaskRank(tx, op.listId, null), null);
+      const updated = await guardedUpdate(tx, index, task, op.baseUpdatedAt, { listId: op.listId, rank });
+      await tx.task.updateMany({ where: { parentId: task.id }, data: { listId: op.listId } });
+      entries.push({
+        action: "tasks:move",
+        listId: op.listId,
+        taskId: task.id,
+        changes: activityChanges(task, updated, ["listId"]),
+      });
+      events.push({ event: "task.updated", listId: op.listId, data: { task: updated, fromListId: task.listId } });
+      return { task: updated, subtasks: await subtaskStates(tx, task.id) };
+    }
+
+    // delete: subtasks go to the trash with their parent, as in `DELETE /:id`
+    const subtasks = await tx.task.findMany({ where: { parentId: task.id, deletedAt: null }, select: { id: true } });
+    const ids = [task.id, ...subtasks.map((t) => t.id)];
+    await tx.task.updateMany({ where: { id: { in: ids } }, data: { deletedAt } });
+    await tx.taskTombstone.createMany({ data: tombstoneData(userId, "task", ids, task.listId) });
+    ids.forEach((taskId) => entries.push({ action: "tasks:delete", listId: task.listId, taskId }));
+    events.push({ event: "task.deleted", listId: task.listId, data: { task: { id: task.id, title: task.title }, ids } });
+    return { id: task.id, trashed: true, purgeAt: trashPurgeAt(deletedAt, retentionDays) };
+  }
+
+  const results = await prisma.$transaction(async (tx) => {
+    const applied = [];
+    for (const [index, op] of operations.entries()) {
+      applied.push({ index, op: op.op, ok: true, ...(await applyOperation(tx, index, op)) });
+    }
+    return applied;
+  }, { timeout: 60000 });
+
+  return { results, entries, events, rolled };
+}
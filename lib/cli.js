@@ -0,0 +1,464 @@
+// Command-line client behind `sovereign-tasks` (bin/sovereign-tasks.js). It talks to the
+// same API as the web UI (/api/plugins/tasks), signed in with a personal access token
+// (lib/tokens.js), and reuses the board's quick add, search and smart view code.
+//
+//   sovereign-tasks login --server https://sovereign.example --token svt_...
+//   sovereign-tasks add "Pay rent" --list home --due friday --star
+//   sovereign-tasks ls --list work --filter active --tag urgent
+//   sovereign-tasks ls --view upcoming --json
+//   sovereign-tasks done 42 | star 42 | mv 42 personal | lists | share work ana@example.com
+//
+// The server and token come from --server/--token, then SOVEREIGN_TASKS_URL and
+// SOVEREIGN_TASKS_TOKEN, then the config file written by `login`. Every read stores the
+// bootstrap state in a local cache; when the server cannot be reached (or with
+// --offline) `ls` and `lists` answer from it. Changes always need the server.
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import { toDateOnly, formatDateOnly } from "./recurrence.js";
+import { parseQuickAdd } from "./quickadd.js";
+import { parseSearchQuery, searchTasks } from "./search.js";
+import { computeSmartView, SMART_VIEWS } from "./views.js";
+import { INVITE_ROLES } from "./access.js";
+
+export const CLI_NAME = "sovereign-tasks";
+const API_PATH = "/api/plugins/tasks";
+const TASK_FILTERS = ["all", "active", "completed"];
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+const USAGE = `Usage: ${CLI_NAME} <command> [options]
+
+Commands:
+  login --server <url> --token <token>   Save the server and access token
+  add <title> [--list <list>] [--due <when>] [--star] [--parent <id>]
+  ls [--list <list>] [--filter all|active|completed] [--tag <name>]
+     [--view ${SMART_VIEWS.join("|")}] [--days <n>] [--search <query>]
+  done <id> [--undo]                     Complete (or reopen) a task
+  star <id> [--off]                      Star (or unstar) a task
+  mv <id> <list>                         Move a task to another list
+  lists                                  Show your lists
+  share <list> <email> [--role ${INVITE_ROLES.join("|")}]
+
+Options:
+  --json            Print JSON instead of a table
+  --offline         Read from the local cache without contacting the server
+  --server <url>    Server to use (or SOVEREIGN_TASKS_URL)
+  --token <token>   Personal access token (or SOVEREIGN_TASKS_TOKEN)
+  -h, --help        Show this help
+
+A <list> is a list id, slug or name. <when> is a quick add phrase such as
+"today", "friday", "next week", "in 3 days" or 2026-03-01.`;
+
+const OPTIONS = {
+  json: { type: "boolean" },
+  offline: { type: "boolean" },
+  server: { type: "string" },
+  token: { type: "string" },
+  help: { type: "boolean", short: "h" },
+  list: { type: "string", short: "l" },
+  due: { type: "string", short: "d" },
+  star: { type: "boolean" },
+  parent: { type: "string" },
+  filter: { type: "string" },
+  tag: { type: "string" },
+  view: { type: "string" },
+  days: { type: "string" },
+  search: { type: "string", short: "s" },
+  undo: { type: "boolean" },
+  off: { type: "boolean" },
+  role: { type: "string" },
+};
+
+// An error shown to the user as it is; `exitCode` 2 is for usage errors
+class CliError extends Error {
+  constructor(message, { exitCode = 1, offline = false } = {}) {
+    super(message);
+    this.exitCode = exitCode;
+    this.offline = offline;
+  }
+}
+
+function usageError(message) {
+  return new CliError(`${message}\nRun "${CLI_NAME} --help" for usage.`, { exitCode: 2 });
+}
+
+// --- Config and cache files ---
+
+function configDir(env) {
+  return path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), CLI_NAME);
+}
+
+function cacheFile(env) {
+  return path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), CLI_NAME, "state.json");
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new CliError(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+// The token is a secret, so both files are only readable by the user
+async function writeJson(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  await fs.writeFile(file, JSON.stringify(value, null, 2) + "\n", { mode: 0o600 });
+}
+
+async function resolveConfig(options, env) {
+  const saved = (await readJson(path.join(configDir(env), "config.json"))) || {};
+  const server = options.server || env.SOVEREIGN_TASKS_URL || saved.server || null;
+  return {
+    server: server ? server.replace(/\/+$/, "") : null,
+    token: options.token || env.SOVEREIGN_TASKS_TOKEN || saved.token || null,
+  };
+}
+
+// --- API ---
+
+function createApi({ server, token }, fetchImpl) {
+  async function request(method, apiPath, body) {
+    if (!server) throw usageError(`No server configured; run "${CLI_NAME} login" or set SOVEREIGN_TASKS_URL.`);
+    if (!token) throw usageError(`No access token configured; run "${CLI_NAME} login" or set SOVEREIGN_TASKS_TOKEN.`);
+
+    let res;
+    try {
+      res = await fetchImpl(`${server}${API_PATH}${apiPath}`, {
+        method,
+        headers: {
+          Accept: "application/json",
+          Authorization: `Bearer ${token}`,
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (err) {
+      throw new CliError(`Could not reach ${server}: ${(err && err.cause && err.cause.message) || err.message}`, {
+        offline: true,
+      });
+    }
+
+    const json = await res.json().catch(() => null);
+    if (!res.ok) {
+      // The API's error envelope (lib/validate.js)
+      const error = json && json.error && typeof json.error === "object" ? json.error : null;
+      let message = error ? error.message : `Request failed with status ${res.status}`;
+      if (error && Array.isArray(error.fields) && error.fields.length) {
+        message = error.fields.map((field) => `${field.path}: ${field.message}`).join("; ");
+      }
+      throw new CliError(message);
+    }
+    return json;
+  }
+
+  return { request };
+}
+
+// --- State (bootstrap) ---
+
+// The bootstrap state, fresh from the server when it can be reached and from the
+// cache otherwise. Resolves to { data, cachedAt, stale }.
+async function loadState(ctx) {
+  const file = cacheFile(ctx.env);
+  const cached = await readJson(file);
+  const usable = cached && cached.server === ctx.config.server ? cached : null;
+
+  if (!ctx.options.offline) {
+    try {
+      const data = await ctx.api.request("GET", "/bootstrap");
+      const cachedAt = new Date().toISOString();
+      await writeJson(file, { server: ctx.config.server, cachedAt, data });
+      return { data, cachedAt, stale: false };
+    } catch (err) {
+      if (!err.offline || !usable) throw err;
+      ctx.stderr.write(`${err.message}\nShowing the copy cached ${usable.cachedAt}.\n`);
+    }
+  } else if (!usable) {
+    throw new CliError(`Nothing cached yet; run "${CLI_NAME} ls" once while online.`);
+  }
+  return { data: usable.data, cachedAt: usable.cachedAt, stale: true };
+}
+
+// Puts a changed task into the cache so offline reads see it
+async function cacheTask(ctx, task) {
+  const file = cacheFile(ctx.env);
+  const cached = await readJson(file);
+  if (!cached || cached.server !== ctx.config.server || !task) return;
+  const { subtasks, reminder, ...row } = task;
+  const tasks = cached.data.tasks.filter((t) => t.id !== row.id);
+  tasks.push(row);
+  (subtasks || []).forEach((sub) => {
+    const existing = tasks.find((t) => t.id === sub.id);
+    if (existing) Object.assign(existing, sub);
+  });
+  await writeJson(file, { ...cached, data: { ...cached.data, tasks } });
+}
+
+// --- Helpers ---
+
+// The caller's calendar day, as the web UI uses it
+function localToday(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function dueDay(task) {
+  return task.dueDate ? formatDateOnly(toDateOnly(task.dueDate)) : "";
+}
+
+function parseId(value, what) {
+  if (!/^\d+$/.test(String(value || ""))) throw usageError(`${what} must be a numeric id, not "${value ?? ""}".`);
+  return Number(value);
+}
+
+function findList(lists, ref) {
+  const wanted = String(ref).trim().toLowerCase();
+  const list = lists.find((l) => String(l.id) === wanted)
+    || lists.find((l) => String(l.slug).toLowerCase() === wanted)
+    || lists.find((l) => String(l.name).toLowerCase() === wanted);
+  if (!list) throw new CliError(`No list matches "${ref}".`);
+  return list;
+}
+
+function canEdit(list) {
+  return !list.role || list.role === "owner" || list.role === "editor";
+}
+
+function tagNamesFor(data) {
+  const byTask = new Map();
+  (data.tags || []).forEach((tag) => {
+    (tag.taskIds || []).forEach((taskId) => {
+      if (!byTask.has(taskId)) byTask.set(taskId, []);
+      byTask.get(taskId).push(tag.name);
+    });
+  });
+  return (task) => byTask.get(task.id) || [];
+}
+
+// Plain text table; every column is as wide as its longest cell
+function formatTable(columns, rows) {
+  const cells = [columns.map((c) => c.label), ...rows.map((row) => columns.map((c) => String(c.value(row) ?? "")))];
+  const widths = columns.map((_, i) => Math.max(...cells.map((line) => line[i].length)));
+  return cells
+    .map((line) => line.map((cell, i) => (i === line.length - 1 ? cell : cell.padEnd(widths[i]))).join("  ").trimEnd())
+    .join("\n") + "\n";
+}
+
+function print(ctx, value, text) {
+  ctx.stdout.write(ctx.options.json ? JSON.stringify(value, null, 2) + "\n" : text);
+}
+
+function taskColumns(listsById, tagNamesOf) {
+  return [
+    { label: "ID", value: (t) => t.id },
+    { label: "", value: (t) => (t.completed ? "x" : " ") + (t.starred ? "*" : " ") },
+    { label: "DUE", value: dueDay },
+    { label: "LIST", value: (t) => (listsById.get(t.listId) || {}).name || t.listId },
+    { label: "TAGS", value: (t) => tagNamesOf(t).join(", ") },
+    { label: "TITLE", value: (t) => (t.parentId ? "  - " : "") + t.title },
+  ];
+}
+
+// Top-level tasks in list order, each followed by its subtasks, as on the board
+function boardOrder(tasks, lists) {
+  const listIndex = new Map(lists.map((l, i) => [l.id, i]));
+  const byRank = (a, b) => ((listIndex.get(a.listId) ?? 0) - (listIndex.get(b.listId) ?? 0))
+    || (a.completed === b.completed ? 0 : a.completed ? 1 : -1)
+    || ((a.rank || "") < (b.rank || "") ? -1 : (a.rank || "") > (b.rank || "") ? 1 : 0)
+    || (a.id - b.id);
+  const ids = new Set(tasks.map((t) => t.id));
+  const ordered = [];
+  tasks.filter((t) => !t.parentId || !ids.has(t.parentId)).sort(byRank).forEach((task) => {
+    ordered.push(task);
+    tasks.filter((t) => t.parentId === task.id).sort(byRank).forEach((sub) => ordered.push(sub));
+  });
+  return ordered;
+}
+
+// --- Commands ---
+
+async function login(ctx) {
+  const { server, token } = ctx.options;
+  if (!server || !token) throw usageError("login needs --server and --token.");
+  const config = { server: server.replace(/\/+$/, ""), token };
+  // Check the token before saving it
+  const lists = await createApi(config, ctx.fetch).request("GET", "/lists");
+  await writeJson(path.join(configDir(ctx.env), "config.json"), config);
+  print(ctx, { ok: true, server: config.server, lists: lists.length },
+    `Signed in to ${config.server} (${lists.length} list${lists.length === 1 ? "" : "s"}).\n`);
+}
+
+async function add(ctx, [title]) {
+  if (!title || !title.trim()) throw usageError("add needs a title.");
+  const { data } = await loadState(ctx);
+  const list = ctx.options.list ? findList(data.lists, ctx.options.list) : data.lists.find(canEdit);
+  if (!list) throw new CliError("You have no list to add to.");
+
+  let dueDate = null;
+  if (ctx.options.due) {
+    const parsed = parseQuickAdd(ctx.options.due, { today: localToday(ctx.now) });
+    if (!parsed.dueDate) throw usageError(`Could not understand the due date "${ctx.options.due}".`);
+    dueDate = parsed.dueDate;
+  }
+
+  const created = await ctx.api.request("POST", "/", {
+    listId: list.id,
+    title,
+    dueDate,
+    starred: !!ctx.options.star,
+    parentId: ctx.options.parent ? parseId(ctx.options.parent, "--parent") : null,
+  });
+  await cacheTask(ctx, created);
+  print(ctx, created, `Added ${created.id} to ${list.name}${dueDate ? `, due ${dueDate}` : ""}: ${created.title}\n`);
+}
+
+async function ls(ctx) {
+  const { options } = ctx;
+  const filter = options.filter || "all";
+  if (!TASK_FILTERS.includes(filter)) throw usageError(`--filter must be one of ${TASK_FILTERS.join(", ")}.`);
+  if (options.view && !SMART_VIEWS.includes(options.view)) {
+    throw usageError(`--view must be one of ${SMART_VIEWS.join(", ")}.`);
+  }
+
+  const { data } = await loadState(ctx);
+  const today = localToday(ctx.now);
+  const listsById = new Map(data.lists.map((l) => [l.id, l]));
+  const tagNamesOf = tagNamesFor(data);
+
+  let tasks = data.tasks;
+  if (options.list) {
+    const list = findList(data.lists, options.list);
+    tasks = tasks.filter((t) => t.listId === list.id);
+  }
+  if (filter === "active") tasks = tasks.filter((t) => !t.completed);
+  if (filter === "completed") tasks = tasks.filter((t) => t.completed);
+  if (options.tag) {
+    const tag = options.tag.toLowerCase();
+    tasks = tasks.filter((t) => tagNamesOf(t).some((name) => name.toLowerCase() === tag));
+  }
+  if (options.search) {
+    const query = parseSearchQuery(options.search);
+    if (query.errors.length) throw usageError(query.errors.join("; "));
+    const matches = new Set(searchTasks(tasks, query, {
+      today,
+      listOf: (t) => listsById.get(t.listId) || null,
+      tagNamesOf,
+    }).map((result) => result.task.id));
+    tasks = tasks.filter((t) => matches.has(t.id));
+  }
+
+  const columns = taskColumns(listsById, tagNamesOf);
+  if (options.view) {
+    const view = computeSmartView(options.view, tasks, {
+      today,
+      days: options.days,
+      listOrder: data.lists.map((l) => l.id),
+    });
+    const text = view.groups.map((group) => {
+      const heading = group.date || (listsById.get(group.listId) || {}).name || "";
+      return `${heading}\n${formatTable(columns, group.tasks)}`;
+    }).join("\n");
+    print(ctx, view, view.count ? text : `Nothing in ${options.view}.\n`);
+    return;
+  }
+
+  const ordered = boardOrder(tasks, data.lists);
+  print(ctx, ordered, ordered.length ? formatTable(columns, ordered) : "No tasks.\n");
+}
+
+async function updateTask(ctx, idArg, body, describe) {
+  const id = parseId(idArg, "Task");
+  const updated = await ctx.api.request("PUT", `/${id}`, body);
+  await cacheTask(ctx, updated);
+  print(ctx, updated, `${describe(updated)}: ${updated.title}\n`);
+}
+
+async function done(ctx, [id]) {
+  await updateTask(ctx, id, { completed: !ctx.options.undo }, (task) => {
+    if (ctx.options.undo) return `Reopened ${task.id}`;
+    // A recurring task rolls forward instead of staying completed
+    return task.completed ? `Completed ${task.id}` : `Completed ${task.id}, next due ${dueDay(task)}`;
+  });
+}
+
+async function star(ctx, [id]) {
+  await updateTask(ctx, id, { starred: !ctx.options.off }, (task) => `${task.starred ? "Starred" : "Unstarred"} ${task.id}`);
+}
+
+async function mv(ctx, [idArg, listRef]) {
+  const id = parseId(idArg, "Task");
+  if (!listRef) throw usageError("mv needs a task id and a list.");
+  const { data } = await loadState(ctx);
+  const list = findList(data.lists, listRef);
+  const moved = await ctx.api.request("POST", `/${id}/move`, { listId: list.id });
+  await cacheTask(ctx, moved);
+  print(ctx, moved, `Moved ${moved.id} to ${list.name}: ${moved.title}\n`);
+}
+
+async function lists(ctx) {
+  const { data } = await loadState(ctx);
+  const open = new Map();
+  data.tasks.forEach((t) => {
+    if (!t.completed) open.set(t.listId, (open.get(t.listId) || 0) + 1);
+  });
+  const rows = data.lists.map((l) => ({ ...l, openCount: open.get(l.id) || 0 }));
+  print(ctx, rows, formatTable([
+    { label: "ID", value: (l) => l.id },
+    { label: "SLUG", value: (l) => l.slug },
+    { label: "ROLE", value: (l) => l.role || "owner" },
+    { label: "OPEN", value: (l) => l.openCount },
+    { label: "NAME", value: (l) => l.name },
+  ], rows));
+}
+
+async function share(ctx, [listRef, email]) {
+  if (!listRef || !email) throw usageError("share needs a list and an email address.");
+  const role = ctx.options.role || "editor";
+  if (!INVITE_ROLES.includes(role)) throw usageError(`--role must be one of ${INVITE_ROLES.join(", ")}.`);
+  const { data } = await loadState(ctx);
+  const list = findList(data.lists, listRef);
+  const result = await ctx.api.request("POST", `/lists/${list.id}/share`, { email, role });
+  print(ctx, result, `Invited ${result.email} to ${list.name} as ${result.role}.\n`);
+}
+
+const COMMANDS = { login, add, ls, done, star, mv, lists, share };
+
+// Runs one command line. io = { env, stdout, stderr, fetch?, now? }; resolves to the exit code.
+export async function runCli(argv, io) {
+  const ctx = {
+    env: io.env || {},
+    stdout: io.stdout,
+    stderr: io.stderr,
+    fetch: io.fetch || globalThis.fetch,
+    now: io.now || new Date(),
+  };
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+      throw usageError(err.message);
+    }
+    const [command, ...args] = parsed.positionals;
+    ctx.options = parsed.values;
+    if (!command || ctx.options.help || command === "help") {
+      ctx.stdout.write(USAGE + "\n");
+      return 0;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) throw usageError(`Unknown command "${command}".`);
+
+    ctx.config = await resolveConfig(ctx.options, ctx.env);
+    ctx.api = createApi(ctx.config, ctx.fetch);
+    await COMMANDS[command](ctx, args);
+    return 0;
+  } catch (err) {
+    if (!(err instanceof CliError)) throw err;
+    ctx.stderr.write(`${CLI_NAME}: ${err.message}\n`);
+    return err.exitCode;
+  }
+}
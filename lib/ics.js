@@ -0,0 +1,118 @@
+// iCalendar (RFC 5545) rendering for task subscription feeds.
+// Tasks become all-day VEVENTs on their due date, or VTODOs for clients that show to-dos.
+
+import { toDateOnly, formatDateOnly, recurrenceToRRule } from "./recurrence.js";
+
+export const ICS_COMPONENTS = ["VEVENT", "VTODO"];
+
+const PRODID = "-//Sovereign//Tasks//EN";
+
+// TEXT values: escape backslash, semicolon, comma and newlines
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function formatDateValue(date) {
+  return formatDateOnly(date).replace(/-/g, "");
+}
+
+function formatDateTimeUtc(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function taskComponent(task, { component, list, uidDomain, now, url }) {
+  const due = toDateOnly(task.dueDate);
+  const rrule = recurrenceToRRule(task.recurringConfig);
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:task-${task.id}@${uidDomain}`,
+    `DTSTAMP:${formatDateTimeUtc(now)}`,
+    `LAST-MODIFIED:${formatDateTimeUtc(task.updatedAt || now)}`,
+    `SUMMARY:${escapeText(task.title || "")}`,
+  ];
+
+  if (component === "VTODO") {
+    // RRULE needs a DTSTART; to-do clients show DUE, so both name the due day
+    if (rrule && !task.completed) lines.push(`DTSTART;VALUE=DATE:${formatDateValue(due)}`);
+    lines.push(`DUE;VALUE=DATE:${formatDateValue(due)}`);
+    lines.push(`STATUS:${task.completed ? "COMPLETED" : "NEEDS-ACTION"}`);
+    if (task.completed) {
+      lines.push("PERCENT-COMPLETE:100");
+      lines.push(`COMPLETED:${formatDateTimeUtc(task.updatedAt || now)}`);
+    }
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(due)}`);
+    lines.push("DURATION:P1D");
+    lines.push("TRANSP:TRANSPARENT");
+    // VEVENT has no "done" status; CONFIRMED vs TENTATIVE keeps the distinction visible
+    lines.push(`STATUS:${task.completed ? "CONFIRMED" : "TENTATIVE"}`);
+  }
+
+  if (task.starred) lines.push("PRIORITY:1");
+  if (rrule && !task.completed) lines.push(`RRULE:${rrule}`);
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  if (list) lines.push(`CATEGORIES:${escapeText(list.name)}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push(`END:${component}`);
+  return lines;
+}
+
+// tasks: rows with a dueDate; listsById: Map of listId -> { name }
+// opts = { name, component, uidDomain, url, now }
+export function buildTasksCalendar(tasks, listsById, opts = {}) {
+  const component = ICS_COMPONENTS.includes(opts.component) ? opts.component : "VEVENT";
+  const now = opts.now || new Date();
+  const uidDomain = opts.uidDomain || "sovereign-tasks";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(opts.name || "Tasks")}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+
+  tasks.forEach((task) => {
+    if (!toDateOnly(task.dueDate)) return;
+    lines.push(...taskComponent(task, {
+      component,
+      list: listsById.get(task.listId),
+      uidDomain,
+      now,
+      url: opts.url,
+    }));
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
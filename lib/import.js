@@ -0,0 +1,467 @@
+// Importers for other task apps. Each parser turns an export into a common shape
+// that `POST /import` previews (dry run) or writes in one transaction:
+//   { lists: [{ name, tasks: [ImportedTask] }], errors: [{ item, error }] }
+//   ImportedTask = { title, description, dueDate: "YYYY-MM-DD" | null, recurring,
+//                    completed, starred, subtasks: [ImportedTask], item }
+// `item` names the source record (e.g. "row 4" or "Groceries › Milk") for the error report.
+
+import { toDateOnly, formatDateOnly, normaliseRecurrence, parseRRule } from "./recurrence.js";
+
+export const IMPORT_FORMATS = ["todoist-json", "todoist-csv", "google-tasks", "microsoft-todo", "csv"];
+
+// Fields a generic CSV column can be mapped to
+export const CSV_FIELDS = ["title", "list", "description", "dueDate", "completed", "starred", "recurrence", "parent"];
+
+const CSV_DEFAULT_COLUMNS = {
+  title: ["title", "task", "name", "content", "subject"],
+  list: ["list", "project", "folder", "category"],
+  description: ["description", "notes", "note", "body"],
+  dueDate: ["due", "due date", "duedate", "date", "deadline"],
+  completed: ["completed", "done", "status", "checked"],
+  starred: ["starred", "important", "priority", "flagged"],
+  recurrence: ["recurrence", "repeat", "repeats", "rrule"],
+  parent: ["parent", "parent task"],
+};
+
+const WEEKDAYS = {
+  monday: "MO", mon: "MO", tuesday: "TU", tue: "TU", wednesday: "WE", wed: "WE",
+  thursday: "TH", thu: "TH", friday: "FR", fri: "FR", saturday: "SA", sat: "SA", sunday: "SU", sun: "SU",
+};
+const TRUE_VALUES = ["1", "true", "yes", "y", "x", "done", "completed", "complete", "checked"];
+
+// --- Helpers ---
+
+// RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+function csvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((h) => h.trim());
+  return {
+    columns,
+    records: rows.map((values, index) => ({
+      // Header is row 1
+      item: `row ${index + 2}`,
+      values: Object.fromEntries(columns.map((column, i) => [column, (values[i] || "").trim()])),
+    })),
+  };
+}
+
+function parseJson(data) {
+  if (typeof data !== "string") return data;
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function isTruthy(value) {
+  return TRUE_VALUES.includes(String(value || "").trim().toLowerCase());
+}
+
+// Dates: only unambiguous ISO dates (with or without time) are accepted
+function importDate(value) {
+  if (!value) return { dueDate: null };
+  const match = /^\d{4}-\d{2}-\d{2}(?:$|[T ])/.exec(String(value).trim());
+  const date = match ? toDateOnly(String(value).trim()) : null;
+  return date ? { dueDate: formatDateOnly(date) } : { dueDate: null, error: `Unrecognised date "${value}"` };
+}
+
+// Natural-language repeats used by Todoist and spreadsheets, e.g. "every 2 weeks", "every monday"
+export function parseRecurrenceText(text) {
+  const value = String(text || "").trim().toLowerCase();
+  if (!value) return null;
+  if (/^(rrule:)?freq=/.test(value)) {
+    const rrule = value.toUpperCase().replace(/^RRULE:/, "");
+    return parseRRule(rrule) ? normaliseRecurrence(rrule) : null;
+  }
+
+  const presets = {
+    daily: "daily", "every day": "daily", weekly: "weekly", "every week": "weekly",
+    monthly: "monthly", "every month": "monthly", yearly: "yearly", annually: "yearly", "every year": "yearly",
+    "every weekday": "weekday", "every workday": "weekday", weekdays: "weekday",
+  };
+  // "every!" repeats from the completion date in Todoist; treated like "every"
+  const plain = value.replace(/^every!\s*/, "every ").replace(/\s+(starting|from|until|ending|at)\b.*$/, "");
+  if (presets[plain]) return { kind: "preset", preset: presets[plain] };
+
+  const interval = /^every (\d+) (day|week|month|year)s?$/.exec(plain);
+  if (interval) {
+    return {
+      kind: "custom",
+      custom: { interval: Number(interval[1]), unit: interval[2], ends: { type: "never" } },
+    };
+  }
+
+  const days = /^every ((?:[a-z]+)(?:\s*(?:,|and)\s*[a-z]+)*)$/.exec(plain);
+  if (days) {
+    const codes = days[1].split(/\s*(?:,|and)\s*/).map((d) => WEEKDAYS[d]);
+    if (codes.every(Boolean)) return { kind: "rrule", rrule: `FREQ=WEEKLY;BYDAY=${codes.join(",")}` };
+  }
+  return null;
+}
+
+function makeTask(fields, item, errors) {
+  const title = typeof fields.title === "string" ? fields.title.trim() : "";
+  if (!title) {
+    errors.push({ item, error: "Missing title" });
+    return null;
+  }
+
+  const due = importDate(fields.dueDate);
+  if (due.error) errors.push({ item, error: `${due.error}; imported without a due date` });
+
+  let recurring = fields.recurring || null;
+  if (recurring && !due.dueDate) {
+    errors.push({ item, error: "Repeats without a due date; imported as a one-off task" });
+    recurring = null;
+  }
+
+  return {
+    title,
+    description: fields.description ? String(fields.description) : null,
+    dueDate: due.dueDate,
+    recurring,
+    completed: !!fields.completed,
+    starred: !!fields.starred,
+    subtasks: [],
+    item,
+  };
+}
+
+// Attach tasks to their parents. `entries` = [{ id, parentId, task }]
+function nestTasks(entries, errors) {
+  const byId = new Map(entries.filter((e) => e.task && e.id != null).map((e) => [String(e.id), e]));
+  const roots = [];
+  entries.forEach((entry) => {
+    if (!entry.task) return;
+    const parent = entry.parentId != null ? byId.get(String(entry.parentId)) : null;
+    if (!parent) {
+      if (entry.parentId != null) errors.push({ item: entry.task.item, error: "Parent task not found; imported as a top-level task" });
+      roots.push(entry.task);
+    } else if (parent.parentId != null) {
+      // Only one level of subtasks: deeper items go under the top-level ancestor
+      let top = parent;
+      while (top.parentId != null && byId.get(String(top.parentId))) top = byId.get(String(top.parentId));
+      top.task.subtasks.push(entry.task);
+    } else {
+      parent.task.subtasks.push(entry.task);
+    }
+  });
+  return roots;
+}
+
+// --- Todoist ---
+
+// Sync API backup ({ projects, items }) or REST API dump ({ projects, tasks })
+function parseTodoistJson(data) {
+  const errors = [];
+  const json = parseJson(data);
+  if (!json || typeof json !== "object" || !Array.isArray(json.projects)) {
+    return { error: "Expected a Todoist JSON export with a projects array" };
+  }
+  const items = Array.isArray(json.items) ? json.items : (Array.isArray(json.tasks) ? json.tasks : []);
+
+  const lists = json.projects.map((project) => {
+    const projectItems = items.filter((t) => String(t.project_id) === String(project.id));
+    const entries = projectItems.map((t, index) => {
+      const item = `${project.name} › ${t.content || `item ${index + 1}`}`;
+      const due = t.due || null;
+      let recurring = null;
+      if (due && due.is_recurring) {
+        recurring = parseRecurrenceText(due.string);
+        if (!recurring) errors.push({ item, error: `Unsupported repeat "${due.string}"; imported as a one-off task` });
+      }
+      return {
+        id: t.id,
+        parentId: t.parent_id || null,
+        task: makeTask({
+          title: t.content,
+          description: t.description,
+          dueDate: due && due.date,
+          recurring,
+          completed: t.checked === true || t.checked === 1 || t.is_completed === true,
+          // Todoist priority 4 is "p1", the most urgent
+          starred: Number(t.priority) === 4,
+        }, item, errors),
+      };
+    });
+    return { name: project.name || "Todoist", tasks: nestTasks(entries, errors) };
+  });
+
+  return { lists, errors };
+}
+
+// Template CSV export of a single project: TYPE, CONTENT, DESCRIPTION, PRIORITY, INDENT, DATE, ...
+function parseTodoistCsv(data, { listName }) {
+  const errors = [];
+  const { columns, records } = csvRecords(data);
+  if (!columns.includes("TYPE") || !columns.includes("CONTENT")) {
+    return { error: "Expected a Todoist CSV export with TYPE and CONTENT columns" };
+  }
+
+  const entries = [];
+  const lastAtIndent = {};
+  records.forEach(({ item, values }) => {
+    if (values.TYPE !== "task") return;
+    const indent = Math.max(1, parseInt(values.INDENT, 10) || 1);
+    const dateText = values.DATE || "";
+    // Repeating dates carry no start date in this format
+    const repeating = /^every/i.test(dateText);
+    if (repeating) {
+      errors.push({ item, error: `Repeat "${dateText}" has no start date; imported as a one-off task` });
+    }
+    const entry = {
+      id: item,
+      parentId: indent > 1 && lastAtIndent[indent - 1] ? lastAtIndent[indent - 1] : null,
+      task: makeTask({
+        title: values.CONTENT,
+        description: values.DESCRIPTION,
+        dueDate: repeating ? null : dateText,
+        // In the CSV export priority 1 is the most urgent
+        starred: Number(values.PRIORITY) === 1,
+      }, item, errors),
+    };
+    lastAtIndent[indent] = item;
+    entries.push(entry);
+  });
+
+  return { lists: [{ name: listName || "Todoist import", tasks: nestTasks(entries, errors) }], errors };
+}
+
+// --- Google Tasks (Takeout Tasks.json) ---
+
+function parseGoogleTasks(data) {
+  const errors = [];
+  const json = parseJson(data);
+  const taskLists = json && Array.isArray(json.items) ? json.items : null;
+  if (!taskLists) {
+    return { error: "Expected a Google Takeout Tasks.json export with an items array" };
+  }
+
+  const lists = taskLists.map((taskList, listIndex) => {
+    const name = taskList.title || `Google list ${listIndex + 1}`;
+    const items = Array.isArray(taskList.items) ? taskList.items : [];
+    const entries = items
+      .filter((t) => !t.deleted)
+      .sort((a, b) => String(a.position || "").localeCompare(String(b.position || "")))
+      .map((t, index) => ({
+        id: t.id,
+        parentId: t.parent || null,
+        task: makeTask({
+          title: t.title,
+          description: t.notes,
+          dueDate: t.due,
+          completed: t.status === "completed",
+        }, `${name} › ${t.title || `item ${index + 1}`}`, errors),
+      }));
+    return { name, tasks: nestTasks(entries, errors) };
+  });
+
+  return { lists, errors };
+}
+
+// --- Microsoft To Do (Graph API JSON: lists with tasks and checklist items) ---
+
+function microsoftRecurrence(recurrence) {
+  const pattern = recurrence && recurrence.pattern;
+  if (!pattern) return null;
+  const freq = {
+    daily: "DAILY",
+    weekly: "WEEKLY",
+    absoluteMonthly: "MONTHLY",
+    relativeMonthly: "MONTHLY",
+    absoluteYearly: "YEARLY",
+    relativeYearly: "YEARLY",
+  }[pattern.type];
+  if (!freq) return null;
+
+  const parts = [`FREQ=${freq}`];
+  if (Number(pattern.interval) > 1) parts.push(`INTERVAL=${Number(pattern.interval)}`);
+  const days = (pattern.daysOfWeek || []).map((d) => WEEKDAYS[String(d).toLowerCase()]).filter(Boolean);
+  if (pattern.type.startsWith("relative")) {
+    const nth = { first: 1, second: 2, third: 3, fourth: 4, last: -1 }[pattern.index || "first"];
+    parts.push(`BYDAY=${days.map((d) => `${nth}${d}`).join(",")}`);
+  } else if (freq === "WEEKLY" && days.length) {
+    parts.push(`BYDAY=${days.join(",")}`);
+  }
+  if (pattern.type.startsWith("absolute") && pattern.dayOfMonth) parts.push(`BYMONTHDAY=${Number(pattern.dayOfMonth)}`);
+  if (freq === "YEARLY" && pattern.month) parts.push(`BYMONTH=${Number(pattern.month)}`);
+
+  const range = recurrence.range || {};
+  if (range.type === "numbered" && Number(range.numberOfOccurrences) > 0) {
+    parts.push(`COUNT=${Number(range.numberOfOccurrences)}`);
+  } else if (range.type === "endDate" && toDateOnly(range.endDate)) {
+    parts.push(`UNTIL=${formatDateOnly(toDateOnly(range.endDate)).replace(/-/g, "")}`);
+  }
+
+  const rrule = parts.join(";");
+  return parseRRule(rrule) ? { kind: "rrule", rrule } : null;
+}
+
+function parseMicrosoftTodo(data) {
+  const errors = [];
+  const json = parseJson(data);
+  const todoLists = json && (Array.isArray(json.lists) ? json.lists : (Array.isArray(json.value) ? json.value : null));
+  if (!todoLists) {
+    return { error: "Expected a Microsoft To Do JSON export with a lists array" };
+  }
+
+  const lists = todoLists.map((todoList, listIndex) => {
+    const name = todoList.displayName || `To Do list ${listIndex + 1}`;
+    const tasks = (Array.isArray(todoList.tasks) ? todoList.tasks : []).map((t, index) => {
+      const item = `${name} › ${t.title || `item ${index + 1}`}`;
+      const recurring = microsoftRecurrence(t.recurrence);
+      if (t.recurrence && !recurring) {
+        errors.push({ item, error: "Unsupported repeat; imported as a one-off task" });
+      }
+      const task = makeTask({
+        title: t.title,
+        description: t.body && t.body.contentType !== "html" ? t.body.content : null,
+        dueDate: t.dueDateTime && t.dueDateTime.dateTime,
+        recurring,
+        completed: t.status === "completed",
+        starred: t.importance === "high",
+      }, item, errors);
+      if (task) {
+        (t.checklistItems || []).forEach((step, stepIndex) => {
+          const subtask = makeTask({
+            title: step.displayName,
+            completed: !!step.isChecked,
+          }, `${item} › step ${stepIndex + 1}`, errors);
+          if (subtask) task.subtasks.push(subtask);
+        });
+      }
+      return task;
+    }).filter(Boolean);
+    return { name, tasks };
+  });
+
+  return { lists, errors };
+}
+
+// --- Generic CSV ---
+
+// `mapping` = { field: "Column header" }; unmapped fields fall back to common header names
+export function resolveCsvMapping(columns, mapping = {}) {
+  const resolved = {};
+  const lower = columns.map((c) => c.toLowerCase());
+  for (const field of CSV_FIELDS) {
+    if (mapping[field]) {
+      if (!columns.includes(mapping[field])) return { error: `Column "${mapping[field]}" not found for ${field}` };
+      resolved[field] = mapping[field];
+    } else {
+      const index = lower.findIndex((c) => CSV_DEFAULT_COLUMNS[field].includes(c));
+      if (index !== -1) resolved[field] = columns[index];
+    }
+  }
+  if (!resolved.title) return { error: "Map a column to title" };
+  return { mapping: resolved };
+}
+
+function parseGenericCsv(data, { mapping, listName }) {
+  const errors = [];
+  const { columns, records } = csvRecords(data);
+  if (!columns.length) return { error: "The CSV file is empty" };
+  const resolved = resolveCsvMapping(columns, mapping && typeof mapping === "object" ? mapping : {});
+  if (resolved.error) return { error: resolved.error, columns };
+  const map = resolved.mapping;
+
+  const byList = new Map();
+  const titleIds = new Map();
+  records.forEach(({ item, values }) => {
+    const get = (field) => (map[field] ? values[map[field]] : "");
+    const recurrenceText = get("recurrence");
+    const recurring = parseRecurrenceText(recurrenceText);
+    if (recurrenceText && !recurring) {
+      errors.push({ item, error: `Unsupported repeat "${recurrenceText}"; imported as a one-off task` });
+    }
+    const status = get("completed");
+    const task = makeTask({
+      title: get("title"),
+      description: get("description"),
+      dueDate: get("dueDate"),
+      recurring,
+      completed: isTruthy(status),
+      starred: isTruthy(get("starred")) || ["1", "high", "p1"].includes(String(get("starred")).toLowerCase()),
+    }, item, errors);
+
+    const name = get("list") || listName || "Imported";
+    if (!byList.has(name)) byList.set(name, []);
+    // Parents are referenced by title within the same list
+    const entry = { id: item, parentId: get("parent") ? titleIds.get(`${name}\u0000${get("parent")}`) || `missing:${item}` : null, task };
+    if (task) titleIds.set(`${name}\u0000${task.title}`, item);
+    byList.get(name).push(entry);
+  });
+
+  const lists = [...byList.entries()].map(([name, entries]) => ({ name, tasks: nestTasks(entries, errors) }));
+  return { lists, errors, mapping: map };
+}
+
+const PARSERS = {
+  "todoist-json": parseTodoistJson,
+  "todoist-csv": parseTodoistCsv,
+  "google-tasks": parseGoogleTasks,
+  "microsoft-todo": parseMicrosoftTodo,
+  csv: parseGenericCsv,
+};
+
+// Returns { lists, errors, mapping? } or { error } when the file cannot be read at all
+export function parseImport(format, data, options = {}) {
+  const parser = PARSERS[format];
+  if (!parser) return { error: `format must be one of ${IMPORT_FORMATS.join(", ")}` };
+  if (data === undefined || data === null || data === "") return { error: "data is required" };
+  const result = parser(data, options);
+  if (result.error) return result;
+  // Lists without any importable task are not created
+  return { ...result, lists: result.lists.filter((list) => list.tasks.length > 0) };
+}
+
+export function countImportedTasks(lists) {
+  let tasks = 0;
+  let subtasks = 0;
+  lists.forEach((list) => list.tasks.forEach((task) => {
+    tasks += 1;
+    subtasks += task.subtasks.length;
+  }));
+  return { tasks, subtasks };
+}
@@ -0,0 +1,236 @@
+// Mail-to-task: raw RFC 822 messages sent to a secret inbound address become tasks.
+// Each `TaskInboundAddress` has a token; its address is "tasks+<token>@<domain>", with
+// the domain from TASKS_INBOUND_MAIL_DOMAIN. The platform's mail ingress (or a local
+// stand-in) POSTs each message to `POST /inbound/mail`, with the shared secret from
+// TASKS_INBOUND_MAIL_SECRET in `X-Tasks-Inbound-Secret` when that is set.
+//
+// The subject is read as a quick add line (lib/quickadd.js), so "Call Ana friday !"
+// is due Friday and starred; "Fwd:"/"Re:" prefixes are dropped. The first text/plain
+// part (or the HTML part as text) becomes the description, without the signature.
+//
+// This is a small parser for what mail clients actually send (headers, MIME multipart,
+// base64, quoted-printable, encoded-word subjects), not a full RFC 5322 implementation.
+
+import crypto from "crypto";
+import { parseQuickAdd } from "./quickadd.js";
+
+export const INBOUND_LOCAL_PART = "tasks";
+// Largest raw message accepted by `POST /inbound/mail`
+export const INBOUND_MAIL_MAX_BYTES = 10 * 1024 * 1024;
+
+const REPLY_PREFIX_PATTERN = /^(\s*(re|fwd?|aw|wg|tr|sv)\s*(\[\d+\])?\s*:\s*)+/i;
+const TOKEN_PATTERN = /\+([a-z0-9]{20,64})@/i;
+const MAX_PART_DEPTH = 5;
+
+export function resolveInboundConfig(env = process.env) {
+  return {
+    domain: (env && env.TASKS_INBOUND_MAIL_DOMAIN) || null,
+    secret: (env && env.TASKS_INBOUND_MAIL_SECRET) || null,
+  };
+}
+
+export function generateInboundToken() {
+  return crypto.randomBytes(15).toString("hex");
+}
+
+export function inboundAddress(token, domain) {
+  return `${INBOUND_LOCAL_PART}+${token}@${domain}`;
+}
+
+// The inbound token in the first recipient that has one, lowercased, or null
+export function findInboundToken(recipients) {
+  for (const recipient of recipients) {
+    const match = TOKEN_PATTERN.exec(recipient);
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+}
+
+// Compares the ingress secret without leaking its length or contents through timing
+export function inboundSecretMatches(expected, given) {
+  const a = crypto.createHash("sha256").update(String(expected)).digest();
+  const b = crypto.createHash("sha256").update(String(given || "")).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// --- Parsing ---
+
+function splitHeaderBlock(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  return match
+    ? { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+    : { head: raw, body: "" };
+}
+
+// { name: [value, ...] } with lowercased names and folded lines joined
+function parseHeaders(head) {
+  const headers = {};
+  head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/).forEach((line) => {
+    const colon = line.indexOf(":");
+    if (colon <= 0) return;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.slice(colon + 1).trim());
+  });
+  return headers;
+}
+
+function header(headers, name) {
+  return headers[name] ? headers[name][0] : "";
+}
+
+// "text/plain; charset=utf-8" -> { value: "text/plain", params: { charset: "utf-8" } }
+function parseParams(value) {
+  const [first, ...rest] = String(value || "").split(";");
+  const params = {};
+  rest.forEach((part) => {
+    const eq = part.indexOf("=");
+    if (eq <= 0) return;
+    params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim().replace(/^"(.*)"$/, "$1");
+  });
+  return { value: first.trim().toLowerCase(), params };
+}
+
+function decodeBytes(bytes, charset) {
+  try {
+    return new TextDecoder(charset || "utf-8").decode(bytes);
+  } catch (err) {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+function quotedPrintableBytes(text, { underscores = false } = {}) {
+  const source = (underscores ? text.replace(/_/g, " ") : text).replace(/=\r?\n/g, "");
+  const bytes = [];
+  for (let i = 0; i < source.length; i += 1) {
+    const hex = source[i] === "=" ? source.slice(i + 1, i + 3) : "";
+    if (/^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i], "utf8"));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 2047 encoded words ("=?utf-8?Q?Caf=C3=A9?=") in a header value
+export function decodeHeaderValue(value) {
+  return String(value || "")
+    .replace(/(\?=)\s+(=\?)/g, "$1$2")
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (whole, charset, encoding, text) => {
+      const bytes = encoding.toLowerCase() === "b"
+        ? Buffer.from(text, "base64")
+        : quotedPrintableBytes(text, { underscores: true });
+      return decodeBytes(bytes, charset.replace(/\*.*$/, ""));
+    });
+}
+
+function decodePartBody(body, encoding, charset) {
+  const kind = String(encoding || "").trim().toLowerCase();
+  if (kind === "base64") return decodeBytes(Buffer.from(body.replace(/\s+/g, ""), "base64"), charset);
+  if (kind === "quoted-printable") return decodeBytes(quotedPrintableBytes(body), charset);
+  return body;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+\n/g, "\n");
+}
+
+// The text of a part: { text, html } of the first inline text/plain and text/html found
+function findText(headers, body, depth) {
+  const type = parseParams(header(headers, "content-type") || "text/plain");
+  const disposition = parseParams(header(headers, "content-disposition")).value;
+  if (disposition === "attachment") return {};
+
+  if (type.value.startsWith("multipart/") && type.params.boundary && depth < MAX_PART_DEPTH) {
+    const delimiter = `--${type.params.boundary}`;
+    const found = {};
+    body.split(delimiter).slice(1).forEach((chunk) => {
+      if (chunk.startsWith("--")) return;
+      const part = splitHeaderBlock(chunk.replace(/^\r?\n/, ""));
+      const text = findText(parseHeaders(part.head), part.body, depth + 1);
+      if (!found.text && text.text) found.text = text.text;
+      if (!found.html && text.html) found.html = text.html;
+    });
+    return found;
+  }
+
+  const decoded = decodePartBody(body, header(headers, "content-transfer-encoding"), type.params.charset);
+  if (type.value === "text/plain") return { text: decoded };
+  if (type.value === "text/html") return { html: decoded };
+  return {};
+}
+
+// Email addresses in an address list header ("Ana <ana@example.com>, bo@example.com")
+function addresses(values) {
+  return (values || []).flatMap((value) => decodeHeaderValue(value).match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || []);
+}
+
+// Parses a raw message into { messageId, from, recipients, subject, text, date }
+export function parseMessage(raw) {
+  const { head, body } = splitHeaderBlock(String(raw || ""));
+  const headers = parseHeaders(head);
+  const found = findText(headers, body, 0);
+  const text = found.text || (found.html ? htmlToText(found.html) : "");
+  const date = new Date(header(headers, "date"));
+  return {
+    messageId: header(headers, "message-id").replace(/^<|>$/g, "") || null,
+    from: addresses(headers.from)[0] || null,
+    recipients: addresses([
+      ...(headers["delivered-to"] || []),
+      ...(headers["x-original-to"] || []),
+      ...(headers.to || []),
+      ...(headers.cc || []),
+    ]),
+    subject: decodeHeaderValue(header(headers, "subject")),
+    text: text.replace(/\r\n?/g, "\n"),
+    date: Number.isNaN(date.getTime()) ? null : date,
+  };
+}
+
+// Stable id for a message without a Message-ID, so redeliveries are still recognised
+export function messageFingerprint(raw) {
+  return "sha256:" + crypto.createHash("sha256").update(String(raw || "")).digest("hex");
+}
+
+// --- Task fields ---
+
+// The body without its signature ("-- " line) and surrounding blank lines, at most `maxLength`
+export function cleanBody(text, maxLength) {
+  const signature = /\n-- ?\n/.exec(`\n${text}`);
+  const body = (signature ? `\n${text}`.slice(0, signature.index) : text).replace(/\n{3,}/g, "\n\n").trim();
+  return body.length > maxLength ? `${body.slice(0, maxLength - 1)}…` : body;
+}
+
+// Task fields for a parsed message.
+// opts = { today, lists?: [{ id, name, slug }], titleMaxLength, descriptionMaxLength }
+// Returns { title, description, dueDate, starred, recurring, list }; `list` is a "#list"
+// from the subject that matched one of `opts.lists`, or null.
+export function taskFromMessage(message, opts) {
+  const subject = message.subject.replace(REPLY_PREFIX_PATTERN, "").trim();
+  const description = cleanBody(message.text, opts.descriptionMaxLength) || null;
+  const fallback = (description || "").split("\n")[0].trim() || "(no subject)";
+  const parsed = parseQuickAdd(subject || fallback, { today: opts.today, lists: opts.lists || [] });
+  const title = parsed.title.length > opts.titleMaxLength
+    ? `${parsed.title.slice(0, opts.titleMaxLength - 1)}…`
+    : parsed.title;
+  return {
+    title,
+    description,
+    dueDate: parsed.dueDate,
+    starred: parsed.starred,
+    recurring: parsed.recurring,
+    list: parsed.list,
+  };
+}
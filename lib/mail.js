@@ -0,0 +1,21 @@
+// Resolve how to call the platform mailer (support both function and { sendMail } forms).
+// Returns null when email delivery is not configured on this deployment.
+export function resolveSendMail(mailer) {
+  if (mailer && typeof mailer.sendMail === "function") {
+    return mailer.sendMail.bind(mailer);
+  }
+  if (typeof mailer === "function") {
+    return mailer;
+  }
+  return null;
+}
+
+// Escapes text from users or outside (task titles, list names, inbound email subjects)
+// for an HTML mail body
+export function escapeMailHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,156 @@
+// Cursor (keyset) pagination for `GET /` and `GET /lists`.
+// A sort is a list of [field, direction] keys ending in `id`, so every row has a unique
+// place; `order=desc` flips every key. The cursor holds the sort keys of the last row
+// of a page, and the next page is the rows that sort after it, so rows added or removed
+// meanwhile never shift a page the way offsets would. Null due dates sort last either way.
+//
+// Cursors are opaque to clients (base64url JSON) and only valid for the sort they came from.
+// Paging is opt-in: without `limit` or `cursor` both routes answer a bare array of every
+// row, as they did before, and with either they answer { <rows>, nextCursor }.
+
+export const SORT_ORDERS = ["asc", "desc"];
+export const PAGE_DEFAULT_LIMIT = 100;
+export const PAGE_MAX_LIMIT = 500;
+
+// Board order: by list, then rank (lib/rank.js), then the legacy position
+const TASK_BOARD_KEYS = [["listId", "asc"], ["rank", "asc"], ["position", "asc"], ["id", "asc"]];
+
+export const TASK_SORTS = {
+  position: TASK_BOARD_KEYS,
+  dueDate: [["dueDate", "asc"], ...TASK_BOARD_KEYS],
+  createdAt: [["createdAt", "asc"], ["id", "asc"]],
+  title: [["title", "asc"], ["id", "asc"]],
+  // Starred first, then board order
+  starred: [["starred", "desc"], ...TASK_BOARD_KEYS],
+};
+
+// Lists are sorted after their role is resolved, since a shared list's rank is the member's
+export const LIST_SORTS = {
+  position: [["rank", "asc"], ["position", "asc"], ["id", "asc"]],
+  name: [["name", "asc"], ["id", "asc"]],
+  createdAt: [["createdAt", "asc"], ["id", "asc"]],
+  updatedAt: [["updatedAt", "asc"], ["id", "asc"]],
+};
+
+const NULLABLE_FIELDS = new Set(["dueDate"]);
+const DATE_FIELDS = new Set(["dueDate", "createdAt", "updatedAt"]);
+const BOOLEAN_FIELDS = new Set(["starred", "completed"]);
+const STRING_FIELDS = new Set(["rank", "title", "name"]);
+// Every other sort field (id, listId, position) is an integer
+
+// The [field, direction] keys of `sorts[sort]` in `order`
+export function sortKeys(sorts, sort, order) {
+  return sorts[sort].map(([field, dir]) => [field, order === "desc" ? (dir === "asc" ? "desc" : "asc") : dir]);
+}
+
+function sortSignature(keys) {
+  return keys.map(([field, dir]) => `${field}:${dir}`).join(",");
+}
+
+export function encodePageCursor(keys, row) {
+  const values = keys.map(([field]) => {
+    const value = row[field];
+    return value instanceof Date ? value.toISOString() : value ?? null;
+  });
+  return Buffer.from(JSON.stringify({ s: sortSignature(keys), k: values })).toString("base64url");
+}
+
+// The sort key values of a cursor from `encodePageCursor`, or null when it is malformed
+// (including a value of the wrong type for its field) or was made for another sort
+export function decodePageCursor(keys, cursor) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+  if (!parsed || parsed.s !== sortSignature(keys) || !Array.isArray(parsed.k) || parsed.k.length !== keys.length) {
+    return null;
+  }
+  const values = [];
+  for (const [index, [field]] of keys.entries()) {
+    const value = parsed.k[index];
+    if (value === null) {
+      if (!NULLABLE_FIELDS.has(field)) return null;
+      values.push(null);
+    } else if (DATE_FIELDS.has(field)) {
+      const date = new Date(value);
+      if (typeof value !== "string" || Number.isNaN(date.getTime())) return null;
+      values.push(date);
+    } else if (BOOLEAN_FIELDS.has(field)) {
+      if (typeof value !== "boolean") return null;
+      values.push(value);
+    } else if (STRING_FIELDS.has(field)) {
+      if (typeof value !== "string") return null;
+      values.push(value);
+    } else {
+      if (!Number.isSafeInteger(value)) return null;
+      values.push(value);
+    }
+  }
+  return values;
+}
+
+// Prisma `orderBy` for the keys
+export function keysOrderBy(keys) {
+  return keys.map(([field, dir]) => (NULLABLE_FIELDS.has(field) ? { [field]: { sort: dir, nulls: "last" } } : { [field]: dir }));
+}
+
+// Condition for `field` sorting strictly after `value`, or null when nothing can
+function afterValue(field, dir, value) {
+  // Nulls sort last, so nothing comes after them on this key
+  if (value === null) return null;
+  if (BOOLEAN_FIELDS.has(field)) {
+    if (value === (dir === "asc")) return null;
+    return { [field]: dir === "asc" };
+  }
+  const after = { [field]: { [dir === "asc" ? "gt" : "lt"]: value } };
+  return NULLABLE_FIELDS.has(field) ? { OR: [after, { [field]: null }] } : after;
+}
+
+// Prisma `where` for the rows after the cursor `values`
+export function keysetWhere(keys, values) {
+  const branches = keys.map(([field, dir], index) => {
+    const after = afterValue(field, dir, values[index]);
+    if (!after) return null;
+    const equal = keys.slice(0, index).map(([earlier], j) => ({ [earlier]: values[j] }));
+    return { AND: [...equal, after] };
+  }).filter(Boolean);
+  // After the very last possible row: match nothing
+  return branches.length ? { OR: branches } : { id: { in: [] } };
+}
+
+function compareValues(field, dir, a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  if (x === y) return 0;
+  const ascending = x < y ? -1 : 1;
+  return dir === "asc" ? ascending : -ascending;
+}
+
+// Sorts rows in memory by the keys; for pages of rows that were not read with `keysOrderBy`
+export function compareByKeys(keys, a, b) {
+  for (const [field, dir] of keys) {
+    const result = compareValues(field, dir, a[field], b[field]);
+    if (result) return result;
+  }
+  return 0;
+}
+
+// Rows of an in-memory sorted array after the cursor `values`
+export function rowsAfter(keys, rows, values) {
+  const cursorRow = Object.fromEntries(keys.map(([field], index) => [field, values[index]]));
+  return rows.filter((row) => compareByKeys(keys, row, cursorRow) > 0);
+}
+
+// Reads one page with `readChunk(afterValues, take)` (afterValues null for the first
+// page); one row more than `limit` is read to tell whether another page follows.
+// Resolves to { rows, nextCursor }.
+export async function readPage({ keys, limit, after, readChunk }) {
+  const rows = await readChunk(after, limit + 1);
+  const page = rows.slice(0, limit);
+  return { rows: page, nextCursor: rows.length > limit ? encodePageCursor(keys, page[page.length - 1]) : null };
+}
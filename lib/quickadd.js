@@ -0,0 +1,258 @@
+// Natural-language quick add shared by the API (`POST /` with a `quickAdd` field) and
+// the web UI's add-task input (served to the browser as /tasks/assets/quickadd.js).
+//
+// Recognised phrases are removed from the title:
+//   #work                        target list, by slug or name (left in the title if unknown)
+//   !                            starred
+//   today  tonight  tomorrow  monday  next friday  on the 15th  march 5  2026-03-01
+//   in 3 days  in 2 weeks  next week  next month
+//   6pm  6:30pm  at 18:00  noon  time of day (due dates are days, so this becomes a reminder)
+//   at 3                         a bare hour from 1 to 6 is in the afternoon; 7 to 11 could
+//                                be either, so those stay in the title
+//   every day  daily  every weekday  every week  every monday  every month  every year
+//   every other week  every 3 days
+// A recurrence without a date starts on its next occurrence ("every monday" = next
+// Monday, "every month on the 1st" = the next 1st), otherwise today.
+//
+// Like search, dates are calendar days and `today` is supplied by the caller.
+
+import { toDateOnly, formatDateOnly } from "./recurrence.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const WEEKDAY_PATTERN = WEEKDAYS.join("|");
+const MONTH_PATTERN = "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const ORDINAL = "(\\d{1,2})(?:st|nd|rd|th)?";
+// Phrases must start at a word boundary and end before whitespace, punctuation or the end
+const END = "(?=$|[\\s,.;!?)])";
+
+function shiftDay(day, days) {
+  return formatDateOnly(new Date(toDateOnly(day).getTime() + days * DAY_MS));
+}
+
+function weekdayOf(day) {
+  return toDateOnly(day).getUTCDay();
+}
+
+// Next date falling on `weekday`; today counts unless `skipToday`
+function nextWeekday(today, weekday, skipToday) {
+  let offset = (weekday - weekdayOf(today) + 7) % 7;
+  if (offset === 0 && skipToday) offset = 7;
+  return shiftDay(today, offset);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Next date on day-of-month `day` (clamped to short months), today included
+function nextMonthDay(today, day) {
+  const date = toDateOnly(today);
+  let year = date.getUTCFullYear();
+  let month = date.getUTCMonth();
+  if (day < date.getUTCDate()) month += 1;
+  if (month > 11) { month = 0; year += 1; }
+  return formatDateOnly(new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month)))));
+}
+
+// Next occurrence of a month/day, this year unless it has passed
+function nextYearDay(today, month, day) {
+  const date = toDateOnly(today);
+  for (let year = date.getUTCFullYear(); year <= date.getUTCFullYear() + 1; year += 1) {
+    if (day > daysInMonth(year, month)) continue;
+    const candidate = formatDateOnly(new Date(Date.UTC(year, month, day)));
+    if (candidate >= today) return candidate;
+  }
+  return null;
+}
+
+function addMonthsDay(today, months) {
+  const date = toDateOnly(today);
+  const total = date.getUTCFullYear() * 12 + date.getUTCMonth() + months;
+  const year = Math.floor(total / 12);
+  const month = total - year * 12;
+  return formatDateOnly(new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), daysInMonth(year, month)))));
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+function countOf(word) {
+  if (/^\d+$/.test(word)) return Number(word);
+  return NUMBER_WORDS[word.toLowerCase()] || null;
+}
+
+function formatTime(hours, minutes) {
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+function normaliseName(value) {
+  return String(value || "").toLowerCase().replace(/[-_]+/g, " ").trim();
+}
+
+function findList(lists, token) {
+  const wanted = normaliseName(token);
+  return (lists || []).find((list) => list && (normaliseName(list.slug) === wanted || normaliseName(list.name) === wanted)) || null;
+}
+
+// Parses a quick-add line.
+// opts = { today: "YYYY-MM-DD", lists?: [{ id, name, slug }] }
+// Returns { title, dueDate, time, recurring, starred, list, parts }, where `list` is the
+// matched entry from `opts.lists` (or null) and `parts` lists what was recognised,
+// in order, as [{ type: "list" | "star" | "date" | "time" | "recurrence", text }].
+export function parseQuickAdd(input, opts = {}) {
+  const source = typeof input === "string" ? input : "";
+  const today = opts.today || formatDateOnly(toDateOnly(new Date()));
+  const result = { title: "", dueDate: null, time: null, recurring: null, starred: false, list: null, parts: [] };
+  const found = [];
+  let text = source;
+  let anchor = null;
+
+  // Replaces the first match of `pattern` with spaces (keeping offsets stable) and
+  // records it when `apply` accepts it
+  function take(pattern, type, apply) {
+    const regex = new RegExp(`(^|\\s)(${pattern})${END}`, "iu");
+    const match = regex.exec(text);
+    if (!match) return false;
+    const start = match.index + match[1].length;
+    const phrase = match[2];
+    if (apply(match.slice(3), phrase) === false) return false;
+    found.push({ type, text: source.slice(start, start + phrase.length), start });
+    text = text.slice(0, start) + " ".repeat(phrase.length) + text.slice(start + phrase.length);
+    return true;
+  }
+
+  take("#([\\p{L}\\p{N}_-]+)", "list", ([token]) => {
+    const list = findList(opts.lists, token);
+    if (!list) return false;
+    result.list = list;
+    return true;
+  });
+  take("!", "star", () => { result.starred = true; });
+
+  // Recurrence comes before dates because "every monday" also names a weekday
+  const recurrences = [
+    [`every (other|\\d+|two|three|four|five|six) (day|week|month|year)s?`, ([count, unit]) => {
+      const interval = count.toLowerCase() === "other" ? 2 : countOf(count);
+      if (!interval || interval < 1) return false;
+      result.recurring = interval === 1
+        ? { kind: "preset", preset: unit.toLowerCase() === "day" ? "daily" : `${unit.toLowerCase()}ly` }
+        : { kind: "custom", custom: { interval, unit: unit.toLowerCase(), ends: { type: "never" } } };
+      return true;
+    }],
+    ["(?:every|each) (?:weekday|work ?day)|(?:on )?weekdays", () => {
+      result.recurring = { kind: "preset", preset: "weekday" };
+      anchor = { weekdays: true };
+    }],
+    ["(?:every|each) day|daily", () => { result.recurring = { kind: "preset", preset: "daily" }; }],
+    [`(?:every|each) (${WEEKDAY_PATTERN})`, ([day]) => {
+      result.recurring = { kind: "preset", preset: "weekly" };
+      anchor = { weekday: WEEKDAYS.indexOf(day.toLowerCase()) };
+    }],
+    ["(?:every|each) week|weekly", () => { result.recurring = { kind: "preset", preset: "weekly" }; }],
+    ["(?:every|each) month|monthly", () => { result.recurring = { kind: "preset", preset: "monthly" }; }],
+    ["(?:every|each) year|yearly|annually", () => { result.recurring = { kind: "preset", preset: "yearly" }; }],
+  ];
+  recurrences.some(([pattern, apply]) => take(pattern, "recurrence", apply));
+
+  function setDue(day) {
+    if (!day || result.dueDate) return false;
+    result.dueDate = day;
+    return true;
+  }
+
+  const dates = [
+    ["(\\d{4}-\\d{2}-\\d{2})", ([value]) => {
+      const date = toDateOnly(value);
+      return !!date && formatDateOnly(date) === value && setDue(value);
+    }],
+    ["today|tonight", () => setDue(today)],
+    ["tomorrow|tmrw?", () => setDue(shiftDay(today, 1))],
+    ["in (\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten) (day|week|month)s?", ([count, unit]) => {
+      const n = countOf(count);
+      if (!n) return false;
+      const u = unit.toLowerCase();
+      if (u === "month") return setDue(addMonthsDay(today, n));
+      return setDue(shiftDay(today, n * (u === "week" ? 7 : 1)));
+    }],
+    ["next week", () => setDue(nextWeekday(today, 1, true))],
+    ["next month", () => {
+      const date = toDateOnly(today);
+      return setDue(formatDateOnly(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))));
+    }],
+    [`next (${WEEKDAY_PATTERN})`, ([day]) => {
+      // "next friday" is the Friday of next week, never this week's
+      const weekday = WEEKDAYS.indexOf(day.toLowerCase());
+      const thisWeekMonday = shiftDay(today, -((weekdayOf(today) + 6) % 7));
+      return setDue(shiftDay(thisWeekMonday, 7 + ((weekday + 6) % 7)));
+    }],
+    [`(?:on |this )?(${WEEKDAY_PATTERN})`, ([day]) => setDue(nextWeekday(today, WEEKDAYS.indexOf(day.toLowerCase()), false))],
+    [`(?:on )?(${MONTH_PATTERN})\\.? ${ORDINAL}`, ([month, day]) => setDue(nextYearDay(today, monthIndex(month), Number(day)))],
+    [`(?:on )?(?:the )?${ORDINAL} (?:of )?(${MONTH_PATTERN})`, ([day, month]) => setDue(nextYearDay(today, monthIndex(month), Number(day)))],
+    ["(?:on )?the (\\d{1,2})(?:st|nd|rd|th)", ([day]) => {
+      const n = Number(day);
+      if (n < 1 || n > 31) return false;
+      // With a recurrence this anchors it; otherwise it is the next such day
+      return setDue(nextMonthDay(today, n));
+    }],
+  ];
+  dates.forEach(([pattern, apply]) => {
+    if (!result.dueDate) take(pattern, "date", apply);
+  });
+
+  const times = [
+    ["(?:at )?(\\d{1,2})(?::(\\d{2}))? ?(am|pm)", ([h, m, meridiem]) => {
+      const hours = Number(h);
+      const minutes = Number(m || 0);
+      if (hours < 1 || hours > 12 || minutes > 59) return false;
+      result.time = formatTime((hours % 12) + (meridiem.toLowerCase() === "pm" ? 12 : 0), minutes);
+    }],
+    ["at (\\d{1,2}):(\\d{2})|(\\d{1,2}):(\\d{2})", ([h1, m1, h2, m2]) => {
+      const hours = Number(h1 || h2);
+      const minutes = Number(m1 || m2);
+      if (hours > 23 || minutes > 59) return false;
+      result.time = formatTime(hours, minutes);
+    }],
+    ["(?:at )?(?:noon|midday)", () => { result.time = "12:00"; }],
+    ["at (\\d{1,2})", ([h]) => {
+      const hours = Number(h);
+      // "Meeting at 3" is not at 3am
+      if (hours >= 1 && hours <= 6) result.time = formatTime(hours + 12, 0);
+      else if (hours === 12 || (hours >= 13 && hours <= 23)) result.time = formatTime(hours, 0);
+      else return false;
+    }],
+  ];
+  times.some(([pattern, apply]) => take(pattern, "time", apply));
+
+  if (!result.dueDate && result.recurring) {
+    if (anchor && anchor.weekdays) {
+      const day = weekdayOf(today);
+      result.dueDate = day === 0 || day === 6 ? nextWeekday(today, 1, false) : today;
+    } else if (anchor && typeof anchor.weekday === "number") {
+      result.dueDate = nextWeekday(today, anchor.weekday, false);
+    } else {
+      result.dueDate = today;
+    }
+  }
+  if (!result.dueDate && result.time) result.dueDate = today;
+
+  result.title = text.replace(/\s+/g, " ").replace(/\s+([,.;!?])/g, "$1").replace(/^[\s,.;]+|[\s,.;]+$/g, "");
+  // Nothing left means the whole line was a phrase ("tomorrow"); keep it as the title
+  if (!result.title) result.title = source.trim();
+  result.parts = found.sort((a, b) => a.start - b.start).map(({ type, text: phrase }) => ({ type, text: phrase }));
+  return result;
+}
+
+// Combines a day and "HH:MM" into a Date, given the caller's offset from UTC in
+// minutes as returned by Date#getTimezoneOffset (0 = UTC).
+export function quickAddReminderAt(dueDate, time, timezoneOffset) {
+  const date = toDateOnly(dueDate);
+  const match = /^(\d{2}):(\d{2})$/.exec(time || "");
+  if (!date || !match) return null;
+  const offset = Number.isFinite(Number(timezoneOffset)) ? Number(timezoneOffset) : 0;
+  return new Date(date.getTime() + (Number(match[1]) * 60 + Number(match[2]) + offset) * 60 * 1000);
+}
@@ -0,0 +1,238 @@
+// Fractional ranks that order lists and tasks (`rank` columns).
+// A rank is a string over 0-9a-z compared as plain text, so moving one row only
+// needs a rank between its new neighbours and no other row is rewritten.
+// Lowercase base 36 sorts the same bytewise and under the usual database collations,
+// and ranks never end in "0", so there is always room between two of them.
+//
+// Ranked groups:
+//   lists  a user's owned lists (TaskList.rank) together with the lists shared
+//          with them (TaskListMember.rank), which is the order they see
+//   tasks  the top-level tasks of a list, or the subtasks of one parent
+//
+// Rows from before ranks existed have rank "" and get one from their old
+// `position` (the migration). Inserting at the same spot over and over makes
+// ranks longer; such groups are rebalanced in the background.
+
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+const BASE = DIGITS.length;
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+// Groups ranked per maintenance run, so a large migration is spread over several runs
+const GROUPS_PER_RUN = 200;
+
+// Ranks longer than this get their group rebalanced
+export const RANK_REBALANCE_LENGTH = 16;
+
+// A rank strictly between `before` and `after`; either may be empty/null for an open end
+export function rankBetween(before, after) {
+  const lower = before || "";
+  let upper = after || null;
+  if (upper !== null && lower >= upper) {
+    throw new Error(`rankBetween: "${lower}" does not sort before "${upper}"`);
+  }
+  let rank = "";
+  for (let i = 0; ; i += 1) {
+    const lo = i < lower.length ? DIGITS.indexOf(lower[i]) : 0;
+    const hi = upper !== null && i < upper.length ? DIGITS.indexOf(upper[i]) : BASE;
+    if (hi - lo > 1) return rank + DIGITS[Math.floor((lo + hi) / 2)];
+    rank += DIGITS[lo];
+    // Below `after` from here on, whatever follows
+    if (hi - lo === 1) upper = null;
+  }
+}
+
+// `count` evenly spread ranks between `before` and `after`, in order
+export function ranksBetween(before, after, count) {
+  if (count <= 0) return [];
+  const mid = rankBetween(before, after);
+  const left = Math.floor((count - 1) / 2);
+  return [...ranksBetween(before, mid, left), mid, ...ranksBetween(mid, after, count - 1 - left)];
+}
+
+// New ranks for putting `items` ([{ id, rank }]) in the given order.
+// The longest run of items whose ranks already increase keeps them; returns a
+// Map of id -> rank for the others only.
+export function rerankForOrder(items) {
+  const tails = [];
+  const prev = new Array(items.length).fill(-1);
+  items.forEach((item, index) => {
+    if (!item.rank) return;
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (items[tails[mid]].rank < item.rank) lo = mid + 1;
+      else hi = mid;
+    }
+    prev[index] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = index;
+  });
+  const keep = new Set();
+  for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = prev[index]) {
+    keep.add(index);
+  }
+
+  const changes = new Map();
+  let run = [];
+  let lower = "";
+  for (let index = 0; index <= items.length; index += 1) {
+    if (index < items.length && !keep.has(index)) {
+      run.push(items[index]);
+      continue;
+    }
+    const upper = index < items.length ? items[index].rank : null;
+    ranksBetween(lower, upper, run.length).forEach((rank, i) => changes.set(run[i].id, rank));
+    run = [];
+    if (index < items.length) lower = items[index].rank;
+  }
+  return changes;
+}
+
+// Last rank among a task's siblings, trashed ones included so restored rows keep a free spot.
+// `prisma` may be a transaction client.
+export async function lastTaskRank(prisma, listId, parentId) {
+  const last = await prisma.task.findFirst({
+    where: { listId, parentId },
+    orderBy: { rank: "desc" },
+    select: { rank: true },
+  });
+  return last ? last.rank : "";
+}
+
+// Last rank among a user's owned lists and memberships, which share one order
+export async function lastListRank(prisma, userId) {
+  const owned = await prisma.taskList.findFirst({ where: { userId }, orderBy: { rank: "desc" }, select: { rank: true } });
+  const member = await prisma.taskListMember.findFirst({
+    where: { userId: String(userId) },
+    orderBy: { rank: "desc" },
+    select: { rank: true },
+  });
+  return [owned, member].filter(Boolean).map((row) => row.rank).sort().pop() || "";
+}
+
+function byRankThenPosition(a, b) {
+  if (a.rank !== b.rank) return a.rank < b.rank ? -1 : 1;
+  return (a.position - b.position) || (a.id - b.id);
+}
+
+function groupKey(group) {
+  return group.kind === "lists" ? `lists:${group.userId}` : `tasks:${group.listId}:${group.parentId}`;
+}
+
+// opts = { prisma, logger, intervalMs? }
+export function createRankMaintainer({ prisma, logger, intervalMs }) {
+  const log = logger || console;
+  const queue = new Map();
+  let timer = null;
+  let running = false;
+
+  // Rows of a group in their current order; unranked rows ("") keep their old position order
+  async function loadGroup(group) {
+    if (group.kind === "lists") {
+      const [owned, memberships] = await Promise.all([
+        prisma.taskList.findMany({
+          where: { userId: group.userId },
+          select: { id: true, rank: true, position: true },
+        }),
+        prisma.taskListMember.findMany({
+          where: { userId: String(group.userId) },
+          select: { id: true, listId: true, rank: true, position: true },
+        }),
+      ]);
+      return [
+        ...owned.map((l) => ({ ...l, update: (rank) => prisma.taskList.update({ where: { id: l.id }, data: { rank } }) })),
+        ...memberships.map((m) => ({
+          ...m,
+          update: (rank) => prisma.taskListMember.update({ where: { id: m.id }, data: { rank } }),
+        })),
+      ].sort(byRankThenPosition);
+    }
+    const tasks = await prisma.task.findMany({
+      where: { listId: group.listId, parentId: group.parentId },
+      select: { id: true, rank: true, position: true },
+    });
+    return tasks
+      .map((t) => ({ ...t, update: (rank) => prisma.task.update({ where: { id: t.id }, data: { rank } }) }))
+      .sort(byRankThenPosition);
+  }
+
+  // Gives every row of the group a fresh, evenly spread rank in its current order
+  async function rebalance(group) {
+    const rows = await loadGroup(group);
+    const ranks = ranksBetween("", null, rows.length);
+    const updates = rows.filter((row, index) => row.rank !== ranks[index]);
+    if (updates.length) {
+      await prisma.$transaction(updates.map((row) => row.update(ranks[rows.indexOf(row)])));
+    }
+    queue.delete(groupKey(group));
+    return updates.length;
+  }
+
+  // Ranks the group first if it still has unranked rows; used before placing a row in it
+  async function ensureRanked(group) {
+    const unranked = group.kind === "lists"
+      ? await prisma.taskList.count({ where: { userId: group.userId, rank: "" } })
+        + await prisma.taskListMember.count({ where: { userId: String(group.userId), rank: "" } })
+      : await prisma.task.count({ where: { listId: group.listId, parentId: group.parentId, rank: "" } });
+    return unranked > 0 ? rebalance(group) : 0;
+  }
+
+  function schedule(group) {
+    queue.set(groupKey(group), group);
+  }
+
+  // Migrates unranked groups, then rebalances the scheduled ones
+  async function runOnce() {
+    if (running) return { groups: 0, rows: 0 };
+    running = true;
+    try {
+      const [taskGroups, listOwners, memberUsers] = await Promise.all([
+        prisma.task.findMany({
+          where: { rank: "" },
+          distinct: ["listId", "parentId"],
+          select: { listId: true, parentId: true },
+          take: GROUPS_PER_RUN,
+        }),
+        prisma.taskList.findMany({ where: { rank: "" }, distinct: ["userId"], select: { userId: true }, take: GROUPS_PER_RUN }),
+        prisma.taskListMember.findMany({ where: { rank: "" }, distinct: ["userId"], select: { userId: true }, take: GROUPS_PER_RUN }),
+      ]);
+      [...listOwners, ...memberUsers].forEach((row) => schedule({ kind: "lists", userId: row.userId }));
+      taskGroups.forEach((row) => schedule({ kind: "tasks", listId: row.listId, parentId: row.parentId }));
+
+      let groups = 0;
+      let rows = 0;
+      for (const group of [...queue.values()].slice(0, GROUPS_PER_RUN)) {
+        rows += await rebalance(group);
+        groups += 1;
+      }
+      if (rows && log && typeof log.info === "function") {
+        log.info("[tasks-rank] rebalanced", { groups, rows });
+      }
+      return { groups, rows };
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    const run = () => {
+      runOnce().catch((err) => {
+        if (log && typeof log.error === "function") {
+          log.error("[tasks-rank] maintenance failed", { error: err && err.message, stack: err && err.stack });
+        }
+      });
+    };
+    timer = setInterval(run, intervalMs || DEFAULT_INTERVAL_MS);
+    // Never keep the process alive just for rank maintenance
+    if (typeof timer.unref === "function") timer.unref();
+    // Migrate existing rows right away rather than after the first interval
+    run();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, runOnce, rebalance, ensureRanked, schedule };
+}
@@ -0,0 +1,456 @@
+// Recurrence engine shared by the API (completing a task on the server) and the
+// web UI (served to the browser as /tasks/assets/recurrence.js).
+//
+// Supported `recurringConfig` shapes (see prisma/extension.prisma):
+//   "daily" | "weekly" | ...                     legacy preset string
+//   { kind: "preset", preset }                   daily, weekly, monthly, yearly, weekday
+//   { kind: "custom", custom: { interval, unit, ends } }
+//   { kind: "rrule", rrule: "FREQ=MONTHLY;BYDAY=-1FR" }   RFC 5545 subset
+//
+// Dates are handled as calendar days in UTC ("YYYY-MM-DD") so that the server
+// and every browser agree on the next occurrence regardless of time zone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ORDINAL_LABELS = { 1: "first", 2: "second", 3: "third", 4: "fourth", 5: "fifth", "-1": "last", "-2": "second to last" };
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+// Upper bound when searching for the next RRULE occurrence
+const MAX_SEARCH_DAYS = 366 * 10;
+
+export const RECURRENCE_PRESETS = ["daily", "weekly", "monthly", "yearly", "weekday"];
+
+// --- Calendar-day helpers (UTC) ---
+
+export function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  if (match) {
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  }
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : toDateOnly(parsed);
+}
+
+export function formatDateOnly(date) {
+  if (!date) return null;
+  const yyyy = date.getUTCFullYear();
+  const mm = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const dd = String(date.getUTCDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Month arithmetic clamps to the last day (Jan 31 + 1 month = Feb 28/29)
+function addMonths(date, months) {
+  const total = date.getUTCFullYear() * 12 + date.getUTCMonth() + months;
+  const year = Math.floor(total / 12);
+  const month = total - year * 12;
+  const day = Math.min(date.getUTCDate(), daysInMonth(year, month));
+  return new Date(Date.UTC(year, month, day));
+}
+
+function addYears(date, years) {
+  return addMonths(date, years * 12);
+}
+
+function startOfWeek(date) {
+  // RFC 5545 default WKST=MO
+  const offset = (date.getUTCDay() + 6) % 7;
+  return addDays(date, -offset);
+}
+
+// --- Normalisation ---
+
+export function normaliseRecurrence(value) {
+  if (!value) return null;
+  if (typeof value === "string") {
+    if (RECURRENCE_PRESETS.includes(value)) {
+      return { kind: "preset", preset: value };
+    }
+    if (/^(RRULE:)?FREQ=/i.test(value.trim())) {
+      return { kind: "rrule", rrule: value.trim().replace(/^RRULE:/i, "") };
+    }
+    return null;
+  }
+  if (typeof value !== "object") return null;
+  if (value.kind === "preset" && RECURRENCE_PRESETS.includes(value.preset)) return value;
+  if (value.kind === "custom" && value.custom && typeof value.custom === "object") return value;
+  if (value.kind === "rrule" && typeof value.rrule === "string" && parseRRule(value.rrule)) return value;
+  return null;
+}
+
+// --- RRULE (RFC 5545 subset: FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, COUNT, UNTIL) ---
+
+function parseIntList(raw, isValid) {
+  const values = raw.split(",").map((v) => Number(v.trim()));
+  return values.every((v) => Number.isInteger(v) && isValid(v)) ? values : null;
+}
+
+export function parseRRule(input) {
+  if (typeof input !== "string" || !input.trim()) return null;
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: null,
+    byMonthDay: null,
+    byMonth: null,
+    bySetPos: null,
+    count: null,
+    until: null,
+  };
+
+  const parts = input.trim().replace(/^RRULE:/i, "").split(";").filter(Boolean);
+  for (const part of parts) {
+    const [rawKey, rawValue = ""] = part.split("=");
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    if (key === "FREQ") {
+      if (!FREQUENCIES.includes(value)) return null;
+      rule.freq = value;
+    } else if (key === "INTERVAL") {
+      const interval = Number(value);
+      if (!Number.isInteger(interval) || interval < 1) return null;
+      rule.interval = interval;
+    } else if (key === "BYDAY") {
+      const days = value.split(",").map((token) => {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token.trim());
+        if (!match) return null;
+        const nth = match[1] ? Number(match[1]) : null;
+        if (nth !== null && (nth === 0 || Math.abs(nth) > 53)) return null;
+        return { weekday: WEEKDAY_CODES.indexOf(match[2]), nth };
+      });
+      if (days.some((d) => d === null)) return null;
+      rule.byDay = days;
+    } else if (key === "BYMONTHDAY") {
+      rule.byMonthDay = parseIntList(value, (v) => v !== 0 && Math.abs(v) <= 31);
+      if (!rule.byMonthDay) return null;
+    } else if (key === "BYMONTH") {
+      rule.byMonth = parseIntList(value, (v) => v >= 1 && v <= 12);
+      if (!rule.byMonth) return null;
+    } else if (key === "BYSETPOS") {
+      rule.bySetPos = parseIntList(value, (v) => v !== 0 && Math.abs(v) <= 366);
+      if (!rule.bySetPos) return null;
+    } else if (key === "COUNT") {
+      const count = Number(value);
+      if (!Number.isInteger(count) || count < 0) return null;
+      rule.count = count;
+    } else if (key === "UNTIL") {
+      const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+      if (!match) return null;
+      rule.until = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    } else if (key !== "WKST") {
+      // Time-of-day parts (BYHOUR, ...) and other extensions are not supported
+      return null;
+    }
+  }
+
+  return rule.freq ? rule : null;
+}
+
+function periodIndex(rule, start, day) {
+  if (rule.freq === "DAILY") return Math.round((day - start) / DAY_MS);
+  if (rule.freq === "WEEKLY") return Math.round((startOfWeek(day) - startOfWeek(start)) / (7 * DAY_MS));
+  if (rule.freq === "MONTHLY") {
+    return (day.getUTCFullYear() - start.getUTCFullYear()) * 12 + (day.getUTCMonth() - start.getUTCMonth());
+  }
+  return day.getUTCFullYear() - start.getUTCFullYear();
+}
+
+function periodBounds(rule, day) {
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth();
+  if (rule.freq === "WEEKLY") {
+    const first = startOfWeek(day);
+    return [first, addDays(first, 6)];
+  }
+  if (rule.freq === "MONTHLY") {
+    return [new Date(Date.UTC(year, month, 1)), new Date(Date.UTC(year, month, daysInMonth(year, month)))];
+  }
+  if (rule.freq === "YEARLY") {
+    return [new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 11, 31))];
+  }
+  return [day, day];
+}
+
+// Does `day` fall on the nth (or nth-from-last) `day`-weekday of the month/year?
+function matchesOrdinalWeekday(nth, day, scope) {
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth();
+  const first = scope === "month" ? new Date(Date.UTC(year, month, 1)) : new Date(Date.UTC(year, 0, 1));
+  const last = scope === "month"
+    ? new Date(Date.UTC(year, month, daysInMonth(year, month)))
+    : new Date(Date.UTC(year, 11, 31));
+  if (nth > 0) {
+    return Math.floor((day - first) / (7 * DAY_MS)) + 1 === nth;
+  }
+  return -(Math.floor((last - day) / (7 * DAY_MS)) + 1) === nth;
+}
+
+function matchesByRules(rule, start, day) {
+  const month = day.getUTCMonth();
+  const date = day.getUTCDate();
+  const weekday = day.getUTCDay();
+
+  if (rule.byMonth && !rule.byMonth.includes(month + 1)) return false;
+
+  if (rule.byMonthDay) {
+    const dim = daysInMonth(day.getUTCFullYear(), month);
+    const ok = rule.byMonthDay.some((md) => (md > 0 ? date === md : date === dim + md + 1));
+    if (!ok) return false;
+  }
+
+  if (rule.byDay) {
+    const scope = rule.freq === "MONTHLY" || (rule.freq === "YEARLY" && rule.byMonth) ? "month"
+      : rule.freq === "YEARLY" ? "year" : null;
+    const ok = rule.byDay.some((bd) => {
+      if (bd.weekday !== weekday) return false;
+      if (bd.nth === null || !scope) return true;
+      return matchesOrdinalWeekday(bd.nth, day, scope);
+    });
+    if (!ok) return false;
+  }
+
+  // Without BY* parts the start date decides the day (RFC 5545 defaults)
+  if (!rule.byDay && !rule.byMonthDay) {
+    if (rule.freq === "WEEKLY" && weekday !== start.getUTCDay()) return false;
+    if (rule.freq === "MONTHLY" && date !== start.getUTCDate()) return false;
+    if (rule.freq === "YEARLY") {
+      if (date !== start.getUTCDate()) return false;
+      if (!rule.byMonth && month !== start.getUTCMonth()) return false;
+    }
+  }
+
+  return true;
+}
+
+function matchesRule(rule, start, day) {
+  const index = periodIndex(rule, start, day);
+  if (index < 0 || index % rule.interval !== 0) return false;
+  if (!matchesByRules(rule, start, day)) return false;
+
+  if (rule.bySetPos) {
+    const [first, last] = periodBounds(rule, day);
+    const candidates = [];
+    for (let d = first; d <= last; d = addDays(d, 1)) {
+      if (matchesByRules(rule, start, d)) candidates.push(d.getTime());
+    }
+    const position = candidates.indexOf(day.getTime());
+    return rule.bySetPos.some((p) => (p > 0 ? position === p - 1 : position === candidates.length + p));
+  }
+
+  return true;
+}
+
+// First occurrence strictly after `after`, anchored on `after` as the series start
+export function nextRRuleOccurrence(rule, after) {
+  const start = toDateOnly(after);
+  if (!rule || !start) return null;
+  for (let i = 1; i <= MAX_SEARCH_DAYS; i += 1) {
+    const day = addDays(start, i);
+    if (rule.until && day > rule.until) return null;
+    if (matchesRule(rule, start, day)) return day;
+  }
+  return null;
+}
+
+// --- Next due date ---
+
+function nextFromPreset(current, preset) {
+  if (preset === "daily") return addDays(current, 1);
+  if (preset === "weekly") return addDays(current, 7);
+  if (preset === "monthly") return addMonths(current, 1);
+  if (preset === "yearly") return addYears(current, 1);
+  if (preset === "weekday") {
+    // Next weekday (Mon–Fri)
+    let d = addDays(current, 1);
+    while (d.getUTCDay() === 0 || d.getUTCDay() === 6) {
+      d = addDays(d, 1);
+    }
+    return d;
+  }
+  return null;
+}
+
+export function computeNextDueDate(currentDate, recurring) {
+  const current = toDateOnly(currentDate);
+  const r = normaliseRecurrence(recurring);
+  if (!current || !r) return null;
+
+  if (r.kind === "preset") return nextFromPreset(current, r.preset);
+
+  if (r.kind === "custom") {
+    const interval = Math.max(1, parseInt(r.custom.interval, 10) || 1);
+    const unit = r.custom.unit || "day";
+    if (unit === "day") return addDays(current, interval);
+    if (unit === "week") return addDays(current, interval * 7);
+    if (unit === "month") return addMonths(current, interval);
+    if (unit === "year") return addYears(current, interval);
+    return null;
+  }
+
+  return nextRRuleOccurrence(parseRRule(r.rrule), current);
+}
+
+// Completing a recurring task: either roll it forward to the next occurrence
+// (staying active) or, after the last occurrence, complete it for good.
+// Returns { completed, dueDate: "YYYY-MM-DD" | null, recurring } and never mutates its input.
+export function advanceRecurringTask({ dueDate, recurring }) {
+  const current = toDateOnly(dueDate);
+  const r = normaliseRecurrence(recurring);
+  const currentDue = current ? formatDateOnly(current) : null;
+
+  if (!r || !current) {
+    return { completed: true, dueDate: currentDue, recurring: recurring || null };
+  }
+
+  const next = computeNextDueDate(current, r);
+  const finished = { completed: true, dueDate: currentDue, recurring: null };
+
+  if (r.kind === "rrule") {
+    const rule = parseRRule(r.rrule);
+    // COUNT holds the remaining occurrences, like `ends.count` for custom rules
+    if (!next || (rule.count !== null && rule.count <= 1)) return finished;
+    const rrule = rule.count !== null
+      ? r.rrule.replace(/COUNT=\d+/i, `COUNT=${rule.count - 1}`)
+      : r.rrule;
+    return { completed: false, dueDate: formatDateOnly(next), recurring: { ...r, rrule } };
+  }
+
+  if (!next) {
+    // Unknown preset/unit: plain completion, keep the configuration untouched
+    return { completed: true, dueDate: currentDue, recurring: r };
+  }
+
+  let updated = r;
+  if (r.kind === "custom" && r.custom.ends && typeof r.custom.ends === "object") {
+    const ends = r.custom.ends;
+    const type = ends.type || "never";
+    if (type === "afterCount") {
+      const count = parseInt(ends.count, 10);
+      // This was the last occurrence
+      if (!count || count <= 1) return finished;
+      updated = { ...r, custom: { ...r.custom, ends: { ...ends, count: count - 1 } } };
+    } else if (type === "onDate" && ends.date) {
+      const endDate = toDateOnly(ends.date);
+      // Next occurrence would go beyond the end date
+      if (endDate && next > endDate) return finished;
+    }
+  }
+
+  return { completed: false, dueDate: formatDateOnly(next), recurring: updated };
+}
+
+// --- iCalendar export ---
+
+const CUSTOM_UNIT_FREQ = { day: "DAILY", week: "WEEKLY", month: "MONTHLY", year: "YEARLY" };
+
+// RRULE value (without the "RRULE:" prefix) for a recurrence anchored on the task's due date,
+// or null. COUNT is the number of occurrences left, including the current one.
+export function recurrenceToRRule(recurring) {
+  const r = normaliseRecurrence(recurring);
+  if (!r) return null;
+
+  if (r.kind === "rrule") return r.rrule.toUpperCase();
+
+  if (r.kind === "preset") {
+    if (r.preset === "weekday") return "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR";
+    return `FREQ=${r.preset.toUpperCase()}`;
+  }
+
+  const freq = CUSTOM_UNIT_FREQ[r.custom.unit || "day"];
+  if (!freq) return null;
+  const interval = Math.max(1, parseInt(r.custom.interval, 10) || 1);
+  let rrule = interval > 1 ? `FREQ=${freq};INTERVAL=${interval}` : `FREQ=${freq}`;
+
+  const ends = r.custom.ends && typeof r.custom.ends === "object" ? r.custom.ends : null;
+  if (ends && ends.type === "afterCount" && parseInt(ends.count, 10) > 0) {
+    rrule += `;COUNT=${parseInt(ends.count, 10)}`;
+  } else if (ends && ends.type === "onDate" && toDateOnly(ends.date)) {
+    rrule += `;UNTIL=${formatDateOnly(toDateOnly(ends.date)).replace(/-/g, "")}`;
+  }
+  return rrule;
+}
+
+// --- Labels ---
+
+function describeRRule(rule) {
+  const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month", YEARLY: "year" }[rule.freq];
+  let label = rule.interval === 1
+    ? { DAILY: "Daily", WEEKLY: "Weekly", MONTHLY: "Monthly", YEARLY: "Yearly" }[rule.freq]
+    : `Every ${rule.interval} ${unit}s`;
+
+  if (rule.byDay) {
+    const days = rule.byDay.map((bd) => {
+      const name = WEEKDAY_LABELS[bd.weekday];
+      return bd.nth === null ? name : `the ${ORDINAL_LABELS[bd.nth] || `#${bd.nth}`} ${name}`;
+    });
+    label += ` on ${days.join(", ")}`;
+  } else if (rule.byMonthDay) {
+    const days = rule.byMonthDay.map((d) => (d === -1 ? "the last day" : `day ${d}`));
+    label += ` on ${days.join(", ")}`;
+  }
+  if (rule.bySetPos) {
+    label += ` (${rule.bySetPos.map((p) => ORDINAL_LABELS[p] || `#${p}`).join(", ")})`;
+  }
+  return label;
+}
+
+// Short human label plus an optional "ends" hint, e.g. { label: "Every 2 weeks", details: " (3 left)" }
+export function describeRecurrence(recurring, formatDate) {
+  const r = normaliseRecurrence(recurring);
+  if (!r) return { label: recurring ? "Repeats" : "", details: "" };
+
+  if (r.kind === "preset") {
+    const labels = {
+      daily: "Repeats daily",
+      weekly: "Repeats weekly",
+      monthly: "Repeats monthly",
+      yearly: "Repeats yearly",
+      weekday: "Repeats on weekdays",
+    };
+    return { label: labels[r.preset] || "Repeats", details: "" };
+  }
+
+  if (r.kind === "rrule") {
+    const rule = parseRRule(r.rrule);
+    let details = "";
+    if (rule.count !== null && rule.count > 0) {
+      details = ` (${rule.count} left)`;
+    } else if (rule.until) {
+      details = ` (Ends on ${formatDate ? formatDate(formatDateOnly(rule.until)) : formatDateOnly(rule.until)})`;
+    }
+    return { label: describeRRule(rule), details };
+  }
+
+  const iv = r.custom.interval || 1;
+  const unit = r.custom.unit || "day";
+  const label = `Every ${iv} ${iv !== 1 ? `${unit}s` : unit}`;
+  let details = "";
+
+  // Ends hints for custom recurrences
+  const ends = r.custom.ends;
+  if (ends && typeof ends === "object") {
+    if (ends.type === "afterCount") {
+      const count = parseInt(ends.count, 10);
+      if (count && count > 0) details = ` (${count} left)`;
+    } else if (ends.type === "onDate" && ends.date) {
+      details = ` (Ends on ${formatDate ? formatDate(ends.date) : ends.date})`;
+    }
+  }
+
+  return { label, details };
+}
@@ -0,0 +1,222 @@
+// Reminder delivery for `TaskReminder` rows.
+// The scheduler polls for due reminders and emails them through `ctx.mailer`.
+// A reminder is claimed by setting `sentAt` before sending, so several
+// processes polling the same database never deliver it twice. Reminders of users who
+// can no longer see the task's list (they left a shared list) are claimed but not sent.
+
+import { resolveSendMail, escapeMailHtml } from "./mail.js";
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 50;
+// Failed deliveries are retried after this delay
+const RETRY_DELAY_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+// Public address of Sovereign for the links in reminder emails, from `TASKS_BASE_URL`
+// (e.g. "https://sovereign.example.com"); without it the emails carry no link
+export function resolveReminderBaseUrl(env = process.env) {
+  const raw = String((env && env.TASKS_BASE_URL) || "").trim();
+  return /^https?:\/\//i.test(raw) ? raw : null;
+}
+
+// Prisma `where` for reminders that should be delivered at `now`
+export function dueRemindersWhere(now) {
+  return {
+    sentAt: null,
+    dismissedAt: null,
+    OR: [
+      { snoozeUntil: null, reminderAt: { lte: now } },
+      { snoozeUntil: { lte: now } },
+    ],
+  };
+}
+
+// Shift a task's pending reminders by the same amount its due date moved,
+// e.g. when a recurring task rolls forward to its next occurrence.
+export async function shiftTaskReminders(prisma, taskId, fromDate, toDate) {
+  const delta = new Date(toDate).getTime() - new Date(fromDate).getTime();
+  if (!Number.isFinite(delta) || delta === 0) return 0;
+
+  const reminders = await prisma.taskReminder.findMany({
+    where: { taskId, dismissedAt: null },
+  });
+  if (!reminders.length) return 0;
+
+  await prisma.$transaction(
+    reminders.map((reminder) =>
+      prisma.taskReminder.update({
+        where: { id: reminder.id },
+        data: {
+          reminderAt: new Date(reminder.reminderAt.getTime() + delta),
+          snoozeUntil: null,
+          sentAt: null,
+        },
+      })
+    )
+  );
+  return reminders.length;
+}
+
+function buildReminderEmail(reminder, baseUrl) {
+  const task = reminder.task;
+  const listName = task.list ? task.list.name : null;
+  const due = task.dueDate ? task.dueDate.toISOString().slice(0, 10) : null;
+  const tasksUrl = baseUrl ? `${baseUrl.replace(/\/$/, "")}/tasks` : null;
+
+  const text = [
+    `Reminder: ${task.title}`,
+    ``,
+    listName ? `List: ${listName}` : null,
+    due ? `Due: ${due}` : null,
+    task.description ? `\n${task.description}` : null,
+    ``,
+    tasksUrl ? `Open Sovereign Tasks: ${tasksUrl}` : `Open Sovereign Tasks to view this task.`,
+  ].filter((line) => line !== null).join("\n");
+
+  // Titles, descriptions and list names come from any editor of a shared list
+  const html = [
+    `<p><strong>Reminder:</strong> ${escapeMailHtml(task.title)}</p>`,
+    listName ? `<p><strong>List:</strong> ${escapeMailHtml(listName)}</p>` : "",
+    due ? `<p><strong>Due:</strong> ${due}</p>` : "",
+    task.description ? `<p>${escapeMailHtml(task.description)}</p>` : "",
+    tasksUrl ? `<p><a href="${tasksUrl}">Open Sovereign Tasks</a></p>` : "",
+  ].join("");
+
+  return {
+    to: reminder.email,
+    // A title pasted with line breaks must not add header lines
+    subject: `Sovereign Tasks reminder: ${task.title.replace(/[\r\n]+/g, " ")}`,
+    text,
+    html,
+    headers: {
+      "X-Sovereign-Plugin": "tasks",
+      "X-Sovereign-Tasks-Task-Id": String(task.id),
+      "X-Sovereign-Tasks-Reminder-Id": String(reminder.id),
+    },
+  };
+}
+
+// opts = { prisma, mailer, logger, intervalMs?, baseUrl? }
+export function createReminderScheduler({ prisma, mailer, logger, intervalMs, baseUrl }) {
+  const log = logger || console;
+  let timer = null;
+  let running = false;
+
+  async function canSeeList(userId, list) {
+    if (String(list.userId) === String(userId)) return true;
+    const member = await prisma.taskListMember.findFirst({
+      where: { listId: list.id, userId: String(userId) },
+      select: { id: true },
+    });
+    return !!member;
+  }
+
+  async function deliver(reminder, sendMailFn, now) {
+    // Claim first; another process may have picked it up already
+    const claimed = await prisma.taskReminder.updateMany({
+      where: { id: reminder.id, sentAt: null },
+      data: { sentAt: now },
+    });
+    if (claimed.count === 0) return false;
+
+    // Nothing to remind about once the task is done
+    if (reminder.task.completed) return false;
+
+    // Someone who left (or was removed from) a shared list no longer hears about its tasks
+    if (!(await canSeeList(reminder.userId, reminder.task.list))) {
+      if (log && typeof log.info === "function") {
+        log.info("[tasks-reminders] skipped; user no longer has the list", {
+          reminderId: reminder.id,
+          userId: reminder.userId,
+          listId: reminder.task.listId,
+        });
+      }
+      return false;
+    }
+
+    if (!reminder.email) {
+      if (log && typeof log.warn === "function") {
+        log.warn("[tasks-reminders] reminder has no email address", {
+          reminderId: reminder.id,
+          userId: reminder.userId,
+        });
+      }
+      return false;
+    }
+
+    try {
+      await sendMailFn(buildReminderEmail(reminder, baseUrl));
+    } catch (err) {
+      await prisma.taskReminder.update({
+        where: { id: reminder.id },
+        data: { sentAt: null, snoozeUntil: new Date(now.getTime() + RETRY_DELAY_MINUTES * MINUTE_MS) },
+      });
+      if (log && typeof log.error === "function") {
+        log.error("[tasks-reminders] email send failed", {
+          reminderId: reminder.id,
+          taskId: reminder.taskId,
+          error: err && err.message,
+        });
+      }
+      return false;
+    }
+    return true;
+  }
+
+  // One polling pass; resolves to the number of reminders emailed
+  async function runOnce(now = new Date()) {
+    if (running) return 0;
+    running = true;
+    try {
+      const sendMailFn = resolveSendMail(mailer);
+      if (!sendMailFn) return 0;
+
+      const due = await prisma.taskReminder.findMany({
+        // Tasks in the trash stay quiet; their reminders fire again if restored in time
+        where: { ...dueRemindersWhere(now), task: { deletedAt: null, list: { deletedAt: null } } },
+        include: { task: { include: { list: true } } },
+        orderBy: { reminderAt: "asc" },
+        take: BATCH_SIZE,
+      });
+
+      let sent = 0;
+      for (const reminder of due) {
+        if (await deliver(reminder, sendMailFn, now)) sent += 1;
+      }
+
+      if (sent && log && typeof log.info === "function") {
+        log.info("[tasks-reminders] sent", { count: sent });
+      }
+      return sent;
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    if (!resolveSendMail(mailer)) {
+      if (log && typeof log.warn === "function") {
+        log.warn("[tasks-reminders] mailer not configured; reminders will not be emailed");
+      }
+      return;
+    }
+    timer = setInterval(() => {
+      runOnce().catch((err) => {
+        if (log && typeof log.error === "function") {
+          log.error("[tasks-reminders] run failed", { error: err && err.message, stack: err && err.stack });
+        }
+      });
+    }, intervalMs || DEFAULT_INTERVAL_MS);
+    // Never keep the process alive just for reminders
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, runOnce };
+}
@@ -0,0 +1,385 @@
+// Request schemas for every API route that takes input (routes/api/index.js), keyed
+// by the route's log tag. Each entry declares `params`, `query` and/or `body`; routes
+// read the parsed values from `parseInput()` and never look at the raw request.
+// Routes without any input (bootstrap, tags, feeds, tokens, webhooks, trash, export) have no entry.
+
+import * as v from "./validate.js";
+import { RECURRENCE_PRESETS, parseRRule } from "./recurrence.js";
+import { IMPORT_FORMATS } from "./import.js";
+import { RESTORE_MODES } from "./backup.js";
+import { UPCOMING_MAX_DAYS } from "./views.js";
+import { BATCH_MAX_OPERATIONS, BATCH_UPDATE_FIELDS } from "./batch.js";
+import { INVITE_ROLES, LIST_ROLE_RANK } from "./access.js";
+import { TOKEN_SCOPES } from "./tokens.js";
+import { WEBHOOK_EVENTS, webhookUrlProblem } from "./webhooks.js";
+import { TASK_SORTS, LIST_SORTS, SORT_ORDERS, PAGE_MAX_LIMIT } from "./paging.js";
+
+export const TASK_TITLE_MAX_LENGTH = 500;
+export const TASK_DESCRIPTION_MAX_LENGTH = 20000;
+export const LIST_NAME_MAX_LENGTH = 200;
+export const LIST_SLUG_MAX_LENGTH = 200;
+export const TAG_NAME_MAX_LENGTH = 40;
+export const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const EMAIL_MAX_LENGTH = 254;
+const TOKEN_NAME_MAX_LENGTH = 100;
+const WEBHOOK_URL_MAX_LENGTH = 2000;
+const WEBHOOK_DELIVERIES_MAX_LIMIT = 100;
+const SEARCH_QUERY_MAX_LENGTH = 500;
+// Minutes either side of UTC, as from Date#getTimezoneOffset()
+const TIMEZONE_OFFSET_LIMIT = 14 * 60;
+const SNOOZE_MAX_MINUTES = 60 * 24 * 30;
+const RECURRENCE_UNITS = ["day", "week", "month", "year"];
+const RECURRENCE_ENDS = ["never", "onDate", "afterCount"];
+
+// --- Shared fields ---
+
+const rrule = v.refine(v.string({ trim: true, min: 1, max: 500 }), (value) => (
+  parseRRule(value) ? null : { code: "invalid_format", message: "is not a supported RRULE" }
+));
+
+// `recurringConfig` as documented on Task.recurringConfig in prisma/extension.prisma,
+// plus the legacy preset strings ("weekly") and bare RRULE strings
+export const recurrence = (value, path = []) => {
+  if (typeof value === "string") {
+    return RECURRENCE_PRESETS.includes(value) ? { value } : rrule(value.replace(/^RRULE:/i, ""), path);
+  }
+  return v.variant("kind", {
+    preset: { preset: v.oneOf(RECURRENCE_PRESETS) },
+    rrule: { rrule },
+    custom: {
+      custom: v.object({
+        interval: v.integer({ min: 1, max: 999 }),
+        unit: v.oneOf(RECURRENCE_UNITS),
+        ends: v.optional(v.refine(v.object({
+          type: v.oneOf(RECURRENCE_ENDS),
+          date: v.optional(v.nullable(v.dateOnly(), { blank: true })),
+          count: v.optional(v.nullable(v.integer({ min: 0 }))),
+        }), (ends) => {
+          if (ends.type === "onDate" && !ends.date) return { path: ["date"], code: "required", message: "is required when ends on a date" };
+          if (ends.type === "afterCount" && typeof ends.count !== "number") {
+            return { path: ["count"], code: "required", message: "is required when ends after a count" };
+          }
+          return null;
+        }), { type: "never" }),
+      }),
+    },
+  })(value, path);
+};
+
+export const taskTitle = v.string({ trim: true, min: 1, max: TASK_TITLE_MAX_LENGTH });
+export const taskDescription = v.nullable(v.string({ max: TASK_DESCRIPTION_MAX_LENGTH }));
+// Due dates are calendar days; full timestamps from older clients are accepted too
+export const dueDate = v.nullable(v.date(), { blank: true });
+const baseUpdatedAt = v.optional(v.nullable(v.date(), { blank: true }));
+const optionalId = v.optional(v.nullable(v.id(), { blank: true }), null);
+const today = v.optional(v.dateOnly());
+const idParams = v.object({ id: v.id() });
+const reminderParams = v.object({ id: v.id(), reminderId: v.id() });
+const listName = v.string({ trim: true, min: 1, max: LIST_NAME_MAX_LENGTH });
+const listSlug = v.string({
+  trim: true,
+  min: 1,
+  max: LIST_SLUG_MAX_LENGTH,
+  pattern: /^\S+$/,
+  patternMessage: "must not contain spaces",
+});
+const tagName = v.string({ trim: true, min: 1, max: TAG_NAME_MAX_LENGTH });
+const tagColor = v.string({ pattern: TAG_COLOR_PATTERN, patternMessage: "must be a #rrggbb hex colour" });
+const placement = {
+  afterId: optionalId,
+  beforeId: optionalId,
+};
+
+// Operations for `POST /batch`, documented in lib/batch.js. Access and existence
+// are checked when the batch runs.
+const batchOperation = v.variant("op", {
+  create: {
+    listId: v.id(),
+    title: taskTitle,
+    description: v.optional(taskDescription),
+    dueDate: v.optional(dueDate),
+    recurringConfig: v.optional(v.nullable(recurrence)),
+    starred: v.optional(v.boolean(), false),
+    parentId: optionalId,
+  },
+  update: {
+    id: v.id(),
+    title: v.optional(taskTitle),
+    description: v.optional(taskDescription),
+    dueDate: v.optional(dueDate),
+    recurringConfig: v.optional(v.nullable(recurrence)),
+    baseUpdatedAt,
+  },
+  complete: {
+    id: v.id(),
+    completed: v.optional(v.boolean(), true),
+    completeSubtasks: v.optional(v.boolean(), false),
+    baseUpdatedAt,
+  },
+  star: { id: v.id(), starred: v.optional(v.boolean(), true), baseUpdatedAt },
+  move: { id: v.id(), listId: v.id(), baseUpdatedAt },
+  delete: { id: v.id() },
+});
+
+const webhookUrl = v.refine(v.string({ trim: true, min: 1, max: WEBHOOK_URL_MAX_LENGTH }), (value) => {
+  const problem = webhookUrlProblem(value);
+  return problem ? { code: "invalid_format", message: problem } : null;
+});
+const webhookEvents = v.array(v.oneOf(WEBHOOK_EVENTS), { min: 1 });
+
+// Cursor pagination (lib/paging.js); the cursor itself is checked by the route.
+// Listings are only paged when `limit` or `cursor` is sent (PAGE_DEFAULT_LIMIT rows
+// when only `cursor` is); otherwise they answer every row as a bare array.
+const paging = {
+  cursor: v.optional(v.string({ min: 1, max: 1000 })),
+  limit: v.optional(v.integer({ min: 1, max: PAGE_MAX_LIMIT })),
+  order: v.optional(v.oneOf(SORT_ORDERS), "asc"),
+};
+
+const historyQuery = v.object({
+  limit: v.optional(v.integer({ min: 1 })),
+  before: v.optional(v.id()),
+});
+
+export const SCHEMAS = {
+  changes: {
+    query: v.object({ since: v.optional(v.string()) }),
+  },
+
+  "tags:create": {
+    body: v.object({ name: tagName, color: v.optional(tagColor) }),
+  },
+  "tags:update": {
+    params: idParams,
+    body: v.object({ name: v.optional(tagName), color: v.optional(tagColor) }),
+  },
+  "tags:delete": { params: idParams },
+
+  "feeds:create": {
+    body: v.object({ listId: optionalId }),
+  },
+  "feeds:revoke": { params: idParams },
+
+  // `listIds: null` (or left out) lets the token reach every list
+  "tokens:create": {
+    body: v.object({
+      name: v.string({ trim: true, min: 1, max: TOKEN_NAME_MAX_LENGTH }),
+      scope: v.optional(v.oneOf(TOKEN_SCOPES), "read"),
+      listIds: v.optional(v.nullable(v.array(v.id(), { min: 1 })), null),
+    }),
+  },
+  "tokens:revoke": { params: idParams },
+
+  "webhooks:create": {
+    body: v.object({
+      url: webhookUrl,
+      events: webhookEvents,
+      active: v.optional(v.boolean(), true),
+    }),
+  },
+  // `rotateSecret: true` replaces the signing secret; the new one is in the response
+  "webhooks:update": {
+    params: idParams,
+    body: v.object({
+      url: v.optional(webhookUrl),
+      events: v.optional(webhookEvents),
+      active: v.optional(v.boolean()),
+      rotateSecret: v.optional(v.boolean(), false),
+    }),
+  },
+  "webhooks:delete": { params: idParams },
+  "webhooks:ping": { params: idParams },
+  "webhooks:deliveries": {
+    params: idParams,
+    query: v.object({
+      status: v.optional(v.oneOf(["pending", "delivered", "failed"])),
+      limit: v.optional(v.integer({ min: 1, max: WEBHOOK_DELIVERIES_MAX_LIMIT }), 50),
+      before: v.optional(v.id()),
+    }),
+  },
+  "webhooks:redeliver": {
+    params: v.object({ id: v.id(), deliveryId: v.id() }),
+  },
+
+  // `listId: null` (or left out) files mail in the first list the user can edit, unless
+  // the subject names a "#list"
+  "inbound:create": {
+    body: v.object({ listId: optionalId }),
+  },
+  "inbound:delete": { params: idParams },
+  // `to` is the envelope recipient, for ingresses that do not add Delivered-To
+  "inbound:mail": {
+    query: v.object({ to: v.optional(v.string({ trim: true, max: 320 })) }),
+  },
+
+  // `data` and `mapping` are checked by the importer itself (lib/import.js)
+  import: {
+    query: v.object({ dryRun: v.optional(v.boolean(), false) }),
+    body: v.object({
+      format: v.oneOf(IMPORT_FORMATS),
+      data: v.any(),
+      mapping: v.optional(v.nullable(v.any())),
+      listName: v.optional(v.nullable(v.string({ trim: true, max: LIST_NAME_MAX_LENGTH }))),
+      dryRun: v.optional(v.boolean(), false),
+    }),
+  },
+  // The backup's contents are checked by validateBackup() (lib/backup.js)
+  restore: {
+    body: v.object({ backup: v.any(), mode: v.oneOf(RESTORE_MODES) }),
+  },
+
+  "lists:create": {
+    body: v.object({ name: listName, slug: v.optional(v.nullable(listSlug, { blank: true })) }),
+  },
+  "lists:order": {
+    body: v.object({ listOrder: v.array(v.id()) }),
+  },
+  "lists:move": {
+    params: idParams,
+    body: v.object(placement),
+  },
+  "lists:update": {
+    params: idParams,
+    body: v.object({ name: v.optional(listName), slug: v.optional(listSlug), baseUpdatedAt }),
+  },
+  "lists:delete": { params: idParams },
+  "lists:restore": { params: idParams },
+  "lists:share": {
+    params: idParams,
+    body: v.object({
+      email: v.string({
+        trim: true,
+        min: 1,
+        max: EMAIL_MAX_LENGTH,
+        pattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+        patternMessage: "must be an email address",
+      }),
+      role: v.optional(v.oneOf(INVITE_ROLES), "editor"),
+    }),
+  },
+  "invites:list": { params: idParams },
+  "invites:resend": { params: idParams },
+  "invites:revoke": { params: idParams },
+  "lists:leave": { params: idParams },
+  "lists:history": { params: idParams, query: historyQuery },
+
+  // `dueFrom`/`dueTo` are inclusive days; `updatedSince` is exclusive
+  "tasks:list": {
+    query: v.refine(v.object({
+      ...paging,
+      sort: v.optional(v.oneOf(Object.keys(TASK_SORTS)), "position"),
+      listId: v.optional(v.id()),
+      completed: v.optional(v.boolean()),
+      starred: v.optional(v.boolean()),
+      recurring: v.optional(v.boolean()),
+      dueFrom: v.optional(v.dateOnly()),
+      dueTo: v.optional(v.dateOnly()),
+      updatedSince: v.optional(v.date()),
+    }), (query) => (query.dueFrom && query.dueTo && query.dueFrom > query.dueTo
+      ? { path: ["dueTo"], code: "too_small", message: "must not be before dueFrom" }
+      : null)),
+  },
+  // `today` is the day overdue counts are relative to (the server's by default)
+  "lists:list": {
+    query: v.object({
+      ...paging,
+      sort: v.optional(v.oneOf(Object.keys(LIST_SORTS)), "position"),
+      role: v.optional(v.oneOf(Object.keys(LIST_ROLE_RANK))),
+      updatedSince: v.optional(v.date()),
+      today,
+    }),
+  },
+  "tasks:search": {
+    query: v.object({
+      q: v.optional(v.string({ max: SEARCH_QUERY_MAX_LENGTH }), ""),
+      today,
+      limit: v.optional(v.integer({ min: 1 })),
+    }),
+  },
+  "views:get": {
+    params: v.object({ view: v.string() }),
+    query: v.object({ today, days: v.optional(v.integer({ min: 1, max: UPCOMING_MAX_DAYS })) }),
+  },
+  // Without `quickAdd`, `listId` and `title` are required
+  "tasks:create": {
+    body: v.refine(v.object({
+      listId: v.optional(v.id()),
+      title: v.optional(taskTitle),
+      description: v.optional(taskDescription),
+      dueDate: v.optional(dueDate),
+      recurringConfig: v.optional(v.nullable(recurrence)),
+      starred: v.optional(v.boolean(), false),
+      parentId: optionalId,
+      reminderAt: v.optional(v.nullable(v.date(), { blank: true }), null),
+      quickAdd: v.optional(v.string({ trim: true, min: 1, max: TASK_TITLE_MAX_LENGTH })),
+      today,
+      timezoneOffset: v.optional(v.integer({ min: -TIMEZONE_OFFSET_LIMIT, max: TIMEZONE_OFFSET_LIMIT })),
+    }), (body) => {
+      if (typeof body.quickAdd === "string") return null;
+      if (typeof body.listId !== "number") return { path: ["listId"], code: "required", message: "is required" };
+      if (typeof body.title !== "string") return { path: ["title"], code: "required", message: "is required" };
+      return null;
+    }),
+  },
+  batch: {
+    body: v.object({
+      operations: v.array(v.refine(batchOperation, (op) => (
+        op.op === "update" && !BATCH_UPDATE_FIELDS.some((field) => field in op)
+          ? { code: "required", message: `update needs at least one of ${BATCH_UPDATE_FIELDS.join(", ")}` }
+          : null
+      )), { min: 1, max: BATCH_MAX_OPERATIONS }),
+    }),
+  },
+  "tasks:order": {
+    body: v.object({ listId: v.id(), taskOrder: v.array(v.id()), parentId: optionalId }),
+  },
+  "tasks:move": {
+    params: idParams,
+    body: v.object({ ...placement, listId: optionalId, baseUpdatedAt }),
+  },
+  "tasks:update": {
+    params: idParams,
+    body: v.object({
+      listId: v.optional(v.id()),
+      title: v.optional(taskTitle),
+      description: v.optional(taskDescription),
+      dueDate: v.optional(dueDate),
+      recurringConfig: v.optional(v.nullable(recurrence)),
+      completed: v.optional(v.boolean()),
+      starred: v.optional(v.boolean()),
+      // Legacy ordering; moves use `POST /:id/move`
+      position: v.optional(v.integer()),
+      parentId: v.optional(v.nullable(v.id())),
+      completeSubtasks: v.optional(v.boolean(), false),
+      baseUpdatedAt,
+    }),
+  },
+  "tasks:tags": {
+    params: idParams,
+    body: v.object({ tagIds: v.array(v.id()) }),
+  },
+  "tasks:delete": { params: idParams },
+  "tasks:restore": { params: idParams },
+  "tasks:deleteCompleted": { params: idParams },
+  "tasks:history": { params: idParams, query: historyQuery },
+
+  "reminders:list": { params: idParams },
+  "reminders:create": {
+    params: idParams,
+    body: v.object({ reminderAt: v.date() }),
+  },
+  "reminders:update": {
+    params: reminderParams,
+    body: v.object({ reminderAt: v.date() }),
+  },
+  "reminders:delete": { params: reminderParams },
+  // `until` wins over `minutes`
+  "reminders:snooze": {
+    params: reminderParams,
+    body: v.object({
+      minutes: v.optional(v.number({ positive: true, max: SNOOZE_MAX_MINUTES })),
+      until: v.optional(v.date()),
+    }),
+  },
+  "reminders:dismiss": { params: reminderParams },
+};
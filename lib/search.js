@@ -0,0 +1,202 @@
+// Task search shared by the API (`GET /search`) and the web UI (served to the
+// browser as /tasks/assets/search.js).
+//
+// Query language: plain words and "quoted phrases" match the title and
+// description; a leading "-" excludes. Operators narrow the results:
+//   is:starred  is:done  is:open
+//   list:<slug or name>  tag:<name>
+//   has:recurrence  has:due  has:description  has:tags
+//   due:today  due:tomorrow  due:yesterday  due:this-week  due:next-week
+//   due:this-month  due:overdue  due:none  due:2026-03-01
+//   with a comparator: due:<today  due:<=2026-03-01  due:>this-week  due:>=tomorrow
+//
+// Due dates are compared as calendar days ("YYYY-MM-DD"); `today` is supplied
+// by the caller so that the browser's local day can be used.
+
+import { toDateOnly, formatDateOnly } from "./recurrence.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IS_VALUES = { starred: "starred", done: "done", completed: "done", open: "open", active: "open" };
+const HAS_VALUES = ["recurrence", "due", "description", "tags"];
+const DUE_KEYWORDS = ["today", "tomorrow", "yesterday", "this-week", "next-week", "this-month", "overdue", "none"];
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+function normaliseText(value) {
+  return String(value || "").toLowerCase().trim();
+}
+
+function shiftDay(dateOnly, days) {
+  return formatDateOnly(new Date(toDateOnly(dateOnly).getTime() + days * DAY_MS));
+}
+
+// Inclusive [start, end] day range for a due keyword or date, or null
+function dueRange(value, today) {
+  if (value === "today") return [today, today];
+  if (value === "tomorrow") return [shiftDay(today, 1), shiftDay(today, 1)];
+  if (value === "yesterday") return [shiftDay(today, -1), shiftDay(today, -1)];
+  if (value === "this-week" || value === "next-week") {
+    // Weeks start on Monday
+    const offset = (toDateOnly(today).getUTCDay() + 6) % 7;
+    const start = shiftDay(today, -offset + (value === "next-week" ? 7 : 0));
+    return [start, shiftDay(start, 6)];
+  }
+  if (value === "this-month") {
+    const date = toDateOnly(today);
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+    return [today.slice(0, 8) + "01", formatDateOnly(end)];
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && toDateOnly(value)) {
+    const day = formatDateOnly(toDateOnly(value));
+    return [day, day];
+  }
+  return null;
+}
+
+function parseDueFilter(raw) {
+  const match = /^(<=|>=|<|>)?(.+)$/.exec(raw);
+  if (!match) return null;
+  const op = match[1] || null;
+  const value = match[2].toLowerCase();
+  if (op && (value === "overdue" || value === "none")) return null;
+  if (!DUE_KEYWORDS.includes(value) && !dueRange(value, "2000-01-01")) return null;
+  return { op, value };
+}
+
+// Parses a query string into { terms, filters, errors }.
+// Words that look like `key:value` with an unknown key are searched as text.
+export function parseSearchQuery(input) {
+  const query = { terms: [], filters: [], errors: [] };
+  const source = typeof input === "string" ? input : "";
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    const negate = match[1] === "-";
+    const key = match[2] ? match[2].toLowerCase() : null;
+    const value = typeof match[3] === "string" ? match[3] : match[4];
+    const raw = match[0].slice(negate ? 1 : 0);
+
+    if (!key || !["is", "list", "tag", "has", "due"].includes(key)) {
+      const text = normaliseText(key ? raw.replace(/"/g, "") : value);
+      if (text) query.terms.push({ text, negate });
+      continue;
+    }
+
+    if (!value) {
+      query.errors.push(`${key}: needs a value`);
+    } else if (key === "is") {
+      const state = IS_VALUES[value.toLowerCase()];
+      if (state) query.filters.push({ key, value: state, negate });
+      else query.errors.push(`Unknown value for is: "${value}"`);
+    } else if (key === "has") {
+      const what = value.toLowerCase();
+      if (HAS_VALUES.includes(what)) query.filters.push({ key, value: what, negate });
+      else query.errors.push(`Unknown value for has: "${value}"`);
+    } else if (key === "due") {
+      const due = parseDueFilter(value);
+      if (due) query.filters.push({ key, value: due.value, op: due.op, negate });
+      else query.errors.push(`Unknown value for due: "${value}"`);
+    } else {
+      query.filters.push({ key, value: normaliseText(value), negate });
+    }
+  }
+
+  return query;
+}
+
+function taskDueDay(task) {
+  return task.dueDate ? formatDateOnly(toDateOnly(task.dueDate)) : null;
+}
+
+function matchesDue(task, filter, today) {
+  const due = taskDueDay(task);
+  if (filter.value === "none") return !due;
+  if (!due) return false;
+  if (filter.value === "overdue") return due < today && !task.completed;
+
+  const [start, end] = dueRange(filter.value, today);
+  if (filter.op === "<") return due < start;
+  if (filter.op === "<=") return due <= end;
+  if (filter.op === ">") return due > end;
+  if (filter.op === ">=") return due >= start;
+  return due >= start && due <= end;
+}
+
+function matchesFilter(task, filter, context) {
+  if (filter.key === "is") {
+    if (filter.value === "starred") return !!task.starred;
+    if (filter.value === "done") return !!task.completed;
+    return !task.completed;
+  }
+  if (filter.key === "has") {
+    if (filter.value === "recurrence") return !!(task.recurringConfig || task.recurring);
+    if (filter.value === "due") return !!task.dueDate;
+    if (filter.value === "description") return !!normaliseText(task.description);
+    return context.tagNamesOf(task).length > 0;
+  }
+  if (filter.key === "list") {
+    const list = context.listOf(task);
+    if (!list) return false;
+    return normaliseText(list.slug) === filter.value || normaliseText(list.name) === filter.value;
+  }
+  if (filter.key === "tag") {
+    return context.tagNamesOf(task).some((name) => normaliseText(name) === filter.value);
+  }
+  return matchesDue(task, filter, context.today);
+}
+
+// Title hits outrank description hits; whole-word and prefix hits outrank substrings
+function scoreTerm(task, text) {
+  const title = normaliseText(task.title);
+  const description = normaliseText(task.description);
+  let score = 0;
+
+  if (title === text) score += 100;
+  else if (title.startsWith(text)) score += 40;
+  else if ((" " + title).includes(" " + text)) score += 25;
+  else if (title.includes(text)) score += 15;
+
+  if (description.includes(text)) score += 5;
+  return score;
+}
+
+function compareResults(a, b) {
+  if (a.score !== b.score) return b.score - a.score;
+  if (!!a.task.completed !== !!b.task.completed) return a.task.completed ? 1 : -1;
+  const dueA = taskDueDay(a.task);
+  const dueB = taskDueDay(b.task);
+  if (dueA !== dueB) {
+    if (!dueA) return 1;
+    if (!dueB) return -1;
+    return dueA < dueB ? -1 : 1;
+  }
+  return Number(a.task.id) - Number(b.task.id);
+}
+
+// Ranks the tasks matching a parsed query. Returns [{ task, score }], best first.
+// `context`: { today: "YYYY-MM-DD", listOf(task) -> { slug, name }, tagNamesOf(task) -> [name] }
+export function searchTasks(tasks, query, context = {}) {
+  const ctx = {
+    today: context.today || formatDateOnly(toDateOnly(new Date())),
+    listOf: context.listOf || (() => null),
+    tagNamesOf: context.tagNamesOf || (() => []),
+  };
+
+  const results = [];
+  (tasks || []).forEach((task) => {
+    if (!task) return;
+    const filtersMatch = query.filters.every((filter) => matchesFilter(task, filter, ctx) !== filter.negate);
+    if (!filtersMatch) return;
+
+    let score = 0;
+    for (const term of query.terms) {
+      const termScore = scoreTerm(task, term.text);
+      if (term.negate ? termScore > 0 : termScore === 0) return;
+      score += termScore;
+    }
+    if (task.starred) score += 1;
+    results.push({ task, score });
+  });
+
+  return results.sort(compareResults);
+}
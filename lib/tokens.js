@@ -0,0 +1,79 @@
+// Personal access tokens (`TaskAccessToken` rows) for scripts and automations, sent as
+// `Authorization: Bearer <token>` to any route of the API router. Only a SHA-256 hash
+// is stored; the token itself is shown once, when it is created.
+//
+// A token acts as the user who created it, narrowed by
+//   scope    "read" allows GET requests only, "write" allows changes too
+//   listIds  null for every list the user can see, or the lists it is limited to;
+//            limited tokens cannot use account-wide routes (import, restore, feeds, ...)
+// Tokens cannot manage tokens themselves.
+
+import crypto from "crypto";
+
+export const TOKEN_SCOPES = ["read", "write"];
+const TOKEN_PREFIX = "svt_";
+// Characters of the token kept in `prefix`, enough to tell tokens apart in the UI
+const TOKEN_PREFIX_LENGTH = 12;
+// `lastUsedAt` is written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const READ_METHODS = new Set(["GET", "HEAD"]);
+
+// Returns { token, tokenHash, prefix }; only the hash and prefix are stored
+export function generateToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashToken(token), prefix: token.slice(0, TOKEN_PREFIX_LENGTH) };
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// The token of an `Authorization: Bearer` header, or null without one
+export function bearerToken(req) {
+  const header = String((req.get && req.get("Authorization")) || "");
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  return match ? match[1] : null;
+}
+
+// opts = { prisma, logger }
+export function createTokenAuth({ prisma, logger }) {
+  // Express middleware. A valid bearer token sets `req.tasksToken` to
+  // { id, userId, name, scope, listIds }; an unknown one is answered with 401, and a
+  // read-only one used for a change with 403. Requests without the header pass through.
+  async function authenticate(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) return next();
+
+    const row = await prisma.taskAccessToken.findUnique({ where: { tokenHash: hashToken(token) } });
+    if (!row) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-tokens] unknown token", { path: req.path, method: req.method });
+      }
+      return res.status(401).json({ error: "Invalid access token", code: "invalid_token" });
+    }
+    if (row.scope !== "write" && !READ_METHODS.has(req.method)) {
+      return res.status(403).json({ error: "This access token is read-only", code: "insufficient_scope" });
+    }
+
+    req.tasksToken = {
+      id: row.id,
+      userId: row.userId,
+      name: row.name,
+      scope: row.scope,
+      listIds: Array.isArray(row.listIds) ? row.listIds : null,
+    };
+
+    // Best effort: a failed write must not fail the request
+    const now = new Date();
+    if (!row.lastUsedAt || now - row.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      prisma.taskAccessToken.update({ where: { id: row.id }, data: { lastUsedAt: now } }).catch((err) => {
+        if (logger && typeof logger.warn === "function") {
+          logger.warn("[tasks-tokens] lastUsedAt update failed", { tokenId: row.id, error: err && err.message });
+        }
+      });
+    }
+    return next();
+  }
+
+  return { authenticate };
+}
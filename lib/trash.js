@@ -0,0 +1,106 @@
+// Trash for soft-deleted lists and tasks.
+// Deleting sets `deletedAt` instead of removing rows; the purger removes rows
+// that have been in the trash for longer than the retention period.
+//
+// A deleted list keeps its tasks (they come back with it). Deleting a task also
+// deletes its subtasks with the same `deletedAt`, which is how restoring the
+// parent knows which subtasks to bring back.
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Trashed lists give up their slug so a new list can reuse the name
+const TRASHED_SLUG_SUFFIX = "--trashed-";
+
+// Retention in days from `TASKS_TRASH_RETENTION_DAYS`, falling back to 30
+export function resolveTrashRetentionDays(env = process.env) {
+  const days = Number(env && env.TASKS_TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+export function trashPurgeAt(deletedAt, retentionDays) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+export function trashedSlug(slug, listId) {
+  return `${slug}${TRASHED_SLUG_SUFFIX}${listId}`;
+}
+
+// The slug a restored list should get back; `taken` says whether another list now uses it
+export function restoredSlug(slug, listId, taken) {
+  const suffix = `${TRASHED_SLUG_SUFFIX}${listId}`;
+  const original = slug.endsWith(suffix) ? slug.slice(0, -suffix.length) : slug;
+  return taken(original) ? `${original}-${listId}` : original;
+}
+
+// `TaskTombstone` rows telling `GET /changes` that `ids` were deleted (or trashed)
+export function tombstoneData(userId, entityType, ids, listId = null) {
+  return ids.map((entityId) => ({
+    userId: String(userId),
+    listId,
+    entityType,
+    entityId,
+  }));
+}
+
+// Permanently removes trashed lists matching `lists` (with their tasks) and trashed
+// tasks matching `tasks`. Tombstones were written when the rows were trashed.
+export async function purgeTrash(prisma, { lists: listWhere, tasks: taskWhere }) {
+  const lists = await prisma.taskList.findMany({
+    where: { ...listWhere, deletedAt: { not: null, ...(listWhere.deletedAt || {}) } },
+    select: { id: true },
+  });
+  const listIds = lists.map((l) => l.id);
+
+  // Subtasks, reminders, tag assignments, members, invites and feeds cascade
+  const [, tasks, removedLists] = await prisma.$transaction([
+    prisma.task.deleteMany({ where: { listId: { in: listIds } } }),
+    prisma.task.deleteMany({ where: { ...taskWhere, deletedAt: { not: null, ...(taskWhere.deletedAt || {}) } } }),
+    prisma.taskList.deleteMany({ where: { id: { in: listIds } } }),
+  ]);
+  return { lists: removedLists.count, tasks: tasks.count };
+}
+
+// opts = { prisma, logger, retentionDays?, intervalMs? }
+export function createTrashPurger({ prisma, logger, retentionDays, intervalMs }) {
+  const log = logger || console;
+  const days = retentionDays || resolveTrashRetentionDays();
+  let timer = null;
+  let running = false;
+
+  async function runOnce(now = new Date()) {
+    if (running) return { lists: 0, tasks: 0 };
+    running = true;
+    try {
+      const cutoff = { lte: new Date(now.getTime() - days * DAY_MS) };
+      const purged = await purgeTrash(prisma, { lists: { deletedAt: cutoff }, tasks: { deletedAt: cutoff } });
+      if ((purged.lists || purged.tasks) && log && typeof log.info === "function") {
+        log.info("[tasks-trash] purged", { ...purged, retentionDays: days });
+      }
+      return purged;
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    const run = () => {
+      runOnce().catch((err) => {
+        if (log && typeof log.error === "function") {
+          log.error("[tasks-trash] purge failed", { error: err && err.message, stack: err && err.stack });
+        }
+      });
+    };
+    timer = setInterval(run, intervalMs || DEFAULT_INTERVAL_MS);
+    // Never keep the process alive just for the purge
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, runOnce, retentionDays: days };
+}
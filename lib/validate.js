@@ -0,0 +1,260 @@
+// Declarative request validation and the API's error envelope.
+// A schema is a function (value, path) -> { value } | { issues }, built from the
+// helpers below; `value` is the parsed input (ids as numbers, dates as Date, unknown
+// object keys dropped). The route schemas themselves are in lib/schemas.js.
+//
+// Every error response of the API has the shape
+//   { error: { code, message, fields? }, ...extra }
+// where `fields` lists [{ path, code, message }] for invalid input. Field codes:
+//   required, invalid_type, invalid_value, invalid_format, invalid_date,
+//   too_short, too_long, too_small, too_large
+
+// `code` of an error response that does not name one
+export const STATUS_ERROR_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  410: "gone",
+  413: "too_large",
+  422: "unprocessable",
+  429: "rate_limited",
+  500: "internal_error",
+  501: "not_implemented",
+};
+
+const ISO_DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function issue(path, code, message) {
+  return { issues: [{ path: path.join("."), code, message }] };
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+// --- Primitives ---
+
+// opts = { min?, max?, trim?, pattern?, patternMessage? }; `min`/`max` count characters
+export function string(opts = {}) {
+  return (value, path = []) => {
+    if (typeof value !== "string") return issue(path, "invalid_type", `must be a string, not ${describe(value)}`);
+    const parsed = opts.trim ? value.trim() : value;
+    if (typeof opts.min === "number" && parsed.length < opts.min) {
+      return issue(path, opts.min === 1 ? "required" : "too_short",
+        opts.min === 1 ? "must not be empty" : `must be at least ${opts.min} characters`);
+    }
+    if (typeof opts.max === "number" && parsed.length > opts.max) {
+      return issue(path, "too_long", `must be at most ${opts.max} characters`);
+    }
+    if (opts.pattern && !opts.pattern.test(parsed)) {
+      return issue(path, "invalid_format", opts.patternMessage || "has an invalid format");
+    }
+    return { value: parsed };
+  };
+}
+
+// Whole numbers; numeric strings are accepted because query strings and older clients send them.
+// opts = { min?, max? }
+export function integer(opts = {}) {
+  return (value, path = []) => {
+    const parsed = typeof value === "string" && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (typeof parsed !== "number" || !Number.isInteger(parsed)) {
+      return issue(path, "invalid_type", "must be a whole number");
+    }
+    if (typeof opts.min === "number" && parsed < opts.min) return issue(path, "too_small", `must be at least ${opts.min}`);
+    if (typeof opts.max === "number" && parsed > opts.max) return issue(path, "too_large", `must be at most ${opts.max}`);
+    return { value: parsed };
+  };
+}
+
+// opts = { min?, max?, positive? }
+export function number(opts = {}) {
+  return (value, path = []) => {
+    const parsed = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof parsed !== "number" || !Number.isFinite(parsed)) return issue(path, "invalid_type", "must be a number");
+    if (opts.positive && parsed <= 0) return issue(path, "too_small", "must be greater than 0");
+    if (typeof opts.min === "number" && parsed < opts.min) return issue(path, "too_small", `must be at least ${opts.min}`);
+    if (typeof opts.max === "number" && parsed > opts.max) return issue(path, "too_large", `must be at most ${opts.max}`);
+    return { value: parsed };
+  };
+}
+
+// Database ids
+export function id() {
+  return integer({ min: 1 });
+}
+
+// true/false, or "true"/"false"/"1"/"0" from query strings
+export function boolean() {
+  return (value, path = []) => {
+    if (typeof value === "boolean") return { value };
+    if (value === "true" || value === "1") return { value: true };
+    if (value === "false" || value === "0") return { value: false };
+    return issue(path, "invalid_type", "must be true or false");
+  };
+}
+
+// A point in time (ISO string or epoch milliseconds), parsed to a Date
+export function date() {
+  return (value, path = []) => {
+    if (typeof value !== "string" && typeof value !== "number") {
+      return issue(path, "invalid_type", "must be a date");
+    }
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) return issue(path, "invalid_date", "is not a valid date");
+    // "2026-02-30" would silently become 2 March
+    const day = typeof value === "string" ? /^(\d{4})-(\d{2})-(\d{2})/.exec(value) : null;
+    if (day && !isCalendarDay(day)) return issue(path, "invalid_date", "is not a valid date");
+    return { value: parsed };
+  };
+}
+
+function isCalendarDay([, y, m, d]) {
+  const day = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  return day.getUTCFullYear() === Number(y) && day.getUTCMonth() === Number(m) - 1 && day.getUTCDate() === Number(d);
+}
+
+// A calendar day as "YYYY-MM-DD"; the value stays a string
+export function dateOnly() {
+  return (value, path = []) => {
+    if (typeof value !== "string") return issue(path, "invalid_type", "must be a YYYY-MM-DD date");
+    const match = ISO_DAY_PATTERN.exec(value);
+    if (!match) return issue(path, "invalid_format", "must be a YYYY-MM-DD date");
+    if (!isCalendarDay(match)) return issue(path, "invalid_date", "is not a valid date");
+    return { value };
+  };
+}
+
+export function oneOf(values) {
+  return (value, path = []) => (values.includes(value)
+    ? { value }
+    : issue(path, "invalid_value", `must be one of ${values.join(", ")}`));
+}
+
+// Any JSON value; for payloads checked by their own parser (imports, backups)
+export function any() {
+  return (value) => ({ value });
+}
+
+// --- Composition ---
+
+// opts = { min?, max? } on the number of items
+export function array(item, opts = {}) {
+  return (value, path = []) => {
+    if (!Array.isArray(value)) return issue(path, "invalid_type", `must be an array, not ${describe(value)}`);
+    if (typeof opts.min === "number" && value.length < opts.min) {
+      return issue(path, opts.min === 1 ? "required" : "too_short",
+        opts.min === 1 ? "must not be empty" : `must have at least ${opts.min} items`);
+    }
+    if (typeof opts.max === "number" && value.length > opts.max) {
+      return issue(path, "too_long", `must have at most ${opts.max} items`);
+    }
+    const parsed = [];
+    const issues = [];
+    value.forEach((entry, index) => {
+      const result = item(entry, [...path, index]);
+      if (result.issues) issues.push(...result.issues);
+      else parsed.push(result.value);
+    });
+    return issues.length ? { issues } : { value: parsed };
+  };
+}
+
+// Keys not in `shape` are dropped. A missing key is `required` unless its schema is optional().
+export function object(shape) {
+  return (value, path = []) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return issue(path, "invalid_type", `must be an object, not ${describe(value)}`);
+    }
+    const parsed = {};
+    const issues = [];
+    Object.entries(shape).forEach(([key, schema]) => {
+      if (typeof value[key] === "undefined" && !schema.optional) {
+        issues.push({ path: [...path, key].join("."), code: "required", message: "is required" });
+        return;
+      }
+      const result = schema(value[key], [...path, key]);
+      if (result.issues) issues.push(...result.issues);
+      else if (typeof result.value !== "undefined") parsed[key] = result.value;
+    });
+    return issues.length ? { issues } : { value: parsed };
+  };
+}
+
+// Objects whose shape depends on one key, e.g. { op: "create", ... } or { kind: "rrule", ... }
+export function variant(key, shapes) {
+  const kinds = Object.keys(shapes);
+  return (value, path = []) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return issue(path, "invalid_type", `must be an object, not ${describe(value)}`);
+    }
+    if (!kinds.includes(value[key])) {
+      return issue([...path, key], typeof value[key] === "undefined" ? "required" : "invalid_value",
+        `must be one of ${kinds.join(", ")}`);
+    }
+    return object({ [key]: oneOf(kinds), ...shapes[value[key]] })(value, path);
+  };
+}
+
+// May be left out; `fallback` is used then
+export function optional(schema, fallback) {
+  const wrapped = (value, path = []) => (typeof value === "undefined" ? { value: fallback } : schema(value, path));
+  wrapped.optional = true;
+  return wrapped;
+}
+
+// null is allowed (and so is "" with `blank: true`, as null)
+export function nullable(schema, { blank = false } = {}) {
+  const wrapped = (value, path = []) => {
+    if (value === null || (blank && value === "")) return { value: null };
+    return schema(value, path);
+  };
+  wrapped.optional = schema.optional;
+  return wrapped;
+}
+
+// Extra checks on a parsed value: `check(value)` returns null, or { path?, code?, message }
+// (`path` relative to the checked value)
+export function refine(schema, check) {
+  const wrapped = (value, path = []) => {
+    const result = schema(value, path);
+    if (result.issues) return result;
+    const problem = check(result.value);
+    if (!problem) return result;
+    return issue([...path, ...(problem.path || [])], problem.code || "invalid_value", problem.message);
+  };
+  wrapped.optional = schema.optional;
+  return wrapped;
+}
+
+// --- Running schemas and reporting ---
+
+// Returns { value } or { issues }
+export function validate(schema, value) {
+  return schema(value, []);
+}
+
+// "title: must not be empty" for the first issue, for clients that only show one line
+export function issuesMessage(issues) {
+  const [first] = issues;
+  const text = first.path ? `${first.path}: ${first.message}` : first.message;
+  return issues.length > 1 ? `${text} (and ${issues.length - 1} more)` : text;
+}
+
+// Wraps a route's `{ error: "message", code?, fields?, ...extra }` body in the envelope.
+// Bodies already in the envelope are returned as they are.
+export function errorEnvelope(status, body) {
+  if (!body || typeof body !== "object" || typeof body.error !== "string") return body;
+  const { error, code, fields, ...extra } = body;
+  return {
+    ...extra,
+    error: {
+      code: code || STATUS_ERROR_CODES[status] || (status >= 500 ? "internal_error" : "invalid_request"),
+      message: error,
+      ...(fields && fields.length ? { fields } : {}),
+    },
+  };
+}
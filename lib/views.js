@@ -0,0 +1,84 @@
+// Smart views shared by the API (`GET /views/:view`) and the web UI (served to the
+// browser as /tasks/assets/views.js, so the views also work offline).
+//
+// Cross-list views over open tasks, subtasks included:
+//   today     due today
+//   upcoming  due today or within the next `days` days, grouped by day
+//   overdue   due before today, grouped by list
+//   starred   starred, grouped by list
+//
+// Like search, due dates are calendar days and `today` is supplied by the caller.
+
+import { toDateOnly, formatDateOnly } from "./recurrence.js";
+
+export const SMART_VIEWS = ["today", "upcoming", "overdue", "starred"];
+export const UPCOMING_DEFAULT_DAYS = 7;
+export const UPCOMING_MAX_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dueDay(task) {
+  return task.dueDate ? formatDateOnly(toDateOnly(task.dueDate)) : null;
+}
+
+function byDueThenPosition(a, b) {
+  const dueA = dueDay(a);
+  const dueB = dueDay(b);
+  if (dueA !== dueB) {
+    if (!dueA) return 1;
+    if (!dueB) return -1;
+    return dueA < dueB ? -1 : 1;
+  }
+  if (!!a.starred !== !!b.starred) return a.starred ? -1 : 1;
+  if ((a.rank || "") !== (b.rank || "")) return (a.rank || "") < (b.rank || "") ? -1 : 1;
+  return ((a.position || 0) - (b.position || 0)) || (Number(a.id) - Number(b.id));
+}
+
+function groupByList(tasks, listOrder) {
+  const groups = new Map();
+  (listOrder || []).forEach((listId) => groups.set(Number(listId), []));
+  tasks.forEach((task) => {
+    const listId = Number(task.listId);
+    if (!groups.has(listId)) groups.set(listId, []);
+    groups.get(listId).push(task);
+  });
+  return [...groups.entries()]
+    .filter(([, groupTasks]) => groupTasks.length > 0)
+    .map(([listId, groupTasks]) => ({ key: `list:${listId}`, listId, tasks: groupTasks }));
+}
+
+// Returns { view, today, count, groups: [{ key, date?, listId?, tasks }] }, or null for an unknown view.
+// opts = { today: "YYYY-MM-DD", days?: number, listOrder?: [listId] }
+export function computeSmartView(view, tasks, opts = {}) {
+  if (!SMART_VIEWS.includes(view)) return null;
+  const today = opts.today || formatDateOnly(toDateOnly(new Date()));
+  const open = (tasks || []).filter((task) => task && !task.completed).sort(byDueThenPosition);
+
+  let groups;
+  if (view === "today") {
+    const dueToday = open.filter((task) => dueDay(task) === today);
+    groups = dueToday.length ? [{ key: `day:${today}`, date: today, tasks: dueToday }] : [];
+  } else if (view === "overdue") {
+    groups = groupByList(open.filter((task) => dueDay(task) && dueDay(task) < today), opts.listOrder);
+  } else if (view === "starred") {
+    groups = groupByList(open.filter((task) => task.starred), opts.listOrder);
+  } else {
+    const days = Math.min(UPCOMING_MAX_DAYS, Math.max(1, parseInt(opts.days, 10) || UPCOMING_DEFAULT_DAYS));
+    const last = formatDateOnly(new Date(toDateOnly(today).getTime() + (days - 1) * DAY_MS));
+    const byDay = new Map();
+    open.forEach((task) => {
+      const due = dueDay(task);
+      if (!due || due < today || due > last) return;
+      if (!byDay.has(due)) byDay.set(due, []);
+      byDay.get(due).push(task);
+    });
+    groups = [...byDay.entries()].map(([date, dayTasks]) => ({ key: `day:${date}`, date, tasks: dayTasks }));
+  }
+
+  return {
+    view,
+    today,
+    count: groups.reduce((n, group) => n + group.tasks.length, 0),
+    groups,
+  };
+}
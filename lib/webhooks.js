@@ -0,0 +1,406 @@
+// Outgoing webhooks (`TaskWebhook` subscriptions and their `TaskWebhookDelivery` log).
+// Routes call `emit(event, { listId, data })` after a change; every active subscription
+// of a user who can see the list (owner or member) and asked for the event gets a
+// delivery, which is POSTed right away and retried with backoff by the dispatcher.
+//
+// A delivery is a JSON POST of { id, event, createdAt, data } with the headers
+//   X-Tasks-Event       the event name
+//   X-Tasks-Delivery    the delivery id (a redelivery gets a new one)
+//   X-Tasks-Timestamp   unix seconds when this attempt was sent
+//   X-Tasks-Signature   "sha256=" + hex HMAC-SHA256 of `${timestamp}.${body}` keyed
+//                       with the subscription's secret
+// Receivers should check the signature and reject old timestamps.
+//
+// Loopback and private network addresses are refused unless
+// TASKS_WEBHOOKS_ALLOW_PRIVATE=true (e.g. for a local test receiver). That is checked on
+// the URL when a webhook is saved and again on every address its host resolves to when
+// a delivery is sent; the connection goes to the address that was checked.
+
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+export const WEBHOOK_EVENTS = [
+  "task.created",
+  "task.updated",
+  "task.completed",
+  "task.deleted",
+  "list.created",
+  "list.updated",
+  "list.deleted",
+  "list.shared",
+  "invite.accepted",
+];
+// Sent only by `POST /webhooks/:id/ping`, to try a receiver
+export const WEBHOOK_PING_EVENT = "ping";
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 50;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Minutes to wait before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 180, 360, 720];
+// A claimed delivery whose process died is picked up again after this
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+// Delivery log rows older than this are removed
+const DELIVERY_RETENTION_DAYS = 30;
+// Response bodies are kept in the log up to this length
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export function allowPrivateWebhookHosts(env = process.env) {
+  return String((env && env.TASKS_WEBHOOKS_ALLOW_PRIVATE) || "").toLowerCase() === "true";
+}
+
+function isPrivateIPv4([a, b]) {
+  return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+}
+
+// The eight 16-bit groups of a valid IPv6 address
+function ipv6Groups(address) {
+  let text = address;
+  const ipv4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (ipv4) {
+    const [a, b, c, d] = ipv4.slice(1).map(Number);
+    text = `${text.slice(0, ipv4.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const zeros = new Array(8 - headGroups.length - tailGroups.length).fill("0");
+  return [...headGroups, ...zeros, ...tailGroups].map((group) => parseInt(group, 16));
+}
+
+// True for loopback, private, link-local, multicast and unspecified IP addresses,
+// including IPv4 ones written as IPv6 (::ffff:127.0.0.1, ::ffff:7f00:1, 2002:7f00:1::)
+export function isPrivateAddress(address) {
+  const host = String(address).replace(/^\[|\]$/g, "").replace(/%.*$/, "").toLowerCase();
+  const version = net.isIP(host);
+  if (version === 4) return isPrivateIPv4(host.split(".").map(Number));
+  if (version !== 6) return false;
+
+  const groups = ipv6Groups(host);
+  const zeroUntil = (end) => groups.slice(0, end).every((group) => group === 0);
+  const embeddedIPv4 = () => [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff];
+  // :: and ::1
+  if (zeroUntil(7) && groups[7] <= 1) return true;
+  // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  if ((groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 || (groups[0] & 0xff00) === 0xff00) {
+    return true;
+  }
+  // IPv4-mapped (::ffff:0:0/96), IPv4-compatible (::/96) and NAT64 (64:ff9b::/96)
+  if (zeroUntil(5) && (groups[5] === 0xffff || groups[5] === 0)) return isPrivateIPv4(embeddedIPv4());
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((group) => group === 0)) {
+    return isPrivateIPv4(embeddedIPv4());
+  }
+  // 6to4 (2002::/16) carries the IPv4 address in its second and third groups
+  if (groups[0] === 0x2002) return isPrivateIPv4([groups[1] >> 8, groups[1] & 0xff, groups[2] >> 8, groups[2] & 0xff]);
+  return false;
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  return isPrivateAddress(host);
+}
+
+// Error message for a receiver URL that may not be used, or null when it may
+export function webhookUrlProblem(url, { allowPrivate = allowPrivateWebhookHosts() } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return "is not a valid URL";
+  }
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") return "must be an http or https URL";
+  if (parsed.username || parsed.password) return "must not contain credentials";
+  if (!allowPrivate && isPrivateHost(parsed.hostname)) return "must not point to a private or local address";
+  return null;
+}
+
+export function generateWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("base64url");
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// A `lookup` for http.request that fails when any address of the host is private, so
+// the socket can only connect to an address that passed the check
+function checkedLookup(allowPrivate) {
+  return (hostname, options, callback) => {
+    const opts = options && typeof options === "object" ? options : {};
+    dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!addresses.length || (!allowPrivate && addresses.some((entry) => isPrivateAddress(entry.address)))) {
+        const error = new Error(`${hostname} resolves to a private or local address`);
+        error.code = "EPRIVATEADDRESS";
+        return callback(error);
+      }
+      if (opts.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// POSTs `body` without following redirects. Resolves to { status, body } with at most
+// RESPONSE_EXCERPT_LENGTH characters of the response body.
+function postWebhook(url, { headers, body, allowPrivate }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === "https:" ? https : http;
+    let timer = null;
+    const request = transport.request(target, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: checkedLookup(allowPrivate),
+    }, (response) => {
+      const chunks = [];
+      let length = 0;
+      const finish = () => {
+        clearTimeout(timer);
+        resolve({
+          status: response.statusCode,
+          body: Buffer.concat(chunks).toString("utf8").slice(0, RESPONSE_EXCERPT_LENGTH),
+        });
+      };
+      response.on("data", (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        // The rest of a long reply is never stored, so stop reading it
+        if (length >= RESPONSE_EXCERPT_LENGTH) {
+          finish();
+          response.destroy();
+        }
+      });
+      response.on("end", finish);
+      response.on("error", reject);
+    });
+    timer = setTimeout(() => request.destroy(new Error("Request timed out")), REQUEST_TIMEOUT_MS);
+    request.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+// When the attempt after `attempts` failed ones is due, or null when there is none
+export function nextAttemptAt(attempts, now) {
+  const delay = RETRY_DELAYS_MINUTES[attempts - 1];
+  return typeof delay === "number" ? new Date(now.getTime() + delay * MINUTE_MS) : null;
+}
+
+// opts = { prisma, logger, intervalMs? }
+export function createWebhookDispatcher({ prisma, logger, intervalMs }) {
+  const log = logger || console;
+  let timer = null;
+  let running = false;
+
+  function warn(message, meta) {
+    if (log && typeof log.warn === "function") log.warn(message, meta);
+  }
+
+  // Sends one claimed delivery and records the outcome
+  async function attempt(delivery, webhook) {
+    const now = new Date();
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      data: delivery.payload,
+    });
+    const attempts = delivery.attempts + 1;
+
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    // Refused receivers are not retried
+    let refused = false;
+    const urlProblem = webhookUrlProblem(webhook.url);
+    if (urlProblem) {
+      error = `URL ${urlProblem}`;
+      refused = true;
+    } else {
+      try {
+        const response = await postWebhook(webhook.url, {
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "Sovereign-Tasks-Webhooks",
+            "X-Tasks-Event": delivery.event,
+            "X-Tasks-Delivery": String(delivery.id),
+            "X-Tasks-Timestamp": String(timestamp),
+            "X-Tasks-Signature": signWebhookPayload(webhook.secret, timestamp, body),
+          },
+          body,
+          allowPrivate: allowPrivateWebhookHosts(),
+        });
+        responseStatus = response.status;
+        responseBody = response.body;
+        if (responseStatus < 200 || responseStatus >= 300) error = `Receiver answered ${responseStatus}`;
+      } catch (err) {
+        error = (err && err.message) || "Request failed";
+        refused = !!err && err.code === "EPRIVATEADDRESS";
+      }
+    }
+
+    const retryAt = error && !refused ? nextAttemptAt(attempts, now) : null;
+    const status = !error ? "delivered" : retryAt ? "pending" : "failed";
+    const updated = await prisma.taskWebhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status,
+        attempts,
+        nextAttemptAt: retryAt,
+        lastAttemptAt: now,
+        responseStatus,
+        responseBody,
+        error,
+      },
+    });
+    if (error) {
+      warn("[tasks-webhooks] delivery failed", {
+        deliveryId: delivery.id,
+        webhookId: webhook.id,
+        event: delivery.event,
+        attempts,
+        error,
+        retryAt,
+      });
+    }
+    return updated;
+  }
+
+  // Claims a due delivery (so concurrent dispatchers never send it twice) and sends it.
+  // Resolves to the updated delivery, or null when someone else had it.
+  async function deliver(delivery, now = new Date()) {
+    const claimed = await prisma.taskWebhookDelivery.updateMany({
+      where: { id: delivery.id, status: "pending", nextAttemptAt: { lte: now } },
+      data: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) },
+    });
+    if (claimed.count === 0) return null;
+    const webhook = await prisma.taskWebhook.findUnique({ where: { id: delivery.webhookId } });
+    if (!webhook) return null;
+    return attempt(delivery, webhook);
+  }
+
+  function deliverInBackground(delivery) {
+    deliver(delivery).catch((err) => {
+      warn("[tasks-webhooks] delivery error", { deliveryId: delivery.id, error: err && err.message });
+    });
+  }
+
+  // Queues `event` for every subscriber who can see `listId` (or for `userIds` when
+  // given) and starts sending. Best effort like the activity log: errors are logged,
+  // never thrown. Resolves to the created deliveries.
+  async function emit(event, { listId = null, userIds = null, data }) {
+    try {
+      let recipients = userIds;
+      if (!recipients) {
+        const [list, members] = await Promise.all([
+          prisma.taskList.findUnique({ where: { id: listId }, select: { userId: true } }),
+          prisma.taskListMember.findMany({ where: { listId }, select: { userId: true } }),
+        ]);
+        recipients = [...(list ? [list.userId] : []), ...members.map((m) => m.userId)];
+      }
+      if (!recipients.length) return [];
+
+      const webhooks = (await prisma.taskWebhook.findMany({
+        where: { userId: { in: recipients.map(String) }, active: true },
+      })).filter((webhook) => Array.isArray(webhook.events) && webhook.events.includes(event));
+
+      // Rows may hold Dates; the payload is stored exactly as it will be sent
+      const payload = JSON.parse(JSON.stringify(data));
+      const now = new Date();
+      const deliveries = [];
+      for (const webhook of webhooks) {
+        deliveries.push(await prisma.taskWebhookDelivery.create({
+          data: { webhookId: webhook.id, event, payload, status: "pending", nextAttemptAt: now },
+        }));
+      }
+      deliveries.forEach(deliverInBackground);
+      return deliveries;
+    } catch (err) {
+      warn("[tasks-webhooks] emit failed", { event, listId, error: err && err.message });
+      return [];
+    }
+  }
+
+  // Sends a "ping" to one subscription, whatever its events, and waits for the outcome
+  async function ping(webhook) {
+    const delivery = await prisma.taskWebhookDelivery.create({
+      data: {
+        webhookId: webhook.id,
+        event: WEBHOOK_PING_EVENT,
+        payload: { webhookId: webhook.id, events: webhook.events },
+        status: "pending",
+        nextAttemptAt: new Date(),
+      },
+    });
+    return (await deliver(delivery)) || delivery;
+  }
+
+  // Queues a copy of an earlier delivery (any status) and waits for its first attempt
+  async function redeliver(delivery) {
+    const copy = await prisma.taskWebhookDelivery.create({
+      data: {
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        payload: delivery.payload,
+        status: "pending",
+        nextAttemptAt: new Date(),
+        redeliveryOf: delivery.id,
+      },
+    });
+    return (await deliver(copy)) || copy;
+  }
+
+  // Sends due retries and removes old log rows; resolves to the number of attempts made
+  async function runOnce(now = new Date()) {
+    if (running) return 0;
+    running = true;
+    try {
+      const due = await prisma.taskWebhookDelivery.findMany({
+        where: { status: "pending", nextAttemptAt: { lte: now } },
+        orderBy: { nextAttemptAt: "asc" },
+        take: BATCH_SIZE,
+      });
+      let attempted = 0;
+      for (const delivery of due) {
+        if (await deliver(delivery, now)) attempted += 1;
+      }
+      await prisma.taskWebhookDelivery.deleteMany({
+        where: { createdAt: { lt: new Date(now.getTime() - DELIVERY_RETENTION_DAYS * DAY_MS) } },
+      });
+      return attempted;
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch((err) => {
+        if (log && typeof log.error === "function") {
+          log.error("[tasks-webhooks] run failed", { error: err && err.message, stack: err && err.stack });
+        }
+      });
+    }, intervalMs || DEFAULT_INTERVAL_MS);
+    // Never keep the process alive just for webhook retries
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, runOnce, emit, deliver, ping, redeliver };
+}
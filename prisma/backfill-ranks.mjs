@@ -0,0 +1,32 @@
+// Gives every list, membership and task created before `rank` existed a rank that
+// follows its old `position`. The API does the same in the background (lib/rank.js),
+// a few hundred groups per run; this does all of them at once, so run it right after
+// the `npx prisma db push` that adds the rank columns:
+//
+//   node prisma/backfill-ranks.mjs
+
+import { pathToFileURL } from "url";
+import { createRankMaintainer } from "../lib/rank.js";
+
+// Resolves to the number of rows that got a rank
+export async function backfillRanks({ prisma, logger }) {
+  const maintainer = createRankMaintainer({ prisma, logger });
+  let total = 0;
+  // Each run ranks the unranked groups it finds; a run that finds none is the last
+  for (;;) {
+    const { groups, rows } = await maintainer.runOnce();
+    total += rows;
+    if (groups === 0) return total;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { PrismaClient } = await import("@prisma/client");
+  const prisma = new PrismaClient();
+  try {
+    const rows = await backfillRanks({ prisma, logger: console });
+    console.log(`Ranked ${rows} rows.`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
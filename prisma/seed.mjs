@@ -1,3 +1,5 @@
+import { backfillRanks } from "./backfill-ranks.mjs";
+
 export async function seed({ prisma }) {
   console.log("🌱 Seeding prisma for tasks plugin...");
 
@@ -77,5 +79,25 @@ export async function seed({ prisma }) {
     ],
   });
 
+  // --- Create Subtasks ---
+  const slides = await prisma.task.findFirst({
+    where: { listId: work.id, title: "Prepare meeting slides" },
+  });
+
+  await prisma.task.createMany({
+    data: ["Collect last quarter's numbers", "Draft the outline", "Rehearse with the team"].map((title, index) => ({
+      userId,
+      listId: work.id,
+      parentId: slides.id,
+      title,
+      completed: index === 0,
+      starred: false,
+      position: index,
+    })),
+  });
+
+  // The rows above are ordered by `position`; give them ranks in the same order
+  await backfillRanks({ prisma });
+
   console.log("✅ Tasks plugin seed completed.");
 }
\ No newline at end of file
@@ -1,23 +1,200 @@
 import express from "express";
+import { Prisma } from "@prisma/client";
 import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
+import { createListAccess, hasListRole, inviteExpiresAt } from "../../lib/access.js";
+import { advanceRecurringTask, toDateOnly, formatDateOnly } from "../../lib/recurrence.js";
+import { resolveSendMail, escapeMailHtml } from "../../lib/mail.js";
+import { parseSearchQuery, searchTasks } from "../../lib/search.js";
+import { parseImport, countImportedTasks } from "../../lib/import.js";
+import { buildBackup, validateBackup } from "../../lib/backup.js";
+import { computeSmartView, SMART_VIEWS } from "../../lib/views.js";
+import { parseQuickAdd, quickAddReminderAt } from "../../lib/quickadd.js";
+import { createReminderScheduler, resolveReminderBaseUrl, shiftTaskReminders } from "../../lib/reminders.js";
+import { applyBatch } from "../../lib/batch.js";
+import { createTokenAuth, generateToken } from "../../lib/tokens.js";
+import { createWebhookDispatcher, generateWebhookSecret } from "../../lib/webhooks.js";
+import {
+  INBOUND_MAIL_MAX_BYTES,
+  resolveInboundConfig,
+  generateInboundToken,
+  inboundAddress,
+  findInboundToken,
+  inboundSecretMatches,
+  parseMessage,
+  messageFingerprint,
+  taskFromMessage,
+} from "../../lib/inbound.js";
+import { validate, issuesMessage, errorEnvelope } from "../../lib/validate.js";
+import {
+  SCHEMAS,
+  TAG_NAME_MAX_LENGTH,
+  TAG_COLOR_PATTERN,
+  TASK_TITLE_MAX_LENGTH,
+  TASK_DESCRIPTION_MAX_LENGTH,
+} from "../../lib/schemas.js";
+import {
+  createRankMaintainer,
+  rankBetween,
+  ranksBetween,
+  rerankForOrder,
+  lastTaskRank,
+  lastListRank,
+  RANK_REBALANCE_LENGTH,
+} from "../../lib/rank.js";
+import {
+  TASK_SORTS,
+  LIST_SORTS,
+  PAGE_DEFAULT_LIMIT,
+  sortKeys,
+  decodePageCursor,
+  encodePageCursor,
+  keysOrderBy,
+  keysetWhere,
+  compareByKeys,
+  rowsAfter,
+  readPage,
+} from "../../lib/paging.js";
+import {
+  createTrashPurger,
+  purgeTrash,
+  trashPurgeAt,
+  trashedSlug,
+  restoredSlug,
+  tombstoneData,
+} from "../../lib/trash.js";
+import {
+  createActivityLog,
+  activityChanges,
+  TASK_ACTIVITY_FIELDS,
+  LIST_ACTIVITY_FIELDS,
+  HISTORY_DEFAULT_LIMIT,
+  HISTORY_MAX_LIMIT,
+} from "../../lib/activity.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Helper to resolve current user id from request (adapt as needed to Sovereign auth)
 function getUserId(req) {
+  // A personal access token (lib/tokens.js) acts as the user who created it
+  if (req.tasksToken) return req.tasksToken.userId;
   // Adjust this to match Sovereign's auth/user injection
   return (req.user && req.user.id) || req.userId || req.session?.userId || null;
 }
 
+// Mutating methods that honour the `Idempotency-Key` request header
+const IDEMPOTENT_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+// How long a stored idempotent response may be replayed
+const IDEMPOTENCY_KEY_TTL_HOURS = 72;
+// A key still pending after this belongs to a request that never answered (e.g. the
+// process died) and may be used again
+const IDEMPOTENCY_PENDING_TIMEOUT_MS = 5 * 60 * 1000;
+// How long deletions are remembered for `GET /changes`; older cursors must re-bootstrap
+const TOMBSTONE_RETENTION_DAYS = 90;
+
+// Sync cursors are opaque to clients; internally they are epoch milliseconds
+function encodeCursor(date) {
+  return String(date.getTime());
+}
+
+function slugify(name) {
+  return name.toLowerCase().trim().replace(/\s+/g, "-");
+}
+
+// Rank order (lib/rank.js); rows not yet migrated fall back to their old position
+function byRank(a, b) {
+  if (a.rank !== b.rank) return a.rank < b.rank ? -1 : 1;
+  return (a.position - b.position) || (a.id - b.id);
+}
+
+// Default snooze when the client does not pass `minutes` or `until`
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+// Reminder times inside a backup file, which is not validated field by field
+function parseReminderDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Largest import or restore accepted in one request (tasks + subtasks)
+const IMPORT_MAX_TASKS = 5000;
+// Titles shown per list in an import preview
+const IMPORT_PREVIEW_TASKS = 10;
+
+const SEARCH_DEFAULT_LIMIT = 50;
+const SEARCH_MAX_LIMIT = 200;
+
+function decodeCursor(raw) {
+  if (typeof raw !== "string" || !raw.trim()) return null;
+  const ms = /^\d+$/.test(raw.trim()) ? Number(raw.trim()) : Date.parse(raw);
+  if (!Number.isFinite(ms)) return null;
+  return new Date(ms);
+}
+
 export default (ctx) => {
   const router = express.Router();
 
   const prisma = ctx.prisma;
   const mailer = ctx.mailer;
   const logger = ctx.logger || console;
+  const access = createListAccess(prisma);
+  const tokenAuth = createTokenAuth({ prisma, logger });
+
+  // Emails due reminders in the background for as long as the plugin is loaded
+  const reminderScheduler = createReminderScheduler({
+    prisma,
+    mailer,
+    logger,
+    baseUrl: resolveReminderBaseUrl(),
+  });
+  reminderScheduler.start();
+
+  // Permanently removes lists and tasks that have been in the trash too long
+  const trashPurger = createTrashPurger({ prisma, logger });
+  trashPurger.start();
+
+  // Ranks rows that predate `rank` and rebalances groups whose ranks grew long
+  const rankMaintainer = createRankMaintainer({ prisma, logger });
+  rankMaintainer.start();
+
+  // Who changed what, for the history routes
+  const activity = createActivityLog({ prisma, logger });
+
+  // POSTs task and list events to users' webhooks and retries failed deliveries
+  const webhooks = createWebhookDispatcher({ prisma, logger });
+  webhooks.start();
+
+  function actor(req) {
+    if (req.tasksToken) return { id: getUserId(req), name: `${req.tasksToken.name} (access token)` };
+    return { id: getUserId(req), name: req.user ? req.user.name || req.user.email || null : null };
+  }
+
+  // Queues a webhook event for everyone who can see the list; never throws
+  function emitEvent(req, event, listId, data) {
+    webhooks.emit(event, { listId, data: { ...data, listId, actor: actor(req) } });
+  }
+
+  // List access for this request; access tokens limited to some lists only see those
+  function accessFor(req) {
+    return req.tasksToken && req.tasksToken.listIds ? access.limitedTo(req.tasksToken.listIds) : access;
+  }
+
+  // Account-wide routes (import, restore, feeds, ...) are closed to tokens limited to some
+  // lists. Answers 403 and returns false for those.
+  function allowsAllLists(req, res, logTag) {
+    if (!req.tasksToken || !req.tasksToken.listIds) return true;
+    if (logger && typeof logger.warn === "function") {
+      logger.warn(`[tasks-api] ${logTag} token limited to lists`, {
+        userId: getUserId(req),
+        tokenId: req.tasksToken.id,
+      });
+    }
+    res.status(403).json({ error: "This access token is limited to some lists", code: "insufficient_scope" });
+    return false;
+  }
 
   function asyncHandler(fn) {
     return function (req, res, next) {
@@ -46,6 +223,250 @@ export default (ctx) => {
     };
   }
 
+  // Routes answer errors as `{ error: "message", code?, fields?, ...extra }`; this puts
+  // every error response in the envelope from lib/validate.js. Registered before the
+  // idempotency store, so replayed responses get it too.
+  router.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.statusCode >= 400 ? errorEnvelope(res.statusCode, body) : body);
+    next();
+  });
+
+  // `Authorization: Bearer` personal access tokens, before anything reads the user
+  router.use(asyncHandler(tokenAuth.authenticate));
+
+  // Idempotency: replay the stored response when a client retries a mutation
+  // with the same `Idempotency-Key` (used by the offline outbox in the web UI)
+  router.use(asyncHandler(async (req, res, next) => {
+    if (!IDEMPOTENT_METHODS.has(req.method)) return next();
+
+    const key = String(req.get("Idempotency-Key") || "").trim();
+    if (!key) return next();
+    if (key.length > 200) {
+      return res.status(400).json({ error: "Idempotency-Key is too long" });
+    }
+
+    const userId = getUserId(req);
+    if (!userId) return next();
+
+    const where = { userId_key: { userId: String(userId), key } };
+    let existing = await prisma.taskIdempotencyKey.findUnique({ where });
+    const age = existing ? Date.now() - new Date(existing.createdAt).getTime() : 0;
+    const maxAgeMs = existing && existing.statusCode === null
+      ? IDEMPOTENCY_PENDING_TIMEOUT_MS
+      : IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000;
+    if (existing && age >= maxAgeMs) {
+      await prisma.taskIdempotencyKey.deleteMany({ where: { id: existing.id, createdAt: existing.createdAt } });
+      existing = null;
+    }
+
+    // Claim the key with a pending row (no status yet) before the handler runs. The
+    // unique (userId, key) lets only one of several concurrent retries through.
+    let claimed = null;
+    if (!existing) {
+      try {
+        claimed = await prisma.taskIdempotencyKey.create({
+          data: {
+            userId: String(userId),
+            key,
+            method: req.method,
+            path: req.path,
+            statusCode: null,
+            createdAt: new Date(),
+          },
+        });
+      } catch (err) {
+        if (!err || err.code !== "P2002") throw err;
+        existing = await prisma.taskIdempotencyKey.findUnique({ where });
+      }
+    }
+
+    if (!claimed) {
+      if (existing && (existing.method !== req.method || existing.path !== req.path)) {
+        return res.status(422).json({ error: "Idempotency-Key was already used for a different request" });
+      }
+      if (!existing || existing.statusCode === null) {
+        if (logger && typeof logger.info === "function") {
+          logger.info("[tasks-api] idempotency:in-progress", { userId, key, method: req.method, path: req.path });
+        }
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still in progress",
+          code: "idempotency_in_progress",
+        });
+      }
+      res.set("Idempotent-Replayed", "true");
+      if (logger && typeof logger.info === "function") {
+        logger.info("[tasks-api] idempotency:replay", {
+          userId,
+          key,
+          method: req.method,
+          path: req.path,
+        });
+      }
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    function storeFailed(err) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] idempotency:store failed", {
+          userId,
+          key,
+          error: err && err.message,
+        });
+      }
+    }
+
+    // Fill in the claimed row before the response goes out, so a retry that arrives
+    // after it always replays. Server errors release the key instead, so that the
+    // client can retry them with the same key.
+    let answered = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      answered = true;
+      const write = res.statusCode < 500
+        ? prisma.taskIdempotencyKey.update({
+          where: { id: claimed.id },
+          data: { statusCode: res.statusCode, responseBody: typeof body === "undefined" ? null : body },
+        })
+        : prisma.taskIdempotencyKey.delete({ where: { id: claimed.id } });
+      write.catch(storeFailed).then(() => originalJson(body));
+      return res;
+    };
+    // A response sent some other way (e.g. by an error handler) also releases the key
+    res.on("close", () => {
+      if (answered) return;
+      prisma.taskIdempotencyKey.deleteMany({ where: { id: claimed.id, statusCode: null } }).catch(storeFailed);
+    });
+
+    next();
+  }));
+
+  // 400 listing the invalid fields; also used for checks no schema can make (a parent in another list)
+  function invalidInput(res, fields) {
+    return res.status(400).json({ error: issuesMessage(fields), code: "validation_failed", fields });
+  }
+
+  function fieldError(res, path, code, message) {
+    return invalidInput(res, [{ path, code, message }]);
+  }
+
+  // Checks the request against SCHEMAS[tag] (lib/schemas.js). Returns the parsed
+  // { params, query, body }, or answers 400 and returns null.
+  function parseInput(req, res, tag) {
+    const schema = SCHEMAS[tag];
+    const input = {};
+    const issues = [];
+    ["params", "query", "body"].forEach((part) => {
+      if (!schema[part]) return;
+      const result = validate(schema[part], req[part] || {});
+      if (result.issues) issues.push(...result.issues);
+      else input[part] = result.value;
+    });
+    if (!issues.length) return input;
+    if (logger && typeof logger.warn === "function") {
+      logger.warn(`[tasks-api] ${tag} invalid input`, {
+        userId: getUserId(req),
+        fields: issues,
+      });
+    }
+    invalidInput(res, issues);
+    return null;
+  }
+
+  // Apply `data` only if the row still has the `updatedAt` the client based its edit on.
+  // Resolves to { updated } or, when someone else wrote in between, { conflict: currentRow }.
+  async function updateIfUnchanged(model, id, baseUpdatedAt, data) {
+    if (!baseUpdatedAt) {
+      return { updated: await model.update({ where: { id }, data }) };
+    }
+    const result = await model.updateMany({
+      where: { id, updatedAt: baseUpdatedAt },
+      data,
+    });
+    const current = await model.findUnique({ where: { id } });
+    if (result.count === 0) {
+      return { conflict: current };
+    }
+    return { updated: current };
+  }
+
+  // Validates the parent of a subtask that will live in `listId`.
+  // Resolves to { parentId } or { error } with a 400 message about `parentId`.
+  async function resolveParent(parentId, listId, taskId = null) {
+    if (parentId === null) return { parentId: null };
+    if (parentId === taskId) return { error: "A task cannot be its own subtask" };
+
+    const parent = await prisma.task.findUnique({
+      where: { id: parentId },
+      select: { id: true, listId: true, parentId: true, deletedAt: true },
+    });
+    if (!parent || parent.deletedAt || parent.listId !== listId) {
+      return { error: "Parent task must be in the same list" };
+    }
+    if (parent.parentId !== null) {
+      return { error: "Subtasks cannot have subtasks of their own" };
+    }
+    return { parentId };
+  }
+
+  // `afterId` / `beforeId` of a parsed move body, or answers 400 and returns null
+  function checkPlacement(res, body, id) {
+    if (body.afterId === id || body.beforeId === id) {
+      fieldError(res, body.afterId === id ? "afterId" : "beforeId", "invalid_value", "An item cannot be placed next to itself");
+      return null;
+    }
+    return { afterId: body.afterId, beforeId: body.beforeId };
+  }
+
+  // A rank that puts a row between the given neighbours; `loadSiblings` resolves to the
+  // other rows of its group as [{ id, rank }]. Resolves to { rank } or { error }.
+  // Equal neighbour ranks (two devices appending at once) get the group rebalanced first.
+  async function placeInGroup(group, { afterId, beforeId }, loadSiblings) {
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const siblings = (await loadSiblings())
+        .sort((a, b) => (a.rank === b.rank ? a.id - b.id : (a.rank < b.rank ? -1 : 1)));
+      const afterIndex = siblings.findIndex((row) => row.id === afterId);
+      const beforeIndex = siblings.findIndex((row) => row.id === beforeId);
+      if ((afterId !== null && afterIndex === -1) || (beforeId !== null && beforeIndex === -1)) {
+        return { error: "afterId and beforeId must be in the same list as the moved item" };
+      }
+      // One neighbour is enough; the other side is whatever is next to it. Neither means the end.
+      const lowerIndex = afterId !== null ? afterIndex : (beforeId !== null ? beforeIndex - 1 : siblings.length - 1);
+      const upperIndex = beforeId !== null ? beforeIndex : lowerIndex + 1;
+      if (lowerIndex >= upperIndex) return { error: "afterId must come before beforeId" };
+
+      const lower = lowerIndex >= 0 ? siblings[lowerIndex].rank : "";
+      const upper = upperIndex < siblings.length ? siblings[upperIndex].rank : null;
+      if (upper === null || lower < upper) return { rank: rankBetween(lower, upper) };
+      await rankMaintainer.rebalance(group);
+    }
+    return { error: "Could not place the item; try again" };
+  }
+
+  // Tags with the ids of the visible tasks carrying them
+  async function tagsWithTaskIds(tagRows, listIds) {
+    if (!tagRows.length) return [];
+    const assignments = await prisma.taskTagAssignment.findMany({
+      where: {
+        tagId: { in: tagRows.map((t) => t.id) },
+        task: { listId: { in: listIds }, deletedAt: null },
+      },
+      select: { tagId: true, taskId: true },
+    });
+    const taskIdsByTag = new Map(tagRows.map((t) => [t.id, []]));
+    assignments.forEach((a) => taskIdsByTag.get(a.tagId).push(a.taskId));
+    return tagRows.map((t) => ({ ...t, taskIds: taskIdsByTag.get(t.id) }));
+  }
+
+  // Shared 403 for members whose role does not allow an action
+  function forbidden(res, logTag, meta, message) {
+    if (logger && typeof logger.warn === "function") {
+      logger.warn(`[tasks-api] ${logTag} forbidden`, meta);
+    }
+    return res.status(403).json({ error: message || "You do not have permission to change this list" });
+  }
+
   // API: Bootstrap tasks state
   router.get("/bootstrap", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
@@ -54,32 +475,46 @@ export default (ctx) => {
     }
 
     const inviterId = String(userId);
+    // Taken before reading so that concurrent writes show up in the next `/changes`
+    const cursorAt = new Date();
+
+    // Owned lists plus lists shared with the user through membership
+    const roles = await accessFor(req).listRoles(userId);
+    const listIds = [...roles.keys()];
 
-    const [lists, tasks, invites] = await Promise.all([
+    const [listRows, tasks, invites, tagRows] = await Promise.all([
       prisma.taskList.findMany({
-        where: { userId },
-        orderBy: [{ position: "asc" }, { id: "asc" }],
+        where: { id: { in: listIds } },
+        orderBy: [{ rank: "asc" }, { position: "asc" }, { id: "asc" }],
       }),
       prisma.task.findMany({
-        where: { userId },
-        orderBy: [{ listId: "asc" }, { position: "asc" }, { id: "asc" }],
+        where: { listId: { in: listIds }, deletedAt: null },
+        orderBy: [{ listId: "asc" }, { rank: "asc" }, { position: "asc" }, { id: "asc" }],
       }),
       prisma.taskListShareInvite.findMany({
-        where: { inviterId },
+        where: { inviterId, listId: { in: listIds }, list: { deletedAt: null } },
         orderBy: [{ listId: "asc" }, { createdAt: "asc" }, { id: "asc" }],
       }),
+      prisma.taskTag.findMany({
+        where: { userId: String(userId) },
+        orderBy: [{ name: "asc" }, { id: "asc" }],
+      }),
     ]);
 
+    const lists = listRows.map((l) => access.withRole(l, roles)).sort(byRank);
+    const tags = await tagsWithTaskIds(tagRows, listIds);
     const now = new Date().toISOString();
 
     res.json({
       meta: {
         version: "2.0.0",
         updatedAt: now,
+        cursor: encodeCursor(cursorAt),
       },
       lists,
       tasks,
       invites,
+      tags,
     });
     if (logger && typeof logger.info === "function") {
       logger.info("[tasks-api] bootstrap", {
@@ -87,345 +522,2397 @@ export default (ctx) => {
         listsCount: lists.length,
         tasksCount: tasks.length,
         invitesCount: invites.length,
+        tagsCount: tags.length,
       });
     }
   }));
 
-  // API: List all lists
-  router.get("/lists", asyncHandler(async (req, res) => {
+  // API: Delta sync - records created, updated or deleted since a cursor
+  router.get("/changes", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const lists = await prisma.taskList.findMany({
-      where: { userId },
-      orderBy: [{ position: "asc" }, { id: "asc" }],
+    const input = parseInput(req, res, "changes");
+    if (!input) return;
+    const rawSince = input.query.since || "";
+    const since = rawSince ? decodeCursor(rawSince) : new Date(0);
+    if (!since) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] changes invalid cursor", {
+          userId,
+          since: rawSince,
+        });
+      }
+      return fieldError(res, "since", "invalid_format", "Invalid cursor");
+    }
+
+    const retentionCutoff = new Date(Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    if (rawSince && since < retentionCutoff) {
+      // Deletions this old have been purged; the client has to start over
+      return res.status(410).json({ error: "Cursor expired", code: "cursor_expired", resetRequired: true });
+    }
+
+    const cursorAt = new Date();
+    const inviterId = String(userId);
+
+    const roles = await accessFor(req).listRoles(userId);
+    const listIds = [...roles.keys()];
+    // Lists joined (or whose role changed) since the cursor are sent in full
+    const joined = await prisma.taskListMember.findMany({
+      where: { userId: String(userId), updatedAt: { gt: since } },
+      select: { listId: true },
     });
+    const joinedIds = joined.map((m) => m.listId);
+
+    const [listRows, tasks, invites, tagRows, tombstones] = await Promise.all([
+      prisma.taskList.findMany({
+        where: {
+          id: { in: listIds },
+          OR: [{ updatedAt: { gt: since } }, { id: { in: joinedIds } }],
+        },
+        orderBy: [{ rank: "asc" }, { position: "asc" }, { id: "asc" }],
+      }),
+      prisma.task.findMany({
+        where: {
+          listId: { in: listIds },
+          deletedAt: null,
+          OR: [{ updatedAt: { gt: since } }, { listId: { in: joinedIds } }],
+        },
+        orderBy: [{ listId: "asc" }, { rank: "asc" }, { position: "asc" }, { id: "asc" }],
+      }),
+      prisma.taskListShareInvite.findMany({
+        where: { inviterId, listId: { in: listIds }, updatedAt: { gt: since }, list: { deletedAt: null } },
+        orderBy: [{ listId: "asc" }, { createdAt: "asc" }, { id: "asc" }],
+      }),
+      // A changed tag is resent with all of its `taskIds`; joining a list can reveal tagged tasks
+      prisma.taskTag.findMany({
+        where: joinedIds.length
+          ? { userId: String(userId) }
+          : { userId: String(userId), updatedAt: { gt: since } },
+        orderBy: [{ name: "asc" }, { id: "asc" }],
+      }),
+      rawSince
+        ? prisma.taskTombstone.findMany({
+          where: {
+            deletedAt: { gt: since },
+            OR: [{ userId: String(userId) }, { listId: { in: listIds } }],
+          },
+          orderBy: [{ deletedAt: "asc" }, { id: "asc" }],
+        })
+        : Promise.resolve([]),
+    ]);
+
+    // Opportunistically purge tombstones no cursor can reach anymore
+    prisma.taskTombstone.deleteMany({
+      where: { userId: String(userId), deletedAt: { lt: retentionCutoff } },
+    }).catch(() => {});
+
+    const lists = listRows.map((l) => access.withRole(l, roles)).sort(byRank);
+    const tags = await tagsWithTaskIds(tagRows, listIds);
 
-    res.json(lists);
+    res.json({
+      cursor: encodeCursor(cursorAt),
+      lists,
+      tasks,
+      invites,
+      tags,
+      deleted: tombstones.map((t) => ({
+        type: t.entityType,
+        id: t.entityId,
+        deletedAt: t.deletedAt,
+      })),
+    });
     if (logger && typeof logger.info === "function") {
-      logger.info("[tasks-api] lists:list", {
+      logger.info("[tasks-api] changes", {
         userId,
+        since: rawSince || null,
         listsCount: lists.length,
+        tasksCount: tasks.length,
+        invitesCount: invites.length,
+        tagsCount: tags.length,
+        deletedCount: tombstones.length,
       });
     }
   }));
 
-  // API: Create a new list
-  router.post("/lists", asyncHandler(async (req, res) => {
+  // API: List the current user's tags
+  router.get("/tags", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const { name, slug } = req.body || {};
-    if (!name || typeof name !== "string") {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:create invalid payload", {
-          userId,
-          body: req.body,
-        });
-      }
-      return res.status(400).json({ error: "name is required" });
-    }
+    const roles = await accessFor(req).listRoles(userId);
+    const tagRows = await prisma.taskTag.findMany({
+      where: { userId: String(userId) },
+      orderBy: [{ name: "asc" }, { id: "asc" }],
+    });
+    res.json(await tagsWithTaskIds(tagRows, [...roles.keys()]));
+  }));
 
-    const count = await prisma.taskList.count({ where: { userId } });
+  // API: Create a tag
+  router.post("/tags", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "tags:create")) return;
 
-    const created = await prisma.taskList.create({
-      data: {
-        userId,
-        name,
-        slug: slug && typeof slug === "string" ? slug : name.toLowerCase().replace(/\s+/g, "-"),
-        position: count,
-      },
+    const input = parseInput(req, res, "tags:create");
+    if (!input) return;
+    const { name, color } = input.body;
+
+    const duplicate = await prisma.taskTag.findUnique({
+      where: { userId_name: { userId: String(userId), name } },
     });
+    if (duplicate) {
+      return res.status(409).json({ error: "A tag with this name already exists", code: "duplicate_name", current: duplicate });
+    }
 
-    res.status(201).json(created);
+    const created = await prisma.taskTag.create({
+      data: { name, color: color ? color.toLowerCase() : undefined, userId: String(userId) },
+    });
+
+    res.status(201).json({ ...created, taskIds: [] });
+    activity.record(actor(req), { action: "tags:create", changes: activityChanges(null, created, ["name", "color"]) });
     if (logger && typeof logger.info === "function") {
-      logger.info("[tasks-api] lists:create", {
+      logger.info("[tasks-api] tags:create", {
         userId,
-        listId: created.id,
+        tagId: created.id,
         name: created.name,
       });
     }
   }));
 
-  // API: Update / rename a list
-  router.put("/lists/:id", asyncHandler(async (req, res) => {
+  // API: Rename or recolour a tag
+  router.put("/tags/:id", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "tags:update")) return;
 
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:update invalid id", {
-          userId,
-          rawId: req.params.id,
-        });
-      }
-      return res.status(400).json({ error: "Invalid id" });
-    }
-
-    const { name, slug } = req.body || {};
+    const input = parseInput(req, res, "tags:update");
+    if (!input) return;
+    const { id } = input.params;
+    const data = { ...input.body };
+    if (data.color) data.color = data.color.toLowerCase();
 
-    const existing = await prisma.taskList.findFirst({
-      where: { id, userId },
-    });
+    const existing = await prisma.taskTag.findFirst({ where: { id, userId: String(userId) } });
     if (!existing) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:update not found", {
-          userId,
-          id,
-        });
-      }
-      return res.status(404).json({ error: "List not found" });
+      return res.status(404).json({ error: "Tag not found" });
     }
 
-    const updated = await prisma.taskList.update({
-      where: { id },
-      data: {
-        name: typeof name === "string" ? name : existing.name,
-        slug: typeof slug === "string"
-          ? slug
-          : existing.slug,
-      },
-    });
+    if (data.name && data.name !== existing.name) {
+      const duplicate = await prisma.taskTag.findUnique({
+        where: { userId_name: { userId: String(userId), name: data.name } },
+      });
+      if (duplicate) {
+        return res.status(409).json({ error: "A tag with this name already exists", code: "duplicate_name", current: duplicate });
+      }
+    }
 
+    const updated = await prisma.taskTag.update({ where: { id }, data });
     res.json(updated);
+    activity.record(actor(req), { action: "tags:update", changes: activityChanges(existing, updated, ["name", "color"]) });
     if (logger && typeof logger.info === "function") {
-      logger.info("[tasks-api] lists:update", {
+      logger.info("[tasks-api] tags:update", {
         userId,
-        id: updated.id,
-        name: updated.name,
+        tagId: id,
       });
     }
   }));
 
-  // API: Delete a list (and its tasks)
-  router.delete("/lists/:id", asyncHandler(async (req, res) => {
+  // API: Delete a tag (untags every task carrying it)
+  router.delete("/tags/:id", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "tags:delete")) return;
 
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:delete invalid id", {
-          userId,
-          rawId: req.params.id,
-        });
-      }
-      return res.status(400).json({ error: "Invalid id" });
-    }
+    const input = parseInput(req, res, "tags:delete");
+    if (!input) return;
+    const { id } = input.params;
 
-    const existing = await prisma.taskList.findFirst({
-      where: { id, userId },
-    });
+    const existing = await prisma.taskTag.findFirst({ where: { id, userId: String(userId) } });
     if (!existing) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:delete not found", {
-          userId,
-          id,
-        });
-      }
-      return res.status(404).json({ error: "List not found" });
+      return res.status(404).json({ error: "Tag not found" });
     }
 
     await prisma.$transaction([
-      prisma.task.deleteMany({ where: { listId: id, userId } }),
-      prisma.taskList.delete({ where: { id } }),
+      prisma.taskTag.delete({ where: { id } }),
+      prisma.taskTombstone.createMany({ data: tombstoneData(userId, "tag", [id]) }),
     ]);
 
     res.json({ ok: true });
+    activity.record(actor(req), { action: "tags:delete", changes: activityChanges(existing, null, ["name"]) });
     if (logger && typeof logger.info === "function") {
-      logger.info("[tasks-api] lists:delete", {
+      logger.info("[tasks-api] tags:delete", {
         userId,
-        id,
+        tagId: id,
       });
     }
   }));
 
-  // API: Reorder lists (full order)
-  router.put("/lists/order", asyncHandler(async (req, res) => {
+  function feedWithUrl(req, feed) {
+    const baseUrl = `${req.protocol}://${req.get("host") || ""}`;
+    return { ...feed, url: `${baseUrl}/tasks/feeds/${encodeURIComponent(feed.token)}.ics` };
+  }
+
+  // API: List the current user's calendar feeds
+  router.get("/feeds", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "feeds:list")) return;
 
-    const { listOrder } = req.body || {};
-    if (!Array.isArray(listOrder) || listOrder.some((v) => !Number.isFinite(Number(v)))) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:order invalid listOrder", {
-          userId,
-          listOrder,
-        });
-      }
-      return res.status(400).json({ error: "listOrder must be an array of ids" });
-    }
-
-    const ids = listOrder.map((v) => Number(v));
-
-    const lists = await prisma.taskList.findMany({
-      where: { userId, id: { in: ids } },
-      select: { id: true },
+    const feeds = await prisma.taskCalendarFeed.findMany({
+      where: { userId: String(userId) },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
     });
-    const existingIds = new Set(lists.map((l) => l.id));
-    const missing = ids.filter((id) => !existingIds.has(id));
-    if (missing.length > 0) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:order missing lists", {
-          userId,
-          missing,
-        });
+    res.json(feeds.map((feed) => feedWithUrl(req, feed)));
+  }));
+
+  // API: Create an ICS feed URL for all of the user's lists, or for one list
+  router.post("/feeds", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "feeds:create")) return;
+
+    const input = parseInput(req, res, "feeds:create");
+    if (!input) return;
+    const parsedListId = input.body.listId;
+    if (parsedListId !== null) {
+      const listAccess = await accessFor(req).getListAccess(userId, parsedListId);
+      if (!listAccess) {
+        return res.status(404).json({ error: "List not found" });
       }
-      return res.status(400).json({ error: "Some lists do not exist or do not belong to user", missing });
     }
 
-    await prisma.$transaction(
-      ids.map((id, index) =>
-        prisma.taskList.update({
-          where: { id },
-          data: { position: index },
-        })
-      )
-    );
+    const created = await prisma.taskCalendarFeed.create({
+      data: {
+        userId: String(userId),
+        listId: parsedListId,
+        token: crypto.randomBytes(24).toString("base64url"),
+      },
+    });
 
-    res.json({ ok: true });
+    res.status(201).json(feedWithUrl(req, created));
+    activity.record(actor(req), { action: "feeds:create", listId: parsedListId });
     if (logger && typeof logger.info === "function") {
-      logger.info("[tasks-api] lists:order", {
+      logger.info("[tasks-api] feeds:create", {
         userId,
-        listOrder: ids,
+        feedId: created.id,
+        listId: parsedListId,
       });
     }
   }));
 
-  // API: List tasks (optionally by list)
-  router.get("/", asyncHandler(async (req, res) => {
+  // API: Revoke a calendar feed; its URL stops working immediately
+  router.delete("/feeds/:id", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "feeds:revoke")) return;
 
-    const listIdParam = req.query.listId;
-    const where = { userId };
-    if (typeof listIdParam !== "undefined") {
-      const listId = Number(listIdParam);
-      if (!Number.isFinite(listId)) {
-        if (logger && typeof logger.warn === "function") {
-          logger.warn("[tasks-api] tasks:list invalid listId", {
-            userId,
-            rawListId: listIdParam,
-          });
-        }
-        return res.status(400).json({ error: "Invalid listId" });
-      }
-      where.listId = listId;
-    }
+    const input = parseInput(req, res, "feeds:revoke");
+    if (!input) return;
+    const { id } = input.params;
 
-    const tasks = await prisma.task.findMany({
-      where,
-      orderBy: [{ listId: "asc" }, { position: "asc" }, { id: "asc" }],
+    const result = await prisma.taskCalendarFeed.deleteMany({
+      where: { id, userId: String(userId) },
     });
+    if (result.count === 0) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
 
-    res.json(tasks);
+    res.json({ ok: true });
+    activity.record(actor(req), { action: "feeds:revoke" });
     if (logger && typeof logger.info === "function") {
-      logger.info("[tasks-api] tasks:list", {
+      logger.info("[tasks-api] feeds:revoke", {
         userId,
-        listId: where.listId || null,
-        tasksCount: tasks.length,
+        feedId: id,
       });
     }
   }));
 
-  // API: Create a new task
-  router.post("/", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
+  // Token rows as shown to their owner; the hash never leaves the server
+  const TOKEN_FIELDS = { id: true, name: true, prefix: true, scope: true, listIds: true, lastUsedAt: true, createdAt: true };
+
+  // Tokens are managed from a signed-in session only, never with another token
+  function sessionOnly(req, res, logTag) {
+    if (!req.tasksToken) return true;
+    if (logger && typeof logger.warn === "function") {
+      logger.warn(`[tasks-api] ${logTag} with an access token`, {
+        userId: getUserId(req),
+        tokenId: req.tasksToken.id,
+      });
+    }
+    res.status(403).json({ error: "Access tokens cannot manage access tokens", code: "insufficient_scope" });
+    return false;
+  }
+
+  // API: List the current user's personal access tokens
+  router.get("/tokens", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!sessionOnly(req, res, "tokens:list")) return;
+
+    const tokens = await prisma.taskAccessToken.findMany({
+      where: { userId: String(userId) },
+      select: TOKEN_FIELDS,
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+    res.json(tokens);
+  }));
+
+  // API: Create a personal access token. The response is the only time `token` is shown.
+  router.post("/tokens", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!sessionOnly(req, res, "tokens:create")) return;
+
+    const input = parseInput(req, res, "tokens:create");
+    if (!input) return;
+    const { name, scope } = input.body;
+    const listIds = input.body.listIds ? [...new Set(input.body.listIds)] : null;
+
+    if (listIds) {
+      const roles = await accessFor(req).listRoles(userId);
+      const missing = listIds.filter((id) => !roles.has(id));
+      if (missing.length > 0) {
+        return res.status(400).json({ error: "Some lists do not exist or are not accessible", code: "unknown_ids", missing });
+      }
+    }
+
+    const { token, tokenHash, prefix } = generateToken();
+    const created = await prisma.taskAccessToken.create({
+      data: { userId: String(userId), name, tokenHash, prefix, scope, listIds },
+      select: TOKEN_FIELDS,
+    });
+
+    res.status(201).json({ ...created, token });
+    activity.record(actor(req), { action: "tokens:create", changes: { token: { from: null, to: { name, scope, listIds } } } });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tokens:create", {
+        userId,
+        tokenId: created.id,
+        scope,
+        listIds,
+      });
+    }
+  }));
+
+  // API: Revoke a personal access token; requests using it fail immediately
+  router.delete("/tokens/:id", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!sessionOnly(req, res, "tokens:revoke")) return;
+
+    const input = parseInput(req, res, "tokens:revoke");
+    if (!input) return;
+    const { id } = input.params;
+
+    const result = await prisma.taskAccessToken.deleteMany({
+      where: { id, userId: String(userId) },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: "Token not found" });
+    }
+
+    res.json({ ok: true });
+    activity.record(actor(req), { action: "tokens:revoke" });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tokens:revoke", {
+        userId,
+        tokenId: id,
+      });
+    }
+  }));
+
+  // Webhook rows as shown to their owner; the secret is only in create/rotate responses
+  const WEBHOOK_FIELDS = { id: true, url: true, events: true, active: true, createdAt: true, updatedAt: true };
+
+  // Resolves the caller's webhook in `params.id`; answers 404 and returns null otherwise
+  async function loadWebhook(res, userId, id, logTag) {
+    const webhook = await prisma.taskWebhook.findFirst({ where: { id, userId: String(userId) } });
+    if (!webhook) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn(`[tasks-api] ${logTag} not found`, {
+          userId,
+          webhookId: id,
+        });
+      }
+      res.status(404).json({ error: "Webhook not found" });
+      return null;
+    }
+    return webhook;
+  }
+
+  // API: List the current user's webhooks
+  router.get("/webhooks", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "webhooks:list")) return;
+
+    const hooks = await prisma.taskWebhook.findMany({
+      where: { userId: String(userId) },
+      select: WEBHOOK_FIELDS,
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+    res.json(hooks);
+  }));
+
+  // API: Subscribe a URL to events. The response is the only time `secret` is shown.
+  router.post("/webhooks", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "webhooks:create")) return;
+
+    const input = parseInput(req, res, "webhooks:create");
+    if (!input) return;
+    const { url, active } = input.body;
+    const events = [...new Set(input.body.events)];
+
+    const secret = generateWebhookSecret();
+    const created = await prisma.taskWebhook.create({
+      data: { userId: String(userId), url, secret, events, active },
+      select: WEBHOOK_FIELDS,
+    });
+
+    res.status(201).json({ ...created, secret });
+    activity.record(actor(req), { action: "webhooks:create", changes: { webhook: { from: null, to: { url, events } } } });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] webhooks:create", {
+        userId,
+        webhookId: created.id,
+        events,
+      });
+    }
+  }));
+
+  // API: Change a webhook's URL, events or active flag, or rotate its secret
+  router.put("/webhooks/:id", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "webhooks:update")) return;
+
+    const input = parseInput(req, res, "webhooks:update");
+    if (!input) return;
+    const { id } = input.params;
+    const { url, events, active, rotateSecret } = input.body;
+
+    const existing = await loadWebhook(res, userId, id, "webhooks:update");
+    if (!existing) return;
+
+    const data = {};
+    if (typeof url !== "undefined") data.url = url;
+    if (typeof events !== "undefined") data.events = [...new Set(events)];
+    if (typeof active !== "undefined") data.active = active;
+    const secret = rotateSecret ? generateWebhookSecret() : null;
+    if (secret) data.secret = secret;
+
+    const updated = await prisma.taskWebhook.update({ where: { id }, data, select: WEBHOOK_FIELDS });
+
+    res.json(secret ? { ...updated, secret } : updated);
+    activity.record(actor(req), {
+      action: "webhooks:update",
+      changes: {
+        ...activityChanges(existing, updated, ["url", "events", "active"]),
+        ...(secret ? { secret: { from: null, to: "rotated" } } : {}),
+      },
+    });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] webhooks:update", {
+        userId,
+        webhookId: id,
+        active: updated.active,
+        rotatedSecret: !!secret,
+      });
+    }
+  }));
+
+  // API: Delete a webhook with its delivery log; queued retries are dropped
+  router.delete("/webhooks/:id", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "webhooks:delete")) return;
+
+    const input = parseInput(req, res, "webhooks:delete");
+    if (!input) return;
+    const { id } = input.params;
+
+    const result = await prisma.taskWebhook.deleteMany({
+      where: { id, userId: String(userId) },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json({ ok: true });
+    activity.record(actor(req), { action: "webhooks:delete" });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] webhooks:delete", {
+        userId,
+        webhookId: id,
+      });
+    }
+  }));
+
+  // API: Send a "ping" event to try the receiver; answers with the logged delivery
+  router.post("/webhooks/:id/ping", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "webhooks:ping")) return;
+
+    const input = parseInput(req, res, "webhooks:ping");
+    if (!input) return;
+    const webhook = await loadWebhook(res, userId, input.params.id, "webhooks:ping");
+    if (!webhook) return;
+
+    const delivery = await webhooks.ping(webhook);
+    res.json(delivery);
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] webhooks:ping", {
+        userId,
+        webhookId: webhook.id,
+        deliveryId: delivery.id,
+        status: delivery.status,
+      });
+    }
+  }));
+
+  // API: A webhook's delivery log, newest first, paged with `before` (a delivery id)
+  router.get("/webhooks/:id/deliveries", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "webhooks:deliveries")) return;
+
+    const input = parseInput(req, res, "webhooks:deliveries");
+    if (!input) return;
+    const { status, limit, before } = input.query;
+    const webhook = await loadWebhook(res, userId, input.params.id, "webhooks:deliveries");
+    if (!webhook) return;
+
+    const rows = await prisma.taskWebhookDelivery.findMany({
+      where: {
+        webhookId: webhook.id,
+        ...(status ? { status } : {}),
+        ...(before ? { id: { lt: before } } : {}),
+      },
+      orderBy: { id: "desc" },
+      take: limit + 1,
+    });
+    const deliveries = rows.slice(0, limit);
+    res.json({ deliveries, nextBefore: rows.length > limit ? deliveries[deliveries.length - 1].id : null });
+  }));
+
+  // API: Send a logged delivery again, as a new delivery with the same event and payload
+  router.post("/webhooks/:id/deliveries/:deliveryId/redeliver", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "webhooks:redeliver")) return;
+
+    const input = parseInput(req, res, "webhooks:redeliver");
+    if (!input) return;
+    const { id, deliveryId } = input.params;
+    const webhook = await loadWebhook(res, userId, id, "webhooks:redeliver");
+    if (!webhook) return;
+
+    const original = await prisma.taskWebhookDelivery.findFirst({ where: { id: deliveryId, webhookId: webhook.id } });
+    if (!original) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+
+    const delivery = await webhooks.redeliver(original);
+    res.status(201).json(delivery);
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] webhooks:redeliver", {
+        userId,
+        webhookId: webhook.id,
+        redeliveryOf: original.id,
+        deliveryId: delivery.id,
+        status: delivery.status,
+      });
+    }
+  }));
+
+  // --- Mail-to-task (lib/inbound.js) ---
+
+  const inboundConfig = resolveInboundConfig();
+
+  // The address to show for a row; without TASKS_INBOUND_MAIL_DOMAIN, this server's host
+  function inboundAddressFor(req, row) {
+    const domain = inboundConfig.domain || req.hostname || "localhost";
+    return { ...row, address: inboundAddress(row.token, domain) };
+  }
+
+  // API: List the current user's inbound mail addresses
+  router.get("/inbound/addresses", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "inbound:list")) return;
+
+    const rows = await prisma.taskInboundAddress.findMany({
+      where: { userId: String(userId) },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+    res.json(rows.map((row) => inboundAddressFor(req, row)));
+  }));
+
+  // API: Create a secret address that turns mail into tasks, for one list or for the
+  // user's default list
+  router.post("/inbound/addresses", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "inbound:create")) return;
+
+    const input = parseInput(req, res, "inbound:create");
+    if (!input) return;
+    const parsedListId = input.body.listId;
+    if (parsedListId !== null) {
+      const listAccess = await accessFor(req).getListAccess(userId, parsedListId);
+      if (!listAccess) {
+        return res.status(404).json({ error: "List not found" });
+      }
+      if (!hasListRole(listAccess.role, "editor")) {
+        return forbidden(res, "inbound:create", { userId, listId: parsedListId, role: listAccess.role });
+      }
+    }
+
+    const created = await prisma.taskInboundAddress.create({
+      data: {
+        userId: String(userId),
+        listId: parsedListId,
+        token: generateInboundToken(),
+        email: req.user && req.user.email ? String(req.user.email).trim() : null,
+      },
+    });
+
+    res.status(201).json(inboundAddressFor(req, created));
+    activity.record(actor(req), { action: "inbound:create", listId: parsedListId });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] inbound:create", {
+        userId,
+        addressId: created.id,
+        listId: parsedListId,
+      });
+    }
+  }));
+
+  // API: Delete an inbound address; mail sent to it is refused from now on
+  router.delete("/inbound/addresses/:id", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "inbound:delete")) return;
+
+    const input = parseInput(req, res, "inbound:delete");
+    if (!input) return;
+    const { id } = input.params;
+
+    const result = await prisma.taskInboundAddress.deleteMany({
+      where: { id, userId: String(userId) },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: "Address not found" });
+    }
+
+    res.json({ ok: true });
+    activity.record(actor(req), { action: "inbound:delete" });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] inbound:delete", {
+        userId,
+        addressId: id,
+      });
+    }
+  }));
+
+  // The list mail to `address` goes to: a "#list" in the subject, else the address's
+  // list, else the owner's first list. Only lists the owner can still edit count.
+  // Resolves to { list, fields } or { list: null } when there is nowhere to put it.
+  async function inboundTarget(address, message) {
+    const roles = await access.listRoles(address.userId);
+    const editableIds = [...roles.entries()]
+      .filter(([, entry]) => hasListRole(entry.role, "editor"))
+      .map(([id]) => id);
+    const lists = await prisma.taskList.findMany({
+      where: { id: { in: editableIds } },
+      select: { id: true, name: true, slug: true, userId: true },
+      orderBy: [{ rank: "asc" }, { position: "asc" }, { id: "asc" }],
+    });
+
+    const fields = taskFromMessage(message, {
+      lists,
+      titleMaxLength: TASK_TITLE_MAX_LENGTH,
+      descriptionMaxLength: TASK_DESCRIPTION_MAX_LENGTH,
+    });
+    const byId = (id) => lists.find((list) => list.id === id) || null;
+    const list = (fields.list && byId(fields.list.id))
+      || (address.listId !== null && byId(address.listId))
+      || lists.find((candidate) => candidate.userId === address.userId)
+      || lists[0]
+      || null;
+    return { list, fields };
+  }
+
+  // The reply telling the address owner which task their email became
+  function inboundConfirmationMail(req, { to, message, list, task }) {
+    const baseUrl = `${req.protocol}://${req.get("host") || ""}`;
+    const listUrl = `${baseUrl}/tasks?list=${encodeURIComponent(list.slug || list.id)}`;
+    // Encoded words can decode to line breaks, which must not reach the Subject header
+    const original = message.subject.replace(/[\r\n]+/g, " ").replace(/^\s*re\s*:\s*/i, "").trim();
+    const subject = original ? `Re: ${original}` : `Task added: ${task.title.replace(/[\r\n]+/g, " ")}`;
+    const due = task.dueDate ? formatDateOnly(toDateOnly(task.dueDate)) : null;
+
+    const text = [
+      `Your email was added to Sovereign Tasks.`,
+      ``,
+      `Task: ${task.title}`,
+      `List: ${list.name}`,
+      ...(due ? [`Due: ${due}`] : []),
+      ...(task.starred ? [`Starred`] : []),
+      ``,
+      listUrl,
+    ].join("\n");
+
+    const html = [
+      `<p>Your email was added to Sovereign Tasks.</p>`,
+      `<p><strong>Task:</strong> ${escapeMailHtml(task.title)}<br>`,
+      `<strong>List:</strong> ${escapeMailHtml(list.name)}`,
+      due ? `<br><strong>Due:</strong> ${due}` : ``,
+      task.starred ? `<br>Starred` : ``,
+      `</p>`,
+      `<p><a href="${listUrl}">${listUrl}</a></p>`,
+    ].join("");
+
+    const headers = {
+      "X-Sovereign-Plugin": "tasks",
+      "X-Sovereign-Tasks-List-Id": String(list.id),
+      // Stops autoresponders from answering the confirmation
+      "Auto-Submitted": "auto-replied",
+    };
+    if (message.messageId) {
+      headers["In-Reply-To"] = `<${message.messageId}>`;
+      headers.References = `<${message.messageId}>`;
+    }
+    return { to, subject, text, html, headers };
+  }
+
+  // Ingress: create a task from a raw RFC 822 message sent to an inbound address.
+  // Called by the platform's mail ingress (or a local stand-in such as
+  // `curl --data-binary @mail.eml -H "Content-Type: message/rfc822"`), not by users;
+  // the address token is the only credential, plus TASKS_INBOUND_MAIL_SECRET when set.
+  // The body is the message itself, or JSON { raw, to? }.
+  router.post(
+    "/inbound/mail",
+    express.text({ type: ["message/rfc822", "text/plain"], limit: INBOUND_MAIL_MAX_BYTES }),
+    asyncHandler(async (req, res) => {
+      if (inboundConfig.secret && !inboundSecretMatches(inboundConfig.secret, req.get("X-Tasks-Inbound-Secret"))) {
+        if (logger && typeof logger.warn === "function") {
+          logger.warn("[tasks-api] inbound:mail bad secret", { ip: req.ip });
+        }
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+
+      const input = parseInput(req, res, "inbound:mail");
+      if (!input) return;
+      const json = req.body && typeof req.body === "object" ? req.body : {};
+      const raw = typeof req.body === "string" ? req.body : json.raw;
+      if (typeof raw !== "string" || !raw.trim()) {
+        return fieldError(res, "raw", "required", "Expected a raw RFC 822 message");
+      }
+
+      const message = parseMessage(raw);
+      const envelopeTo = [input.query.to, typeof json.to === "string" ? json.to : null].filter(Boolean);
+      const token = findInboundToken([...envelopeTo, ...message.recipients]);
+      const address = token ? await prisma.taskInboundAddress.findUnique({ where: { token } }) : null;
+      if (!address) {
+        if (logger && typeof logger.warn === "function") {
+          logger.warn("[tasks-api] inbound:mail unknown address", { from: message.from, hasToken: !!token });
+        }
+        return res.status(404).json({ error: "Unknown inbound address", code: "unknown_address" });
+      }
+
+      // Ingresses retry; the same message only ever makes one task
+      const messageKey = message.messageId && message.messageId.length <= 255
+        ? message.messageId
+        : messageFingerprint(raw);
+      const seen = await prisma.taskInboundMessage.findUnique({
+        where: { addressId_messageId: { addressId: address.id, messageId: messageKey } },
+      });
+      if (seen) {
+        return res.json({ ok: true, duplicate: true, taskId: seen.taskId });
+      }
+
+      const { list, fields } = await inboundTarget(address, message);
+      if (!list) {
+        if (logger && typeof logger.warn === "function") {
+          logger.warn("[tasks-api] inbound:mail no list", { userId: address.userId, addressId: address.id });
+        }
+        return res.status(422).json({ error: "There is no list to add the task to", code: "no_list" });
+      }
+
+      let created;
+      try {
+        created = await prisma.$transaction(async (tx) => {
+          const task = await tx.task.create({
+            data: {
+              userId: address.userId,
+              listId: list.id,
+              parentId: null,
+              title: fields.title,
+              description: fields.description,
+              dueDate: fields.dueDate ? new Date(fields.dueDate) : null,
+              recurringConfig: fields.recurring || null,
+              completed: false,
+              starred: fields.starred,
+              rank: rankBetween(await lastTaskRank(tx, list.id, null), null),
+            },
+          });
+          await tx.taskInboundMessage.create({
+            data: { addressId: address.id, messageId: messageKey, taskId: task.id, sender: message.from },
+          });
+          return task;
+        });
+      } catch (err) {
+        // A concurrent delivery of the same message got there first
+        if (err && err.code === "P2002") {
+          return res.json({ ok: true, duplicate: true });
+        }
+        throw err;
+      }
+      await prisma.taskInboundAddress.update({ where: { id: address.id }, data: { lastUsedAt: new Date() } });
+
+      const mailActor = { id: address.userId, name: `${message.from || "unknown sender"} (email)` };
+      webhooks.emit("task.created", { listId: list.id, data: { task: created, listId: list.id, actor: mailActor } });
+      activity.record(mailActor, {
+        action: "tasks:create",
+        listId: list.id,
+        taskId: created.id,
+        changes: activityChanges(null, created, TASK_ACTIVITY_FIELDS),
+      });
+
+      // The confirmation is best effort: the task exists either way. It only ever goes to
+      // the owner's stored email, never to the sender, who may be anyone.
+      let confirmation = "skipped";
+      const sendMailFn = resolveSendMail(mailer);
+      if (sendMailFn && address.email) {
+        try {
+          await sendMailFn(inboundConfirmationMail(req, { to: address.email, message, list, task: created }));
+          confirmation = "sent";
+        } catch (err) {
+          confirmation = "failed";
+          if (logger && typeof logger.warn === "function") {
+            logger.warn("[tasks-api] inbound:mail confirmation failed", {
+              userId: address.userId,
+              taskId: created.id,
+              error: err && err.message,
+            });
+          }
+        }
+      }
+
+      res.status(201).json({ ok: true, taskId: created.id, listId: list.id, confirmation });
+      if (logger && typeof logger.info === "function") {
+        logger.info("[tasks-api] inbound:mail", {
+          userId: address.userId,
+          addressId: address.id,
+          taskId: created.id,
+          listId: list.id,
+          confirmation,
+        });
+      }
+    })
+  );
+
+  // API: Import lists and tasks from another app's export (see lib/import.js).
+  // With `dryRun` nothing is written and the response is a preview.
+  router.post("/import", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "import")) return;
+
+    const input = parseInput(req, res, "import");
+    if (!input) return;
+    const { format, data, mapping, listName } = input.body;
+    const dryRun = input.body.dryRun || input.query.dryRun;
+
+    const parsed = parseImport(format, data, {
+      mapping,
+      listName: listName || null,
+    });
+    if (parsed.error) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] import invalid input", {
+          userId,
+          format,
+          error: parsed.error,
+        });
+      }
+      return res.status(400).json({ error: parsed.error, code: "invalid_import", columns: parsed.columns });
+    }
+
+    const counts = countImportedTasks(parsed.lists);
+    if (counts.tasks === 0) {
+      return res.status(400).json({ error: "Nothing to import", code: "empty_import", errors: parsed.errors });
+    }
+    if (counts.tasks + counts.subtasks > IMPORT_MAX_TASKS) {
+      return res.status(413).json({ error: `Imports are limited to ${IMPORT_MAX_TASKS} tasks` });
+    }
+
+    // Imported lists merge into an owned list with the same name
+    const ownedLists = await prisma.taskList.findMany({
+      where: { userId, deletedAt: null },
+      select: { id: true, name: true, slug: true },
+    });
+    const plan = parsed.lists.map((list) => {
+      const existing = ownedLists.find((l) => l.name.toLowerCase() === list.name.toLowerCase());
+      return { list, existing: existing || null };
+    });
+
+    const summary = (listIds = []) => ({
+      dryRun,
+      format,
+      mapping: parsed.mapping,
+      counts: { lists: plan.length, tasks: counts.tasks, subtasks: counts.subtasks },
+      lists: plan.map(({ list, existing }, index) => ({
+        name: list.name,
+        action: existing ? "merge" : "create",
+        listId: existing ? existing.id : (listIds[index] || null),
+        tasksCount: list.tasks.length,
+        subtasksCount: list.tasks.reduce((n, t) => n + t.subtasks.length, 0),
+        preview: list.tasks.slice(0, IMPORT_PREVIEW_TASKS).map((t) => ({
+          title: t.title,
+          dueDate: t.dueDate,
+          completed: t.completed,
+          recurring: t.recurring,
+          subtasksCount: t.subtasks.length,
+        })),
+      })),
+      errors: parsed.errors,
+    });
+
+    if (dryRun) {
+      return res.json(summary());
+    }
+
+    const taskData = (task, listId, rank, parentId = null) => ({
+      userId,
+      listId,
+      parentId,
+      title: task.title,
+      description: task.description,
+      dueDate: task.dueDate ? new Date(task.dueDate) : null,
+      recurringConfig: task.recurring || null,
+      completed: task.completed,
+      starred: task.starred,
+      rank,
+    });
+
+    const listIds = await prisma.$transaction(async (tx) => {
+      const slugs = new Set(ownedLists.map((l) => l.slug));
+      const ids = [];
+
+      for (const { list, existing } of plan) {
+        let listId;
+        if (existing) {
+          listId = existing.id;
+        } else {
+          let slug = slugify(list.name);
+          for (let n = 2; slugs.has(slug); n += 1) slug = `${slugify(list.name)}-${n}`;
+          slugs.add(slug);
+          const created = await tx.taskList.create({
+            data: { userId, name: list.name, slug, rank: rankBetween(await lastListRank(tx, userId), null) },
+          });
+          listId = created.id;
+        }
+        ids.push(listId);
+
+        // Imported tasks go after the ones already in the list
+        const ranks = ranksBetween(await lastTaskRank(tx, listId, null), null, list.tasks.length);
+        for (const [index, task] of list.tasks.entries()) {
+          const created = await tx.task.create({ data: taskData(task, listId, ranks[index]) });
+          if (task.subtasks.length > 0) {
+            const subtaskRanks = ranksBetween("", null, task.subtasks.length);
+            await tx.task.createMany({
+              data: task.subtasks.map((subtask, i) => taskData(subtask, listId, subtaskRanks[i], created.id)),
+            });
+          }
+        }
+      }
+      return ids;
+    }, { timeout: 60000 });
+
+    res.status(201).json(summary(listIds));
+    activity.record(actor(req), plan.map(({ list, existing }, index) => ({
+      action: "lists:import",
+      listId: listIds[index],
+      changes: {
+        ...(existing ? {} : activityChanges(null, list, ["name"])),
+        importedTasks: { from: null, to: list.tasks.length + list.tasks.reduce((n, t) => n + t.subtasks.length, 0) },
+      },
+    })));
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] import", {
+        userId,
+        format,
+        listsCount: plan.length,
+        tasksCount: counts.tasks,
+        subtasksCount: counts.subtasks,
+        errorsCount: parsed.errors.length,
+      });
+    }
+  }));
+
+  // API: Download a backup of the lists the user owns (format in lib/backup.js)
+  router.get("/export", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "export")) return;
+
+    // The trash is not exported
+    const lists = await prisma.taskList.findMany({
+      where: { userId, deletedAt: null },
+      orderBy: [{ rank: "asc" }, { position: "asc" }, { id: "asc" }],
+    });
+    const listIds = lists.map((l) => l.id);
+
+    const [tasks, tags, reminders, invites] = await Promise.all([
+      prisma.task.findMany({
+        where: { listId: { in: listIds }, deletedAt: null },
+        orderBy: [{ listId: "asc" }, { rank: "asc" }, { position: "asc" }, { id: "asc" }],
+      }),
+      prisma.taskTag.findMany({
+        where: { userId: String(userId) },
+        orderBy: [{ name: "asc" }, { id: "asc" }],
+      }),
+      prisma.taskReminder.findMany({
+        where: { userId: String(userId), sentAt: null, dismissedAt: null, task: { listId: { in: listIds }, deletedAt: null } },
+        orderBy: [{ reminderAt: "asc" }, { id: "asc" }],
+      }),
+      prisma.taskListShareInvite.findMany({
+        where: { listId: { in: listIds } },
+        orderBy: [{ listId: "asc" }, { createdAt: "asc" }, { id: "asc" }],
+      }),
+    ]);
+    const assignments = await prisma.taskTagAssignment.findMany({
+      where: { tagId: { in: tags.map((t) => t.id) }, task: { listId: { in: listIds }, deletedAt: null } },
+      select: { taskId: true, tagId: true },
+    });
+
+    const backup = buildBackup({ lists, tasks, tags, assignments, reminders, invites });
+    res.set("Content-Disposition", `attachment; filename="tasks-backup-${backup.exportedAt.slice(0, 10)}.json"`);
+    res.json(backup);
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] export", {
+        userId,
+        listsCount: lists.length,
+        tasksCount: tasks.length,
+      });
+    }
+  }));
+
+  // API: Restore a backup. "merge" adds to the account (lists match by slug, tags by name,
+  // identical tasks are skipped); "replace" first deletes every list and tag the user owns.
+  // Invites are not restored: their links belong to the instance that sent them.
+  router.post("/restore", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "restore")) return;
+
+    const input = parseInput(req, res, "restore");
+    if (!input) return;
+    const { backup: rawBackup, mode } = input.body;
+    const validated = validateBackup(rawBackup);
+    if (validated.error) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] restore invalid backup", {
+          userId,
+          error: validated.error,
+        });
+      }
+      return res.status(400).json({ error: validated.error, code: "invalid_backup" });
+    }
+    const backup = validated.backup;
+    if (backup.tasks.length > IMPORT_MAX_TASKS) {
+      return res.status(413).json({ error: `Restores are limited to ${IMPORT_MAX_TASKS} tasks` });
+    }
+
+    const now = new Date();
+    const report = await prisma.$transaction(async (tx) => {
+      const result = { lists: 0, mergedLists: 0, tasks: 0, duplicateTasks: 0, tags: 0, reminders: 0 };
+
+      if (mode === "replace") {
+        const owned = await tx.taskList.findMany({ where: { userId }, select: { id: true } });
+        const ownedIds = owned.map((l) => l.id);
+        const [ownedTasks, ownedInvites, members, ownedTags] = await Promise.all([
+          tx.task.findMany({ where: { listId: { in: ownedIds } }, select: { id: true } }),
+          tx.taskListShareInvite.findMany({ where: { listId: { in: ownedIds } }, select: { id: true } }),
+          tx.taskListMember.findMany({ where: { listId: { in: ownedIds } }, select: { listId: true, userId: true } }),
+          tx.taskTag.findMany({ where: { userId: String(userId) }, select: { id: true } }),
+        ]);
+        await tx.task.deleteMany({ where: { listId: { in: ownedIds } } });
+        await tx.taskList.deleteMany({ where: { id: { in: ownedIds } } });
+        await tx.taskTag.deleteMany({ where: { userId: String(userId) } });
+        await tx.taskTombstone.createMany({
+          data: [
+            ...tombstoneData(userId, "list", ownedIds),
+            ...members.flatMap((m) => tombstoneData(m.userId, "list", [m.listId])),
+            ...tombstoneData(userId, "task", ownedTasks.map((t) => t.id)),
+            ...tombstoneData(userId, "invite", ownedInvites.map((i) => i.id)),
+            ...tombstoneData(userId, "tag", ownedTags.map((t) => t.id)),
+          ],
+        });
+      }
+
+      // Tags
+      const existingTags = await tx.taskTag.findMany({ where: { userId: String(userId) } });
+      const tagIdMap = new Map();
+      for (const tag of backup.tags) {
+        const name = tag.name.trim().slice(0, TAG_NAME_MAX_LENGTH);
+        const match = existingTags.find((t) => t.name.toLowerCase() === name.toLowerCase());
+        if (match) {
+          tagIdMap.set(String(tag.id), match.id);
+          continue;
+        }
+        const created = await tx.taskTag.create({
+          data: {
+            userId: String(userId),
+            name,
+            color: TAG_COLOR_PATTERN.test(tag.color || "") ? tag.color.toLowerCase() : undefined,
+          },
+        });
+        existingTags.push(created);
+        tagIdMap.set(String(tag.id), created.id);
+        result.tags += 1;
+      }
+
+      // Lists
+      const ownedLists = await tx.taskList.findMany({ where: { userId, deletedAt: null }, select: { id: true, slug: true } });
+      const slugs = new Set(ownedLists.map((l) => l.slug));
+      const listIdMap = new Map();
+      const mergedListIds = new Set();
+      const backupLists = [...backup.lists].sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0));
+      for (const list of backupLists) {
+        const slug = typeof list.slug === "string" && list.slug ? list.slug : slugify(list.name);
+        const existing = mode === "merge" ? ownedLists.find((l) => l.slug === slug) : null;
+        if (existing) {
+          listIdMap.set(String(list.id), existing.id);
+          mergedListIds.add(existing.id);
+          result.mergedLists += 1;
+          continue;
+        }
+        let uniqueSlug = slug;
+        for (let n = 2; slugs.has(uniqueSlug); n += 1) uniqueSlug = `${slug}-${n}`;
+        slugs.add(uniqueSlug);
+        const created = await tx.taskList.create({
+          data: { userId, name: list.name.trim(), slug: uniqueSlug, rank: rankBetween(await lastListRank(tx, userId), null) },
+        });
+        listIdMap.set(String(list.id), created.id);
+        result.lists += 1;
+      }
+
+      // Tasks, parents before their subtasks. In merged lists an identical task
+      // (same title, due date and parent) is reused instead of duplicated.
+      const existingTasks = mergedListIds.size > 0
+        ? await tx.task.findMany({ where: { listId: { in: [...mergedListIds] }, deletedAt: null } })
+        : [];
+      const taskIdMap = new Map();
+      const createdTaskIds = new Set();
+      const ordered = [...backup.tasks].sort((a, b) => ((a.parentId == null ? 0 : 1) - (b.parentId == null ? 0 : 1))
+        || ((Number(a.position) || 0) - (Number(b.position) || 0)));
+      // Each group of siblings from the backup is spread after the current last rank of its target
+      const groupSizes = new Map();
+      ordered.forEach((t) => groupSizes.set(`${t.listId}:${t.parentId}`, (groupSizes.get(`${t.listId}:${t.parentId}`) || 0) + 1));
+      const groupRanks = new Map();
+      for (const task of ordered) {
+        const listId = listIdMap.get(String(task.listId));
+        const parentId = task.parentId != null ? taskIdMap.get(String(task.parentId)) : null;
+        const dueDay = formatDateOnly(toDateOnly(task.dueDate));
+
+        const duplicate = mergedListIds.has(listId) && existingTasks.find((t) => (
+          t.listId === listId
+          && t.parentId === parentId
+          && t.title === task.title
+          && formatDateOnly(toDateOnly(t.dueDate)) === dueDay
+        ));
+        if (duplicate) {
+          taskIdMap.set(String(task.id), duplicate.id);
+          result.duplicateTasks += 1;
+          continue;
+        }
+
+        const groupKey = `${task.listId}:${task.parentId}`;
+        if (!groupRanks.has(groupKey)) {
+          groupRanks.set(groupKey, ranksBetween(await lastTaskRank(tx, listId, parentId), null, groupSizes.get(groupKey)));
+        }
+        const created = await tx.task.create({
+          data: {
+            userId,
+            listId,
+            parentId,
+            title: task.title,
+            description: typeof task.description === "string" ? task.description : null,
+            dueDate: dueDay ? new Date(dueDay) : null,
+            recurringConfig: task.recurringConfig || null,
+            completed: !!task.completed,
+            starred: !!task.starred,
+            rank: groupRanks.get(groupKey).shift(),
+            createdAt: task.createdAt && !Number.isNaN(new Date(task.createdAt).getTime()) ? new Date(task.createdAt) : undefined,
+          },
+        });
+        taskIdMap.set(String(task.id), created.id);
+        createdTaskIds.add(created.id);
+        result.tasks += 1;
+
+        const tagIds = (Array.isArray(task.tagIds) ? task.tagIds : [])
+          .map((id) => tagIdMap.get(String(id)))
+          .filter((id, index, all) => id && all.indexOf(id) === index);
+        if (tagIds.length > 0) {
+          await tx.taskTagAssignment.createMany({ data: tagIds.map((tagId) => ({ taskId: created.id, tagId })) });
+        }
+      }
+
+      // Reminders that are still ahead, for tasks created by this restore
+      const reminders = backup.reminders
+        .map((r) => ({
+          taskId: taskIdMap.get(String(r.taskId)),
+          reminderAt: parseReminderDate(r.reminderAt),
+          email: typeof r.email === "string" ? r.email : null,
+        }))
+        .filter((r) => createdTaskIds.has(r.taskId) && r.reminderAt && r.reminderAt > now);
+      if (reminders.length > 0) {
+        await tx.taskReminder.createMany({
+          data: reminders.map((r) => ({ ...r, userId: String(userId), sourcePlugin: "restore" })),
+        });
+      }
+      result.reminders = reminders.length;
+      result.skippedReminders = backup.reminders.length - reminders.length;
+      result.skippedInvites = backup.invites.length;
+      return result;
+    }, { timeout: 60000 });
+
+    res.json({ mode, version: backup.version, restored: report, preferences: backup.preferences });
+    activity.record(actor(req), {
+      action: "backup:restore",
+      changes: {
+        mode: { from: null, to: mode },
+        lists: { from: null, to: report.lists },
+        tasks: { from: null, to: report.tasks },
+      },
+    });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] restore", {
+        userId,
+        mode,
+        version: backup.version,
+        ...report,
+      });
+    }
+  }));
+
+  // API: List lists with open/completed/overdue task counts; paged like `GET /`
+  router.get("/lists", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "lists:list");
+    if (!input) return;
+    const { role, updatedSince } = input.query;
+    const today = toDateOnly(input.query.today || new Date());
+    const start = pageStart(res, LIST_SORTS, input.query);
+    if (!start) return;
+
+    // A shared list's rank is the member's own, so lists are sorted after resolving roles
+    const roles = await accessFor(req).listRoles(userId);
+    const listRows = await prisma.taskList.findMany({
+      where: {
+        id: { in: [...roles.keys()] },
+        ...(updatedSince ? { updatedAt: { gt: updatedSince } } : {}),
+      },
+    });
+    const matching = listRows
+      .map((l) => access.withRole(l, roles))
+      .filter((l) => !role || l.role === role)
+      .sort((a, b) => compareByKeys(start.keys, a, b));
+    const rest = start.after ? rowsAfter(start.keys, matching, start.after) : matching;
+    const page = start.limit ? rest.slice(0, start.limit) : rest;
+    const nextCursor = page.length < rest.length ? encodePageCursor(start.keys, page[page.length - 1]) : null;
+
+    // Task counts (subtasks included) for the lists answered
+    const pageIds = page.map((l) => l.id);
+    const [byState, overdue] = await Promise.all([
+      prisma.task.groupBy({
+        by: ["listId", "completed"],
+        where: { listId: { in: pageIds }, deletedAt: null },
+        _count: { _all: true },
+      }),
+      prisma.task.groupBy({
+        by: ["listId"],
+        where: { listId: { in: pageIds }, deletedAt: null, completed: false, dueDate: { lt: today } },
+        _count: { _all: true },
+      }),
+    ]);
+    const counts = new Map(pageIds.map((id) => [id, { open: 0, completed: 0, overdue: 0 }]));
+    byState.forEach((row) => {
+      counts.get(row.listId)[row.completed ? "completed" : "open"] = row._count._all;
+    });
+    overdue.forEach((row) => {
+      counts.get(row.listId).overdue = row._count._all;
+    });
+    const lists = page.map((l) => ({ ...l, counts: counts.get(l.id) }));
+
+    res.json(start.limit ? { lists, nextCursor } : lists);
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] lists:list", {
+        userId,
+        sort: input.query.sort,
+        listsCount: lists.length,
+        more: nextCursor !== null,
+      });
+    }
+  }));
+
+  // API: Create a new list
+  router.post("/lists", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "lists:create")) return;
+
+    const input = parseInput(req, res, "lists:create");
+    if (!input) return;
+    const { name, slug } = input.body;
+
+    const created = await prisma.taskList.create({
+      data: {
+        userId,
+        name,
+        slug: slug || slugify(name),
+        rank: rankBetween(await lastListRank(prisma, userId), null),
+      },
+    });
+
+    res.status(201).json(created);
+    emitEvent(req, "list.created", created.id, { list: created });
+    activity.record(actor(req), {
+      action: "lists:create",
+      listId: created.id,
+      changes: activityChanges(null, created, LIST_ACTIVITY_FIELDS),
+    });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] lists:create", {
+        userId,
+        listId: created.id,
+        name: created.name,
+      });
+    }
+  }));
+
+  // API: Reorder lists (full order); registered before "/lists/:id" so it is not shadowed
+  router.put("/lists/order", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "lists:order")) return;
+
+    const input = parseInput(req, res, "lists:order");
+    if (!input) return;
+    const ids = input.body.listOrder;
+
+    await rankMaintainer.ensureRanked({ kind: "lists", userId });
+    const roles = await accessFor(req).listRoles(userId);
+    const missing = ids.filter((id) => !roles.has(id));
+    if (missing.length > 0) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] lists:order missing lists", {
+          userId,
+          missing,
+        });
+      }
+      return res.status(400).json({ error: "Some lists do not exist or are not accessible", code: "unknown_ids", missing });
+    }
+
+    const owned = await prisma.taskList.findMany({ where: { id: { in: ids }, userId }, select: { id: true, rank: true } });
+    const ownedRanks = new Map(owned.map((l) => [l.id, l.rank]));
+    const ranks = rerankForOrder(ids.map((id) => ({
+      id,
+      rank: roles.get(id).role === "owner" ? ownedRanks.get(id) : roles.get(id).rank,
+    })));
+
+    // Only lists whose rank does not fit the new order are written.
+    // Owned lists keep their rank on the list; shared lists on the membership.
+    const changedIds = [...ranks.keys()];
+    const reordered = await prisma.$transaction(
+      changedIds.map((id) =>
+        roles.get(id).role === "owner"
+          ? prisma.taskList.update({
+            where: { id },
+            data: { rank: ranks.get(id) },
+          })
+          : prisma.taskListMember.update({
+            where: { listId_userId: { listId: id, userId: String(userId) } },
+            data: { rank: ranks.get(id) },
+          })
+      )
+    );
+
+    // New `updatedAt` values let clients keep their concurrency base current
+    const ownedRows = reordered.filter((row, index) => roles.get(changedIds[index]).role === "owner");
+    res.json({ ok: true, lists: ownedRows.map((l) => ({ id: l.id, rank: l.rank, updatedAt: l.updatedAt })) });
+    activity.record(actor(req), { action: "lists:order", changes: { order: { from: null, to: ids } } });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] lists:order", {
+        userId,
+        listOrder: ids,
+      });
+    }
+  }));
+
+  // API: Move one list between two others (`afterId` above it, `beforeId` below it;
+  // either alone is enough, neither moves it to the end). Only that list is written.
+  router.post("/lists/:id/move", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "lists:move");
+    if (!input) return;
+    const { id } = input.params;
+    const placement = checkPlacement(res, input.body, id);
+    if (!placement) return;
+
+    // Ordering is personal, so viewers may move shared lists too
+    const listAccess = await accessFor(req).getListAccess(userId, id);
+    if (!listAccess) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] lists:move not found", {
+          userId,
+          id,
+        });
+      }
+      return res.status(404).json({ error: "List not found" });
+    }
+
+    const group = { kind: "lists", userId };
+    await rankMaintainer.ensureRanked(group);
+    const rank = await placeInGroup(group, placement, async () => {
+      const roles = await accessFor(req).listRoles(userId);
+      const owned = await prisma.taskList.findMany({
+        where: { userId, deletedAt: null, id: { not: id } },
+        select: { id: true, rank: true },
+      });
+      const ownedRanks = new Map(owned.map((l) => [l.id, l.rank]));
+      return [...roles.entries()]
+        .filter(([listId]) => listId !== id)
+        .map(([listId, entry]) => ({ id: listId, rank: entry.rank === null ? ownedRanks.get(listId) : entry.rank }));
+    });
+    if (rank.error) return res.status(400).json({ error: rank.error, code: "invalid_placement" });
+
+    const updated = listAccess.role === "owner"
+      ? await prisma.taskList.update({ where: { id }, data: { rank: rank.rank } })
+      : await prisma.taskListMember.update({
+        where: { listId_userId: { listId: id, userId: String(userId) } },
+        data: { rank: rank.rank },
+      });
+    if (rank.rank.length > RANK_REBALANCE_LENGTH) rankMaintainer.schedule(group);
+
+    // A membership's `updatedAt` is not the list's, so members keep their concurrency base
+    res.json({ id, rank: rank.rank, updatedAt: listAccess.role === "owner" ? updated.updatedAt : listAccess.list.updatedAt });
+    activity.record(actor(req), { action: "lists:order", listId: id, changes: { rank: { from: null, to: rank.rank } } });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] lists:move", {
+        userId,
+        id,
+        rank: rank.rank,
+      });
+    }
+  }));
+
+  // API: Update / rename a list
+  router.put("/lists/:id", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "lists:update");
+    if (!input) return;
+    const { id } = input.params;
+    const { name, slug, baseUpdatedAt } = input.body;
+
+    const listAccess = await accessFor(req).getListAccess(userId, id);
+    if (!listAccess) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] lists:update not found", {
+          userId,
+          id,
+        });
+      }
+      return res.status(404).json({ error: "List not found" });
+    }
+    if (!hasListRole(listAccess.role, "editor")) {
+      return forbidden(res, "lists:update", { userId, id, role: listAccess.role });
+    }
+    const existing = listAccess.list;
+
+    const { updated, conflict } = await updateIfUnchanged(prisma.taskList, id, baseUpdatedAt, {
+      name: name || existing.name,
+      slug: slug || existing.slug,
+    });
+    if (conflict) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] lists:update conflict", {
+          userId,
+          id,
+          baseUpdatedAt,
+          currentUpdatedAt: conflict.updatedAt,
+        });
+      }
+      return res.status(409).json({ error: "List was changed since it was last loaded", current: conflict });
+    }
+
+    res.json(updated);
+    emitEvent(req, "list.updated", id, { list: updated });
+    activity.record(actor(req), {
+      action: "lists:update",
+      listId: id,
+      changes: activityChanges(existing, updated, LIST_ACTIVITY_FIELDS),
+    });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] lists:update", {
+        userId,
+        id: updated.id,
+        name: updated.name,
+      });
+    }
+  }));
+
+  // API: Delete a list (moves it and its tasks to the trash)
+  router.delete("/lists/:id", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "lists:delete");
+    if (!input) return;
+    const { id } = input.params;
+
+    const listAccess = await accessFor(req).getListAccess(userId, id);
+    if (!listAccess) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] lists:delete not found", {
+          userId,
+          id,
+        });
+      }
+      return res.status(404).json({ error: "List not found" });
+    }
+    if (listAccess.role !== "owner") {
+      return forbidden(res, "lists:delete", { userId, id, role: listAccess.role }, "Only the owner can delete this list");
+    }
+
+    const [listTasks, listInvites, listMembers] = await Promise.all([
+      prisma.task.findMany({ where: { listId: id, deletedAt: null }, select: { id: true } }),
+      prisma.taskListShareInvite.findMany({ where: { listId: id }, select: { id: true } }),
+      prisma.taskListMember.findMany({ where: { listId: id }, select: { userId: true } }),
+    ]);
+
+    // The list moves to the trash with its tasks, members and invites intact.
+    // Devices still see a delete, and members lose access, so they get their own list tombstone.
+    const deletedAt = new Date();
+    await prisma.$transaction([
+      prisma.taskList.update({
+        where: { id },
+        data: { deletedAt, slug: trashedSlug(listAccess.list.slug, id) },
+      }),
+      prisma.taskTombstone.createMany({
+        data: [
+          ...tombstoneData(userId, "list", [id]),
+          ...listMembers.flatMap((m) => tombstoneData(m.userId, "list", [id])),
+          ...tombstoneData(userId, "task", listTasks.map((t) => t.id)),
+          ...tombstoneData(userId, "invite", listInvites.map((i) => i.id)),
+        ],
+      }),
+    ]);
+
+    res.json({ ok: true, trashed: true, purgeAt: trashPurgeAt(deletedAt, trashPurger.retentionDays) });
+    emitEvent(req, "list.deleted", id, { list: { id, name: listAccess.list.name } });
+    activity.record(actor(req), { action: "lists:delete", listId: id });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] lists:delete", {
+        userId,
+        id,
+      });
+    }
+  }));
+
+  // API: Lists and tasks in the trash. Lists are the caller's own; tasks come from
+  // lists they can edit. Subtasks trashed together with their parent are folded into it.
+  router.get("/trash", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "trash:list")) return;
+
+    const roles = await accessFor(req).listRoles(userId);
+    const editableIds = [...roles.entries()]
+      .filter(([, entry]) => hasListRole(entry.role, "editor"))
+      .map(([listId]) => listId);
+
+    const [listRows, taskRows] = await Promise.all([
+      prisma.taskList.findMany({
+        where: { userId, deletedAt: { not: null } },
+        orderBy: [{ deletedAt: "desc" }, { id: "asc" }],
+      }),
+      prisma.task.findMany({
+        where: { listId: { in: editableIds }, deletedAt: { not: null } },
+        include: { parent: { select: { title: true, deletedAt: true } } },
+        orderBy: [{ deletedAt: "desc" }, { id: "asc" }],
+      }),
+    ]);
+    const taskCounts = listRows.length
+      ? await prisma.task.groupBy({
+        by: ["listId"],
+        where: { listId: { in: listRows.map((l) => l.id) }, deletedAt: null, parentId: null },
+        _count: { _all: true },
+      })
+      : [];
+    const listNames = new Map((await prisma.taskList.findMany({
+      where: { id: { in: editableIds } },
+      select: { id: true, name: true },
+    })).map((l) => [l.id, l.name]));
+
+    const trashedWithParent = (t) => t.parent && t.parent.deletedAt &&
+      t.parent.deletedAt.getTime() === t.deletedAt.getTime();
+    const subtaskCounts = new Map();
+    taskRows.filter(trashedWithParent).forEach((t) => {
+      subtaskCounts.set(t.parentId, (subtaskCounts.get(t.parentId) || 0) + 1);
+    });
+
+    const retentionDays = trashPurger.retentionDays;
+    res.json({
+      retentionDays,
+      lists: listRows.map((l) => ({
+        id: l.id,
+        name: l.name,
+        slug: restoredSlug(l.slug, l.id, () => false),
+        deletedAt: l.deletedAt,
+        purgeAt: trashPurgeAt(l.deletedAt, retentionDays),
+        taskCount: (taskCounts.find((c) => c.listId === l.id) || { _count: { _all: 0 } })._count._all,
+      })),
+      tasks: taskRows.filter((t) => !trashedWithParent(t)).map(({ parent, ...t }) => ({
+        ...t,
+        listName: listNames.get(t.listId) || null,
+        parentTitle: parent ? parent.title : null,
+        subtaskCount: subtaskCounts.get(t.id) || 0,
+        purgeAt: trashPurgeAt(t.deletedAt, retentionDays),
+      })),
+    });
+  }));
+
+  // API: Empty the trash now (what `GET /trash` shows); registered before "/:id"
+  router.delete("/trash", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "trash:empty")) return;
+
+    const roles = await accessFor(req).listRoles(userId);
+    const editableIds = [...roles.entries()]
+      .filter(([, entry]) => hasListRole(entry.role, "editor"))
+      .map(([listId]) => listId);
+
+    const purged = await purgeTrash(prisma, {
+      lists: { userId },
+      tasks: { listId: { in: editableIds } },
+    });
+
+    res.json({ ok: true, purged });
+    activity.record(actor(req), {
+      action: "trash:empty",
+      changes: { purgedLists: { from: null, to: purged.lists }, purgedTasks: { from: null, to: purged.tasks } },
+    });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] trash:empty", {
+        userId,
+        ...purged,
+      });
+    }
+  }));
+
+  // API: Restore a list from the trash at its old position, with the tasks it had
+  router.post("/lists/:id/restore", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!allowsAllLists(req, res, "lists:restore")) return;
+
+    const input = parseInput(req, res, "lists:restore");
+    if (!input) return;
+    const { id } = input.params;
+
+    const list = await prisma.taskList.findUnique({ where: { id } });
+    if (!list || !list.deletedAt || String(list.userId) !== String(userId)) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] lists:restore not found", {
+          userId,
+          id,
+        });
+      }
+      return res.status(404).json({ error: "List not found in the trash" });
+    }
+
+    const [ownedLists, listTasks, listInvites] = await Promise.all([
+      prisma.taskList.findMany({ where: { userId, deletedAt: null }, select: { slug: true } }),
+      prisma.task.findMany({ where: { listId: id, deletedAt: null }, select: { id: true } }),
+      prisma.taskListShareInvite.findMany({ where: { listId: id }, select: { id: true } }),
+    ]);
+    const slugs = new Set(ownedLists.map((l) => l.slug));
+    const taskIds = listTasks.map((t) => t.id);
+    const inviteIds = listInvites.map((i) => i.id);
+    const now = new Date();
+
+    // The list keeps its rank, so it comes back where it was.
+    // Tasks and invites are touched so `GET /changes` sends them again.
+    const [restored] = await prisma.$transaction([
+      prisma.taskList.update({
+        where: { id },
+        data: { deletedAt: null, slug: restoredSlug(list.slug, id, (slug) => slugs.has(slug)) },
+      }),
+      prisma.task.updateMany({ where: { id: { in: taskIds } }, data: { updatedAt: now } }),
+      prisma.taskListShareInvite.updateMany({ where: { id: { in: inviteIds } }, data: { updatedAt: now } }),
+      prisma.taskTombstone.deleteMany({
+        where: {
+          OR: [
+            { entityType: "list", entityId: id },
+            { entityType: "task", entityId: { in: taskIds } },
+            { entityType: "invite", entityId: { in: inviteIds } },
+          ],
+        },
+      }),
+    ]);
+
+    res.json(restored);
+    activity.record(actor(req), { action: "lists:restore", listId: id });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] lists:restore", {
+        userId,
+        id,
+        tasksCount: taskIds.length,
+      });
+    }
+  }));
+
+  // API: Restore a task (and the subtasks trashed with it) at its old position
+  router.post("/:id/restore", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:restore");
+    if (!input) return;
+    const { id } = input.params;
+
+    const task = await prisma.task.findUnique({ where: { id } });
+    const listAccess = task && task.deletedAt ? await accessFor(req).getListAccess(userId, task.listId) : null;
+    if (!listAccess) {
+      const list = task ? await prisma.taskList.findUnique({ where: { id: task.listId } }) : null;
+      if (task && task.deletedAt && list && list.deletedAt && String(list.userId) === String(userId)) {
+        return res.status(409).json({ error: "The task's list is in the trash; restore the list first", code: "list_in_trash" });
+      }
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] tasks:restore not found", {
+          userId,
+          id,
+        });
+      }
+      return res.status(404).json({ error: "Task not found in the trash" });
+    }
+    if (!hasListRole(listAccess.role, "editor")) {
+      return forbidden(res, "tasks:restore", { userId, id, role: listAccess.role });
+    }
+    if (task.parentId !== null) {
+      const parent = await prisma.task.findUnique({ where: { id: task.parentId }, select: { deletedAt: true } });
+      if (parent && parent.deletedAt) {
+        return res.status(409).json({ error: "The parent task is in the trash; restore it first", code: "parent_in_trash" });
+      }
+    }
+
+    const subtasks = task.parentId === null
+      ? await prisma.task.findMany({ where: { parentId: id, deletedAt: task.deletedAt }, select: { id: true } })
+      : [];
+    const ids = [id, ...subtasks.map((t) => t.id)];
+
+    // Restored tasks keep their rank, so they come back where they were
+    await prisma.$transaction([
+      prisma.task.updateMany({ where: { id: { in: ids } }, data: { deletedAt: null } }),
+      prisma.taskTombstone.deleteMany({ where: { entityType: "task", entityId: { in: ids } } }),
+    ]);
+
+    const [restored, restoredSubtasks] = await Promise.all([
+      prisma.task.findUnique({ where: { id } }),
+      prisma.task.findMany({
+        where: { id: { in: subtasks.map((t) => t.id) } },
+        orderBy: [{ rank: "asc" }, { position: "asc" }, { id: "asc" }],
+      }),
+    ]);
+
+    res.json({ ...restored, subtasks: restoredSubtasks });
+    activity.record(actor(req), { action: "tasks:restore", listId: restored.listId, taskId: id });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tasks:restore", {
+        userId,
+        id,
+        subtasksCount: restoredSubtasks.length,
+      });
+    }
+  }));
+
+  // The sort keys, cursor position and page size of a listing (lib/paging.js); `limit` is
+  // null when neither `limit` nor `cursor` was sent and every row is wanted. Answers 400
+  // and returns null for a cursor that is malformed or from another sort.
+  function pageStart(res, sorts, query) {
+    const keys = sortKeys(sorts, query.sort, query.order);
+    const paged = typeof query.limit !== "undefined" || typeof query.cursor !== "undefined";
+    const limit = paged ? query.limit || PAGE_DEFAULT_LIMIT : null;
+    if (typeof query.cursor === "undefined") return { keys, after: null, limit };
+    const after = decodePageCursor(keys, query.cursor);
+    if (!after) {
+      fieldError(res, "cursor", "invalid_format", "Invalid cursor; start again without one, keeping the same sort");
+      return null;
+    }
+    return { keys, after, limit };
+  }
+
+  // API: List tasks, filtered and sorted. With `limit` or `cursor` the answer is a page,
+  // { tasks, nextCursor } with `nextCursor` null on the last one; otherwise every task.
+  router.get("/", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:list");
+    if (!input) return;
+    const { listId, completed, starred, recurring, dueFrom, dueTo, updatedSince } = input.query;
+    const start = pageStart(res, TASK_SORTS, input.query);
+    if (!start) return;
+
+    const roles = await accessFor(req).listRoles(userId);
+    const where = { listId: { in: [...roles.keys()] }, deletedAt: null };
+    if (typeof listId !== "undefined") {
+      if (!roles.has(listId)) {
+        return res.status(404).json({ error: "List not found" });
+      }
+      where.listId = listId;
+    }
+    if (typeof completed !== "undefined") where.completed = completed;
+    if (typeof starred !== "undefined") where.starred = starred;
+    if (typeof recurring !== "undefined") {
+      // Tasks that never repeated store a database NULL
+      where.recurringConfig = recurring ? { not: Prisma.DbNull } : { equals: Prisma.DbNull };
+    }
+    if (dueFrom || dueTo) {
+      where.dueDate = {
+        ...(dueFrom ? { gte: toDateOnly(dueFrom) } : {}),
+        ...(dueTo ? { lte: toDateOnly(dueTo) } : {}),
+      };
+    }
+    if (updatedSince) where.updatedAt = { gt: updatedSince };
+
+    const readChunk = (after, take) => prisma.task.findMany({
+      where: after ? { AND: [where, keysetWhere(start.keys, after)] } : where,
+      orderBy: keysOrderBy(start.keys),
+      take,
+    });
+    const { rows: tasks, nextCursor } = start.limit
+      ? await readPage({ keys: start.keys, limit: start.limit, after: start.after, readChunk })
+      : { rows: await readChunk(null), nextCursor: null };
+
+    res.json(start.limit ? { tasks, nextCursor } : tasks);
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tasks:list", {
+        userId,
+        listId: typeof where.listId === "number" ? where.listId : null,
+        sort: input.query.sort,
+        tasksCount: tasks.length,
+        more: nextCursor !== null,
+      });
+    }
+  }));
+
+  // API: Search tasks with the query language from lib/search.js, best matches first.
+  // `today` (YYYY-MM-DD) lets the client resolve due:today in its own time zone.
+  router.get("/search", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const {
-      listId,
-      title,
-      description,
-      dueDate,
-      recurringConfig,
-      starred,
-    } = req.body || {};
-
-    const parsedListId = Number(listId);
-    if (!Number.isFinite(parsedListId)) {
+    const input = parseInput(req, res, "tasks:search");
+    if (!input) return;
+    const { q, today, limit = SEARCH_DEFAULT_LIMIT } = input.query;
+    const query = parseSearchQuery(q);
+    if (query.errors.length > 0) {
       if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:create invalid listId", {
+        logger.warn("[tasks-api] tasks:search invalid query", {
           userId,
-          rawListId: listId,
-          body: req.body,
+          q,
+          errors: query.errors,
         });
       }
-      return res.status(400).json({ error: "listId is required and must be a number" });
+      return invalidInput(res, query.errors.map((message) => ({ path: "q", code: "invalid_format", message })));
+    }
+    if (!query.terms.length && !query.filters.length) {
+      return fieldError(res, "q", "required", "q is required");
+    }
+
+    const roles = await accessFor(req).listRoles(userId);
+    const listIds = [...roles.keys()];
+    const [lists, tasks, tagRows] = await Promise.all([
+      prisma.taskList.findMany({
+        where: { id: { in: listIds } },
+        select: { id: true, name: true, slug: true },
+      }),
+      prisma.task.findMany({
+        where: { listId: { in: listIds }, deletedAt: null },
+        orderBy: [{ listId: "asc" }, { rank: "asc" }, { position: "asc" }, { id: "asc" }],
+      }),
+      query.filters.some((f) => f.key === "tag" || (f.key === "has" && f.value === "tags"))
+        ? prisma.taskTag.findMany({ where: { userId: String(userId) } })
+        : [],
+    ]);
+
+    const listsById = new Map(lists.map((l) => [l.id, l]));
+    const tagNamesByTask = new Map();
+    (await tagsWithTaskIds(tagRows, listIds)).forEach((tag) => {
+      tag.taskIds.forEach((taskId) => {
+        tagNamesByTask.set(taskId, [...(tagNamesByTask.get(taskId) || []), tag.name]);
+      });
+    });
+
+    const ranked = searchTasks(tasks, query, {
+      today,
+      listOf: (task) => listsById.get(task.listId),
+      tagNamesOf: (task) => tagNamesByTask.get(task.id) || [],
+    });
+    const results = ranked.slice(0, Math.min(limit, SEARCH_MAX_LIMIT)).map(({ task, score }) => ({
+      ...task,
+      score,
+      listName: listsById.get(task.listId).name,
+    }));
+
+    res.json({ q, total: ranked.length, results });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tasks:search", {
+        userId,
+        q,
+        total: ranked.length,
+      });
+    }
+  }));
+
+  // API: Smart views across every list the user can see (lib/views.js).
+  // `today` (YYYY-MM-DD) lets the client use its own time zone; `days` sizes "upcoming".
+  router.get("/views/:view", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "views:get");
+    if (!input) return;
+    const { view } = input.params;
+    if (!SMART_VIEWS.includes(view)) {
+      return res.status(404).json({ error: `Unknown view; expected one of ${SMART_VIEWS.join(", ")}` });
+    }
+    const { today, days } = input.query;
+
+    const roles = await accessFor(req).listRoles(userId);
+    const listIds = [...roles.keys()];
+    const [listRows, tasks] = await Promise.all([
+      prisma.taskList.findMany({
+        where: { id: { in: listIds } },
+        select: { id: true, name: true, position: true, rank: true },
+      }),
+      prisma.task.findMany({
+        where: {
+          listId: { in: listIds },
+          deletedAt: null,
+          completed: false,
+          ...(view === "starred" ? { starred: true } : { dueDate: { not: null } }),
+        },
+      }),
+    ]);
+
+    // Group order follows the user's own list order, like GET /lists
+    const lists = listRows.map((l) => access.withRole(l, roles)).sort(byRank);
+    const listNames = new Map(lists.map((l) => [l.id, l.name]));
+    const result = computeSmartView(view, tasks, {
+      today,
+      days,
+      listOrder: lists.map((l) => l.id),
+    });
+
+    res.json({
+      ...result,
+      groups: result.groups.map((group) => (
+        group.listId ? { ...group, listName: listNames.get(group.listId) } : group
+      )),
+    });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] views:get", {
+        userId,
+        view,
+        count: result.count,
+      });
+    }
+  }));
+
+  // API: Create a new task
+  router.post("/", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:create");
+    if (!input) return;
+    const body = input.body;
+    let { listId, title, dueDate, recurringConfig, starred, reminderAt } = body;
+    const { description, parentId, quickAdd } = body;
+
+    // `quickAdd` is parsed into title, due date, recurrence, star and target list;
+    // a `#list` in the text wins over `listId`, which is then only the default
+    if (typeof quickAdd !== "undefined") {
+      const roles = await accessFor(req).listRoles(userId);
+      const editableIds = [...roles.entries()]
+        .filter(([, entry]) => hasListRole(entry.role, "editor"))
+        .map(([id]) => id);
+      const lists = await prisma.taskList.findMany({
+        where: { id: { in: editableIds } },
+        select: { id: true, name: true, slug: true },
+      });
+
+      const parsed = parseQuickAdd(quickAdd, { today: body.today, lists });
+      title = parsed.title;
+      dueDate = parsed.dueDate ? new Date(parsed.dueDate) : null;
+      recurringConfig = parsed.recurring;
+      starred = parsed.starred;
+      if (parsed.list) listId = parsed.list.id;
+      if (parsed.time && !reminderAt) {
+        reminderAt = quickAddReminderAt(parsed.dueDate, parsed.time, body.timezoneOffset);
+      }
+    }
+
+    // Quick add text without a `#list` needs `listId` as the default
+    if (typeof listId !== "number") {
+      return fieldError(res, "listId", "required", "listId is required when the quick add text names no list");
     }
-    if (!title || typeof title !== "string") {
+    if (!title) {
+      return fieldError(res, "quickAdd", "required", "Quick add text has no title");
+    }
+    const parsedListId = listId;
+
+    const listAccess = await accessFor(req).getListAccess(userId, parsedListId);
+    if (!listAccess) {
       if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:create missing title", {
+        logger.warn("[tasks-api] tasks:create list not found", {
           userId,
-          body: req.body,
+          listId: parsedListId,
         });
       }
-      return res.status(400).json({ error: "title is required" });
+      return res.status(404).json({ error: "List not found" });
+    }
+    if (!hasListRole(listAccess.role, "editor")) {
+      return forbidden(res, "tasks:create", { userId, listId: parsedListId, role: listAccess.role });
     }
 
-    const list = await prisma.taskList.findFirst({
-      where: { id: parsedListId, userId },
-    });
-    if (!list) {
+    const parent = await resolveParent(parentId, parsedListId);
+    if (parent.error) {
       if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:create list not found", {
+        logger.warn("[tasks-api] tasks:create invalid parent", {
           userId,
           listId: parsedListId,
+          parentId,
+          error: parent.error,
         });
       }
-      return res.status(404).json({ error: "List not found" });
+      return fieldError(res, "parentId", "invalid_value", parent.error);
     }
 
-    const countInList = await prisma.task.count({
-      where: { userId, listId: parsedListId },
-    });
+    // Top-level tasks are ordered within the list, subtasks within their parent
+    const rank = rankBetween(await lastTaskRank(prisma, parsedListId, parent.parentId), null);
 
     const created = await prisma.task.create({
       data: {
         userId,
         listId: parsedListId,
+        parentId: parent.parentId,
         title,
-        description: typeof description === "string" ? description : null,
-        dueDate: dueDate ? new Date(dueDate) : null,
+        description: description ?? null,
+        dueDate: dueDate ?? null,
         recurringConfig: recurringConfig || null,
         completed: false,
-        starred: !!starred,
-        position: countInList,
+        starred,
+        rank,
       },
     });
 
-    res.status(201).json(created);
+    // A time of day ("call mom tomorrow 6pm") becomes a reminder, since due dates are days
+    let reminder = null;
+    if (reminderAt) {
+      reminder = await prisma.taskReminder.create({
+        data: {
+          taskId: created.id,
+          userId: String(userId),
+          reminderAt,
+          email: req.user && req.user.email ? String(req.user.email).trim() : null,
+          sourcePlugin: "tasks",
+        },
+      });
+    }
+
+    res.status(201).json(reminder ? { ...created, reminder } : created);
+    emitEvent(req, "task.created", created.listId, { task: created });
+    activity.record(actor(req), {
+      action: "tasks:create",
+      listId: created.listId,
+      taskId: created.id,
+      changes: activityChanges(null, created, TASK_ACTIVITY_FIELDS),
+    });
     if (logger && typeof logger.info === "function") {
       logger.info("[tasks-api] tasks:create", {
         userId,
         taskId: created.id,
         listId: created.listId,
+        parentId: created.parentId,
         title: created.title,
+        quickAdd: typeof quickAdd === "string",
+        reminderId: reminder ? reminder.id : null,
       });
     }
   }));
 
-  // API: Update a task
-  router.put("/:id", asyncHandler(async (req, res) => {
+  // API: Apply several task operations (multi-select) in one transaction. Access is
+  // resolved once for the whole batch; a failing operation rolls back all of them.
+  router.post("/batch", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
+    // Invalid operations are reported with paths like "operations.2.title"
+    const input = parseInput(req, res, "batch");
+    if (!input) return;
+    const { operations } = input.body;
+
+    const roles = await accessFor(req).listRoles(userId);
+
+    let outcome;
+    try {
+      outcome = await applyBatch(prisma, operations, {
+        userId,
+        roles,
+        retentionDays: trashPurger.retentionDays,
+      });
+    } catch (err) {
+      if (!err.batchFailure) throw err;
+      const { index, status, error, ...extra } = err.batchFailure;
       if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:update invalid id", {
+        logger.warn("[tasks-api] batch failed", {
           userId,
-          rawId: req.params.id,
+          index,
+          op: operations[index].op,
+          error,
         });
       }
-      return res.status(400).json({ error: "Invalid id" });
+      // Nothing was applied; earlier operations were rolled back with the failing one
+      return res.status(status).json({
+        error: `operations[${index}]: ${error}`,
+        index,
+        results: operations.map((op, i) => (i === index
+          ? { index: i, op: op.op, ok: false, status, error, ...extra }
+          : { index: i, op: op.op, ok: false, error: i < index ? "Rolled back" : "Not applied" })),
+      });
+    }
+    const { results, entries, events, rolled } = outcome;
+
+    // Reminders of rolled-forward tasks move with the due date, as in `PUT /:id`
+    for (const { id, from, to } of rolled) {
+      await shiftTaskReminders(prisma, id, from, to);
+    }
+
+    res.json({ ok: true, results });
+    events.forEach(({ event, listId, data }) => emitEvent(req, event, listId, data));
+    activity.record(actor(req), entries);
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] batch", {
+        userId,
+        operationsCount: operations.length,
+        ops: [...new Set(operations.map((op) => op.op))],
+      });
+    }
+  }));
+
+  // API: Reorder tasks within a list (and optionally move into list); registered before "/:id"
+  router.put("/order", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:order");
+    if (!input) return;
+    // With `parentId`, `taskOrder` reorders that task's subtasks instead of the list
+    const { listId: parsedListId, taskOrder: ids, parentId } = input.body;
+
+    const roles = await accessFor(req).listRoles(userId);
+    const target = roles.get(parsedListId);
+    if (!target) {
+      return res.status(404).json({ error: "List not found" });
+    }
+    if (!hasListRole(target.role, "editor")) {
+      return forbidden(res, "tasks:order", { userId, listId: parsedListId, role: target.role });
     }
 
-    const existing = await prisma.task.findFirst({
-      where: { id, userId },
+    const parent = await resolveParent(parentId, parsedListId);
+    if (parent.error) return fieldError(res, "parentId", "invalid_value", parent.error);
+
+    // Tasks may come from other lists (moves), which must be editable too.
+    // Subtasks can only be reordered within their own parent.
+    await rankMaintainer.ensureRanked({ kind: "tasks", listId: parsedListId, parentId: parent.parentId });
+    const tasks = await prisma.task.findMany({
+      where: { id: { in: ids }, deletedAt: null },
+      select: { id: true, listId: true, parentId: true, rank: true },
     });
-    if (!existing) {
+    const existingIds = new Set(
+      tasks
+        .filter((t) => roles.has(t.listId) && hasListRole(roles.get(t.listId).role, "editor"))
+        .filter((t) => t.parentId === parent.parentId)
+        .map((t) => t.id)
+    );
+    const missing = ids.filter((id) => !existingIds.has(id));
+    if (missing.length > 0) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] tasks:order missing tasks", {
+          userId,
+          missing,
+        });
+      }
+      return res.status(400).json({ error: "Some tasks do not exist or are not editable", code: "unknown_ids", missing });
+    }
+
+    // Only tasks whose rank does not fit the new order, or that change list, are written.
+    // Ranks from another list mean nothing here, so tasks moving in always get a new one.
+    const byId = new Map(tasks.map((t) => [t.id, t]));
+    const ranks = rerankForOrder(ids.map((id) => ({
+      id,
+      rank: byId.get(id).listId === parsedListId ? byId.get(id).rank : "",
+    })));
+    const changedIds = ids.filter((id) => ranks.has(id) || byId.get(id).listId !== parsedListId);
+    const movedIds = changedIds.filter((id) => byId.get(id).listId !== parsedListId);
+
+    const results = await prisma.$transaction([
+      ...changedIds.map((id) =>
+        prisma.task.update({
+          where: { id },
+          data: { listId: parsedListId, rank: ranks.get(id) || byId.get(id).rank },
+        })
+      ),
+      // Subtasks follow their parent into the target list
+      prisma.task.updateMany({
+        where: { parentId: { in: movedIds } },
+        data: { listId: parsedListId },
+      }),
+    ]);
+    const reordered = results.slice(0, changedIds.length);
+
+    // New `updatedAt` values let clients keep their concurrency base current
+    res.json({ ok: true, tasks: reordered.map((t) => ({ id: t.id, rank: t.rank, updatedAt: t.updatedAt })) });
+    // One entry for the new order, plus one per task that arrived from another list
+    activity.record(actor(req), [
+      { action: "tasks:order", listId: parsedListId, taskId: parent.parentId, changes: { order: { from: null, to: ids } } },
+      ...tasks.filter((t) => t.listId !== parsedListId).map((t) => ({
+        action: "tasks:move",
+        listId: parsedListId,
+        taskId: t.id,
+        changes: { listId: { from: t.listId, to: parsedListId } },
+      })),
+    ]);
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tasks:order", {
+        userId,
+        listId: parsedListId,
+        parentId: parent.parentId,
+        taskOrder: ids,
+      });
+    }
+  }));
+
+  // API: Move one task between two siblings (`afterId` above it, `beforeId` below it;
+  // either alone is enough, neither moves it to the end), optionally into `listId`.
+  // Only the task itself is written, plus its subtasks' list when it changes list.
+  router.post("/:id/move", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:move");
+    if (!input) return;
+    const { id } = input.params;
+    const { baseUpdatedAt } = input.body;
+    const placement = checkPlacement(res, input.body, id);
+    if (!placement) return;
+
+    const taskAccess = await accessFor(req).getTaskAccess(userId, id);
+    if (!taskAccess) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] tasks:move not found", {
+          userId,
+          id,
+        });
+      }
+      return res.status(404).json({ error: "Task not found" });
+    }
+    if (!hasListRole(taskAccess.role, "editor")) {
+      return forbidden(res, "tasks:move", { userId, id, role: taskAccess.role });
+    }
+    const task = taskAccess.task;
+
+    const listId = input.body.listId ?? task.listId;
+    if (listId !== task.listId) {
+      if (task.parentId !== null) {
+        return fieldError(res, "listId", "invalid_value", "Subtasks move together with their parent task");
+      }
+      const targetAccess = await accessFor(req).getListAccess(userId, listId);
+      if (!targetAccess) return res.status(404).json({ error: "List not found" });
+      if (!hasListRole(targetAccess.role, "editor")) {
+        return forbidden(res, "tasks:move", { userId, id, listId, role: targetAccess.role });
+      }
+    }
+
+    const group = { kind: "tasks", listId, parentId: task.parentId };
+    await rankMaintainer.ensureRanked(group);
+    const rank = await placeInGroup(group, placement, () => prisma.task.findMany({
+      where: { listId, parentId: task.parentId, deletedAt: null, id: { not: id } },
+      select: { id: true, rank: true },
+    }));
+    if (rank.error) return res.status(400).json({ error: rank.error, code: "invalid_placement" });
+
+    const { updated, conflict } = await updateIfUnchanged(prisma.task, id, baseUpdatedAt, { listId, rank: rank.rank });
+    if (conflict) {
+      return res.status(409).json({ error: "Task was changed since it was last loaded", current: conflict });
+    }
+    let subtasks = null;
+    if (listId !== task.listId) {
+      await prisma.task.updateMany({ where: { parentId: id }, data: { listId } });
+      subtasks = await prisma.task.findMany({
+        where: { parentId: id, deletedAt: null },
+        select: { id: true, listId: true, completed: true, updatedAt: true },
+      });
+    }
+    if (rank.rank.length > RANK_REBALANCE_LENGTH) rankMaintainer.schedule(group);
+
+    res.json(subtasks ? { ...updated, subtasks } : updated);
+    if (listId !== task.listId) emitEvent(req, "task.updated", listId, { task: updated, fromListId: task.listId });
+    activity.record(actor(req), {
+      action: listId !== task.listId ? "tasks:move" : "tasks:order",
+      listId,
+      taskId: id,
+      changes: activityChanges(task, updated, ["listId"]),
+    });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tasks:move", {
+        userId,
+        id,
+        fromListId: task.listId,
+        listId,
+        rank: rank.rank,
+      });
+    }
+  }));
+
+  // API: Update a task
+  router.put("/:id", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:update");
+    if (!input) return;
+    const { id } = input.params;
+
+    const taskAccess = await accessFor(req).getTaskAccess(userId, id);
+    if (!taskAccess) {
       if (logger && typeof logger.warn === "function") {
         logger.warn("[tasks-api] tasks:update not found", {
           userId,
@@ -434,6 +2921,10 @@ export default (ctx) => {
       }
       return res.status(404).json({ error: "Task not found" });
     }
+    if (!hasListRole(taskAccess.role, "editor")) {
+      return forbidden(res, "tasks:update", { userId, id, role: taskAccess.role });
+    }
+    const existing = taskAccess.task;
 
     const {
       listId,
@@ -444,56 +2935,130 @@ export default (ctx) => {
       completed,
       starred,
       position,
-    } = req.body || {};
+      parentId,
+      completeSubtasks,
+      baseUpdatedAt,
+    } = input.body;
 
     const data = {};
 
     if (typeof listId !== "undefined") {
-      const newListId = Number(listId);
-      if (!Number.isFinite(newListId)) {
+      if (listId !== existing.listId) {
+        const targetAccess = await accessFor(req).getListAccess(userId, listId);
+        if (!targetAccess) {
+          return res.status(404).json({ error: "List not found" });
+        }
+        if (!hasListRole(targetAccess.role, "editor")) {
+          return forbidden(res, "tasks:update", { userId, id, listId, role: targetAccess.role });
+        }
+      }
+      data.listId = listId;
+    }
+
+    const finalListId = "listId" in data ? data.listId : existing.listId;
+    if (typeof parentId !== "undefined") {
+      if (parentId !== null && await prisma.task.count({ where: { parentId: id, deletedAt: null } }) > 0) {
+        return fieldError(res, "parentId", "invalid_value", "A task with subtasks cannot become a subtask");
+      }
+      const parent = await resolveParent(parentId, finalListId, id);
+      if (parent.error) {
         if (logger && typeof logger.warn === "function") {
-          logger.warn("[tasks-api] tasks:update invalid listId", {
+          logger.warn("[tasks-api] tasks:update invalid parent", {
             userId,
-            rawListId: listId,
+            id,
+            parentId,
+            error: parent.error,
           });
         }
-        return res.status(400).json({ error: "Invalid listId" });
+        return fieldError(res, "parentId", "invalid_value", parent.error);
       }
-      data.listId = newListId;
+      data.parentId = parent.parentId;
+    } else if (existing.parentId !== null && finalListId !== existing.listId) {
+      return fieldError(res, "listId", "invalid_value", "Subtasks move together with their parent task");
+    }
+    // A task that lands in another list or parent goes to the end there
+    const finalParentId = "parentId" in data ? data.parentId : existing.parentId;
+    if (finalListId !== existing.listId || finalParentId !== existing.parentId) {
+      data.rank = rankBetween(await lastTaskRank(prisma, finalListId, finalParentId), null);
     }
 
-    if (typeof title === "string") data.title = title;
-    if (typeof description !== "undefined") {
-      data.description = typeof description === "string" ? description : null;
+    if (typeof title !== "undefined") data.title = title;
+    if (typeof description !== "undefined") data.description = description;
+    if (typeof dueDate !== "undefined") data.dueDate = dueDate;
+    if (typeof recurringConfig !== "undefined") data.recurringConfig = recurringConfig || null;
+    if (typeof completed !== "undefined") data.completed = completed;
+    if (typeof starred !== "undefined") data.starred = starred;
+
+    // Completing a recurring task advances it to the next occurrence instead
+    let rolledFrom = null;
+    if (data.completed === true && !existing.completed) {
+      const recurring = "recurringConfig" in data ? data.recurringConfig : existing.recurringConfig;
+      const due = "dueDate" in data ? data.dueDate : existing.dueDate;
+      if (recurring && due) {
+        const next = advanceRecurringTask({ dueDate: due, recurring });
+        data.completed = next.completed;
+        data.recurringConfig = next.recurring;
+        if (!next.completed) {
+          rolledFrom = due;
+          data.dueDate = new Date(next.dueDate);
+        }
+      }
     }
-    if (typeof dueDate !== "undefined") {
-      data.dueDate = dueDate ? new Date(dueDate) : null;
+    const completing = data.completed === true && !existing.completed;
+    if (typeof position !== "undefined") data.position = position;
+
+    // A roll-forward must not run twice, so guard it even without a client base
+    const guardUpdatedAt = baseUpdatedAt || (rolledFrom ? existing.updatedAt : undefined);
+    const { updated, conflict } = await updateIfUnchanged(prisma.task, id, guardUpdatedAt, data);
+    if (conflict) {
+      if (logger && typeof logger.warn === "function") {
+        logger.warn("[tasks-api] tasks:update conflict", {
+          userId,
+          id,
+          baseUpdatedAt,
+          currentUpdatedAt: conflict.updatedAt,
+        });
+      }
+      return res.status(409).json({ error: "Task was changed since it was last loaded", current: conflict });
     }
-    if (typeof recurringConfig !== "undefined") {
-      data.recurringConfig = recurringConfig || null;
+
+    if (rolledFrom) {
+      await shiftTaskReminders(prisma, id, rolledFrom, updated.dueDate);
     }
-    if (typeof completed !== "undefined") data.completed = !!completed;
-    if (typeof starred !== "undefined") data.starred = !!starred;
-    if (typeof position !== "undefined") {
-      const newPos = Number(position);
-      if (!Number.isFinite(newPos)) {
-        if (logger && typeof logger.warn === "function") {
-          logger.warn("[tasks-api] tasks:update invalid position", {
-            userId,
-            rawPosition: position,
-          });
-        }
-        return res.status(400).json({ error: "Invalid position" });
+
+    // Keep subtasks in their parent's list; a new occurrence starts with a fresh checklist
+    let subtasks = null;
+    if (updated.parentId === null) {
+      const subtaskData = {};
+      if (updated.listId !== existing.listId) subtaskData.listId = updated.listId;
+      if (rolledFrom) subtaskData.completed = false;
+      else if (completing && completeSubtasks) subtaskData.completed = true;
+
+      if (Object.keys(subtaskData).length > 0) {
+        await prisma.task.updateMany({ where: { parentId: id }, data: subtaskData });
+        subtasks = await prisma.task.findMany({
+          where: { parentId: id, deletedAt: null },
+          select: { id: true, listId: true, completed: true, updatedAt: true },
+        });
       }
-      data.position = newPos;
     }
 
-    const updated = await prisma.task.update({
-      where: { id },
-      data,
+    // `subtasks` carries the new `updatedAt` of children changed along with the parent
+    res.json(subtasks ? { ...updated, subtasks } : updated);
+    // Completing a recurring task shows as completing the occurrence that rolled forward
+    const changes = activityChanges(existing, updated, TASK_ACTIVITY_FIELDS);
+    if (rolledFrom) changes.completedOccurrence = { from: null, to: formatDateOnly(toDateOnly(rolledFrom)) };
+    emitEvent(req, completing || rolledFrom ? "task.completed" : "task.updated", updated.listId, {
+      task: updated,
+      ...(rolledFrom ? { completedOccurrence: changes.completedOccurrence.to } : {}),
+      ...(updated.listId !== existing.listId ? { fromListId: existing.listId } : {}),
+    });
+    activity.record(actor(req), {
+      action: completing || rolledFrom ? "tasks:complete" : "tasks:update",
+      listId: updated.listId,
+      taskId: id,
+      changes,
     });
-
-    res.json(updated);
     if (logger && typeof logger.info === "function") {
       logger.info("[tasks-api] tasks:update", {
         userId,
@@ -501,30 +3066,88 @@ export default (ctx) => {
         listId: updated.listId,
         completed: updated.completed,
         starred: updated.starred,
+        rolledForward: !!rolledFrom,
       });
     }
   }));
 
-  // API: Delete a task
-  router.delete("/:id", asyncHandler(async (req, res) => {
+  // API: Replace the current user's tags on a task.
+  // Tags are personal, so viewers of a shared list may tag its tasks too.
+  router.put("/:id/tags", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:delete invalid id", {
-          userId,
-          rawId: req.params.id,
-        });
-      }
-      return res.status(400).json({ error: "Invalid id" });
+    const input = parseInput(req, res, "tasks:tags");
+    if (!input) return;
+    const taskId = input.params.id;
+    const ids = [...new Set(input.body.tagIds)];
+
+    const taskAccess = await accessFor(req).getTaskAccess(userId, taskId);
+    if (!taskAccess) {
+      return res.status(404).json({ error: "Task not found" });
     }
 
-    const existing = await prisma.task.findFirst({
-      where: { id, userId },
+    const owned = await prisma.taskTag.findMany({
+      where: { id: { in: ids }, userId: String(userId) },
+      select: { id: true },
     });
-    if (!existing) {
+    if (owned.length !== ids.length) {
+      const ownedIds = new Set(owned.map((t) => t.id));
+      return res.status(400).json({ error: "Unknown tag", code: "unknown_ids", missing: ids.filter((id) => !ownedIds.has(id)) });
+    }
+
+    const current = await prisma.taskTagAssignment.findMany({
+      where: { taskId, tag: { userId: String(userId) } },
+      select: { tagId: true },
+    });
+    const currentIds = current.map((a) => a.tagId);
+    const added = ids.filter((id) => !currentIds.includes(id));
+    const removed = currentIds.filter((id) => !ids.includes(id));
+    const touched = [...added, ...removed];
+
+    if (touched.length > 0) {
+      await prisma.$transaction([
+        prisma.taskTagAssignment.deleteMany({ where: { taskId, tagId: { in: removed } } }),
+        prisma.taskTagAssignment.createMany({ data: added.map((tagId) => ({ taskId, tagId })) }),
+        // Changed tags are resent with their task ids by `GET /changes`
+        prisma.taskTag.updateMany({ where: { id: { in: touched } }, data: { updatedAt: new Date() } }),
+      ]);
+    }
+
+    const tags = await prisma.taskTag.findMany({
+      where: { id: { in: touched } },
+      select: { id: true, updatedAt: true },
+    });
+    res.json({ taskId, tagIds: ids, tags });
+    if (touched.length > 0) {
+      activity.record(actor(req), {
+        action: "tasks:tags",
+        listId: taskAccess.task.listId,
+        taskId,
+        changes: { tagIds: { from: currentIds, to: ids } },
+      });
+    }
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tasks:tags", {
+        userId,
+        taskId,
+        added,
+        removed,
+      });
+    }
+  }));
+
+  // API: Delete a task
+  router.delete("/:id", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:delete");
+    if (!input) return;
+    const { id } = input.params;
+
+    const taskAccess = await accessFor(req).getTaskAccess(userId, id);
+    if (!taskAccess) {
       if (logger && typeof logger.warn === "function") {
         logger.warn("[tasks-api] tasks:delete not found", {
           userId,
@@ -533,123 +3156,278 @@ export default (ctx) => {
       }
       return res.status(404).json({ error: "Task not found" });
     }
+    if (!hasListRole(taskAccess.role, "editor")) {
+      return forbidden(res, "tasks:delete", { userId, id, role: taskAccess.role });
+    }
+
+    // Subtasks go to the trash with their parent, sharing its `deletedAt`, and need tombstones as well
+    const subtasks = await prisma.task.findMany({
+      where: { parentId: id, deletedAt: null },
+      select: { id: true },
+    });
+    const ids = [id, ...subtasks.map((t) => t.id)];
+    const deletedAt = new Date();
+
+    await prisma.$transaction([
+      prisma.task.updateMany({ where: { id: { in: ids } }, data: { deletedAt } }),
+      prisma.taskTombstone.createMany({
+        data: tombstoneData(userId, "task", ids, taskAccess.task.listId),
+      }),
+    ]);
+
+    res.json({ ok: true, trashed: true, purgeAt: trashPurgeAt(deletedAt, trashPurger.retentionDays) });
+    emitEvent(req, "task.deleted", taskAccess.task.listId, { task: { id, title: taskAccess.task.title }, ids });
+    activity.record(actor(req), ids.map((taskId) => ({
+      action: "tasks:delete",
+      listId: taskAccess.task.listId,
+      taskId,
+    })));
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] tasks:delete", {
+        userId,
+        id,
+      });
+    }
+  }));
+
+  // Checks the input against SCHEMAS[logTag] and resolves the task and, when `reminderId`
+  // is given, one of the caller's own reminders on it.
+  // Reminders are personal: anyone who can see the task may set their own.
+  async function loadReminderTarget(req, res, logTag) {
+    const userId = getUserId(req);
+    if (!userId) {
+      res.status(401).json({ error: "Unauthorized" });
+      return null;
+    }
+
+    const input = parseInput(req, res, logTag);
+    if (!input) return null;
+    const taskId = input.params.id;
+    const reminderId = input.params.reminderId ?? null;
+
+    const taskAccess = await accessFor(req).getTaskAccess(userId, taskId);
+    if (!taskAccess) {
+      res.status(404).json({ error: "Task not found" });
+      return null;
+    }
+
+    let reminder = null;
+    if (reminderId !== null) {
+      reminder = await prisma.taskReminder.findFirst({
+        where: { id: reminderId, taskId, userId: String(userId) },
+      });
+      if (!reminder) {
+        res.status(404).json({ error: "Reminder not found" });
+        return null;
+      }
+    }
+
+    return { userId, taskId, task: taskAccess.task, reminder, body: input.body };
+  }
+
+  // API: List the current user's reminders for a task
+  router.get("/:id/reminders", asyncHandler(async (req, res) => {
+    const target = await loadReminderTarget(req, res, "reminders:list");
+    if (!target) return;
 
-    await prisma.task.delete({ where: { id } });
+    const reminders = await prisma.taskReminder.findMany({
+      where: { taskId: target.taskId, userId: String(target.userId) },
+      orderBy: { reminderAt: "asc" },
+    });
+    res.json(reminders);
+  }));
 
-    res.json({ ok: true });
+  // API: Create a reminder for a task
+  router.post("/:id/reminders", asyncHandler(async (req, res) => {
+    const target = await loadReminderTarget(req, res, "reminders:create");
+    if (!target) return;
+
+    const { reminderAt } = target.body;
+
+    const email = req.user && req.user.email ? String(req.user.email).trim() : null;
+    const created = await prisma.taskReminder.create({
+      data: {
+        taskId: target.taskId,
+        userId: String(target.userId),
+        reminderAt,
+        email,
+        sourcePlugin: "tasks",
+      },
+    });
+
+    res.status(201).json(created);
+    activity.record(actor(req), {
+      action: "reminders:create",
+      listId: target.task.listId,
+      taskId: target.taskId,
+      changes: activityChanges(null, created, ["reminderAt"]),
+    });
     if (logger && typeof logger.info === "function") {
-      logger.info("[tasks-api] tasks:delete", {
-        userId,
-        id,
+      logger.info("[tasks-api] reminders:create", {
+        userId: target.userId,
+        taskId: target.taskId,
+        reminderId: created.id,
+        reminderAt,
+        hasEmail: !!email,
       });
     }
   }));
 
-  // API: Reorder tasks within a list (and optionally move into list)
-  router.put("/order", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+  // API: Reschedule a reminder (re-arms it if it was already sent or dismissed)
+  router.put("/:id/reminders/:reminderId", asyncHandler(async (req, res) => {
+    const target = await loadReminderTarget(req, res, "reminders:update");
+    if (!target) return;
 
-    const { listId, taskOrder } = req.body || {};
-    const parsedListId = Number(listId);
+    const { reminderAt } = target.body;
 
-    if (!Number.isFinite(parsedListId)) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:order invalid listId", {
-          userId,
-          rawListId: listId,
-        });
-      }
-      return res.status(400).json({ error: "listId is required and must be a number" });
-    }
-    if (!Array.isArray(taskOrder) || taskOrder.some((v) => !Number.isFinite(Number(v)))) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:order invalid taskOrder", {
-          userId,
-          taskOrder,
-        });
-      }
-      return res.status(400).json({ error: "taskOrder must be an array of ids" });
-    }
+    const updated = await prisma.taskReminder.update({
+      where: { id: target.reminder.id },
+      data: { reminderAt, snoozeUntil: null, sentAt: null, dismissedAt: null },
+    });
+    res.json(updated);
+    activity.record(actor(req), {
+      action: "reminders:update",
+      listId: target.task.listId,
+      taskId: target.taskId,
+      changes: activityChanges(target.reminder, updated, ["reminderAt"]),
+    });
+  }));
 
-    const ids = taskOrder.map((v) => Number(v));
+  // API: Delete a reminder
+  router.delete("/:id/reminders/:reminderId", asyncHandler(async (req, res) => {
+    const target = await loadReminderTarget(req, res, "reminders:delete");
+    if (!target) return;
 
-    const tasks = await prisma.task.findMany({
-      where: { userId, id: { in: ids } },
-      select: { id: true },
+    await prisma.taskReminder.delete({ where: { id: target.reminder.id } });
+    res.json({ ok: true });
+    activity.record(actor(req), {
+      action: "reminders:delete",
+      listId: target.task.listId,
+      taskId: target.taskId,
+      changes: activityChanges(target.reminder, null, ["reminderAt"]),
     });
-    const existingIds = new Set(tasks.map((t) => t.id));
-    const missing = ids.filter((id) => !existingIds.has(id));
-    if (missing.length > 0) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:order missing tasks", {
-          userId,
-          missing,
-        });
-      }
-      return res.status(400).json({ error: "Some tasks do not exist or do not belong to user", missing });
-    }
+  }));
 
-    await prisma.$transaction(
-      ids.map((id, index) =>
-        prisma.task.update({
-          where: { id },
-          data: { listId: parsedListId, position: index },
-        })
-      )
-    );
+  // API: Snooze a reminder by `minutes` or until a given time
+  router.post("/:id/reminders/:reminderId/snooze", asyncHandler(async (req, res) => {
+    const target = await loadReminderTarget(req, res, "reminders:snooze");
+    if (!target) return;
 
-    res.json({ ok: true });
+    const { minutes = DEFAULT_SNOOZE_MINUTES, until } = target.body;
+    const snoozeUntil = until || new Date(Date.now() + minutes * 60 * 1000);
+
+    const updated = await prisma.taskReminder.update({
+      where: { id: target.reminder.id },
+      data: { snoozeUntil, sentAt: null, dismissedAt: null },
+    });
+    res.json(updated);
+    activity.record(actor(req), {
+      action: "reminders:snooze",
+      listId: target.task.listId,
+      taskId: target.taskId,
+      changes: activityChanges(target.reminder, updated, ["snoozeUntil"]),
+    });
     if (logger && typeof logger.info === "function") {
-      logger.info("[tasks-api] tasks:order", {
-        userId,
-        listId: parsedListId,
-        taskOrder: ids,
+      logger.info("[tasks-api] reminders:snooze", {
+        userId: target.userId,
+        reminderId: updated.id,
+        snoozeUntil,
       });
     }
   }));
 
+  // API: Dismiss a reminder so it is never sent (again)
+  router.post("/:id/reminders/:reminderId/dismiss", asyncHandler(async (req, res) => {
+    const target = await loadReminderTarget(req, res, "reminders:dismiss");
+    if (!target) return;
+
+    const updated = await prisma.taskReminder.update({
+      where: { id: target.reminder.id },
+      data: { dismissedAt: new Date() },
+    });
+    res.json(updated);
+    activity.record(actor(req), {
+      action: "reminders:dismiss",
+      listId: target.task.listId,
+      taskId: target.taskId,
+      changes: activityChanges(target.reminder, updated, ["dismissedAt"]),
+    });
+  }));
+
+  // The email carrying an invite's accept link
+  function inviteMail(req, list, invite) {
+    const subject = `Sovereign Tasks: list "${list.name}" shared with you`;
+    const baseUrl = `${req.protocol}://${req.get("host") || ""}`;
+    // URL used by the front-end to accept the invite (to be implemented by core Sovereign router)
+    const listUrl = `${baseUrl}/tasks/share/accept?token=${encodeURIComponent(invite.token)}`;
+    const can = invite.role === "viewer" ? "view" : "view and edit";
+
+    const text = [
+      `A Sovereign user has shared a task list with you.`,
+      ``,
+      `List: ${list.name}`,
+      ``,
+      `You can open Sovereign Tasks to ${can} this list:`,
+      listUrl,
+      ``,
+      `If you believe this email was sent to you by mistake, you can safely ignore it.`,
+    ].join("\n");
+
+    const html = [
+      `<p>A Sovereign user has shared a task list with you.</p>`,
+      `<p><strong>List:</strong> ${escapeMailHtml(list.name)}</p>`,
+      `<p>You can open Sovereign Tasks to ${can} this list:</p>`,
+      `<p><a href="${listUrl}">${listUrl}</a></p>`,
+      `<p>If you believe this email was sent to you by mistake, you can safely ignore it.</p>`,
+    ].join("");
+
+    return {
+      to: invite.email,
+      subject,
+      text,
+      html,
+      headers: {
+        "X-Sovereign-Plugin": "tasks",
+        "X-Sovereign-Tasks-List-Id": String(list.id),
+      },
+    };
+  }
+
   // API: Share a list with another user via email (invitation)
   router.post("/lists/:id/share", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:share invalid id", {
-          userId,
-          rawId: req.params.id,
-        });
-      }
-      return res.status(400).json({ error: "Invalid list id" });
-    }
+    const input = parseInput(req, res, "lists:share");
+    if (!input) return;
+    const { id } = input.params;
+    const { email: trimmedEmail, role } = input.body;
 
-    const { email } = req.body || {};
-    const trimmedEmail = (email || "").trim();
-    // Very lightweight email validation
-    const simpleEmail = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
-    if (!trimmedEmail || !simpleEmail.test(trimmedEmail)) {
+    const listAccess = await accessFor(req).getListAccess(userId, id);
+    if (!listAccess) {
       if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:share invalid email", {
+        logger.warn("[tasks-api] lists:share list not found", {
           userId,
-          email,
+          id,
         });
       }
-      return res.status(400).json({ error: "A valid email address is required" });
+      return res.status(404).json({ error: "List not found" });
+    }
+    if (listAccess.role !== "owner") {
+      return forbidden(res, "lists:share", { userId, id, role: listAccess.role }, "Only the owner can share this list");
     }
+    const list = listAccess.list;
 
-    const list = await prisma.taskList.findFirst({
-      where: { id, userId },
-    });
-    if (!list) {
+    const sendMailFn = resolveSendMail(mailer);
+    if (!sendMailFn) {
       if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:share list not found", {
+        logger.warn("[tasks-api] lists:share mailer not configured", {
           userId,
-          id,
+          listId: id,
         });
       }
-      return res.status(404).json({ error: "List not found" });
+      // 501 to indicate feature not available on this deployment
+      return res.status(501).json({ error: "Email delivery is not configured" });
     }
 
     // Create an invite record with a secure token
@@ -662,66 +3440,14 @@ export default (ctx) => {
         inviterId,
         email: trimmedEmail,
         token,
-        role: "editor",
+        role,
         status: "pending",
       },
     });
 
-    // Determine how to call mailer (support both function and { sendMail } forms)
-    let sendMailFn = null;
-    if (mailer && typeof mailer.sendMail === "function") {
-      sendMailFn = mailer.sendMail.bind(mailer);
-    } else if (typeof mailer === "function") {
-      sendMailFn = mailer;
-    }
-
-    if (!sendMailFn) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] lists:share mailer not configured", {
-          userId,
-          listId: id,
-        });
-      }
-      // 501 to indicate feature not available on this deployment
-      return res.status(501).json({ error: "Email delivery is not configured" });
-    }
-
-    const subject = `Sovereign Tasks: list "${list.name}" shared with you`;
-    const baseUrl = `${req.protocol}://${req.get("host") || ""}`;
-    // URL used by the front-end to accept the invite (to be implemented by core Sovereign router)
-    const listUrl = `${baseUrl}/tasks/share/accept?token=${encodeURIComponent(invite.token)}`;
-
-    const text = [
-      `A Sovereign user has shared a task list with you.`,
-      ``,
-      `List: ${list.name}`,
-      ``,
-      `You can open Sovereign Tasks to view this list:`,
-      listUrl,
-      ``,
-      `If you believe this email was sent to you by mistake, you can safely ignore it.`,
-    ].join("\n");
-
-    const html = [
-      `<p>A Sovereign user has shared a task list with you.</p>`,
-      `<p><strong>List:</strong> ${list.name}</p>`,
-      `<p>You can open Sovereign Tasks to view this list:</p>`,
-      `<p><a href="${listUrl}">${listUrl}</a></p>`,
-      `<p>If you believe this email was sent to you by mistake, you can safely ignore it.</p>`,
-    ].join("");
-
     let mailResult;
     try {
-      mailResult = await sendMailFn({
-        to: trimmedEmail,
-        subject,
-        text,
-        html,
-        headers: {
-          "X-Sovereign-Plugin": "tasks",
-          "X-Sovereign-Tasks-List-Id": String(id),
-        },
-      });
+      mailResult = await sendMailFn(inviteMail(req, list, invite));
     } catch (err) {
       if (logger && typeof logger.error === "function") {
         logger.error("[tasks-api] lists:share email send failed", {
@@ -745,36 +3471,196 @@ export default (ctx) => {
       });
     }
 
+    emitEvent(req, "list.shared", id, {
+      list: { id, name: list.name },
+      invite: { id: invite.id, email: trimmedEmail, role: invite.role },
+    });
+    activity.record(actor(req), {
+      action: "lists:share",
+      listId: id,
+      changes: { invite: { from: null, to: { email: trimmedEmail, role: invite.role } } },
+    });
+
     // 202 Accepted to reflect that the invite has been handed over to mailer
     return res.status(202).json({
       ok: true,
       email: trimmedEmail,
       inviteId: invite.id,
       token: invite.token,
+      role: invite.role,
       status: mailResult && mailResult.status ? mailResult.status : "unknown",
     });
   }));
 
-  // API: Delete all completed tasks in a list
-  router.delete("/lists/:id/completed", asyncHandler(async (req, res) => {
+  // Resolves the invite in `req.params.id` for its list's owner, who alone manages invites.
+  // Answers the request and returns null otherwise.
+  async function loadInvite(req, res, logTag) {
+    const userId = getUserId(req);
+    if (!userId) {
+      res.status(401).json({ error: "Unauthorized" });
+      return null;
+    }
+    const input = parseInput(req, res, logTag);
+    if (!input) return null;
+
+    const invite = await prisma.taskListShareInvite.findUnique({ where: { id: input.params.id } });
+    const listAccess = invite ? await accessFor(req).getListAccess(userId, invite.listId) : null;
+    if (!listAccess) {
+      res.status(404).json({ error: "Invite not found" });
+      return null;
+    }
+    if (listAccess.role !== "owner") {
+      forbidden(res, logTag, { userId, id: invite.id, role: listAccess.role }, "Only the owner can manage invites");
+      return null;
+    }
+    return { userId, invite, list: listAccess.list };
+  }
+
+  // Invite rows as listed to the owner: `expiresAt` for pending ones, and for accepted
+  // ones the `member` who joined through it (null once they left or were removed)
+  function describeInvite(invite, member) {
+    return {
+      ...invite,
+      expiresAt: invite.status === "pending" ? inviteExpiresAt(invite) : null,
+      member: member ? { userId: member.userId, role: member.role, joinedAt: member.createdAt } : null,
+    };
+  }
+
+  // API: Pending and accepted invites of a list, oldest first (owner only)
+  router.get("/lists/:id/invites", asyncHandler(async (req, res) => {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const listId = Number(req.params.id);
-    if (!Number.isFinite(listId)) {
-      if (logger && typeof logger.warn === "function") {
-        logger.warn("[tasks-api] tasks:deleteCompleted invalid listId", {
+    const input = parseInput(req, res, "invites:list");
+    if (!input) return;
+    const { id } = input.params;
+
+    const listAccess = await accessFor(req).getListAccess(userId, id);
+    if (!listAccess) {
+      return res.status(404).json({ error: "List not found" });
+    }
+    if (listAccess.role !== "owner") {
+      return forbidden(res, "invites:list", { userId, id, role: listAccess.role }, "Only the owner can manage invites");
+    }
+
+    const invites = await prisma.taskListShareInvite.findMany({
+      where: { listId: id, status: { in: ["pending", "accepted"] } },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+    const members = await prisma.taskListMember.findMany({
+      where: { listId: id, inviteId: { in: invites.map((i) => i.id) } },
+    });
+    const memberByInvite = new Map(members.map((m) => [m.inviteId, m]));
+
+    res.json({ invites: invites.map((invite) => describeInvite(invite, memberByInvite.get(invite.id))) });
+  }));
+
+  // API: Email a pending invite again; its expiry starts over
+  router.post("/invites/:id/resend", asyncHandler(async (req, res) => {
+    const target = await loadInvite(req, res, "invites:resend");
+    if (!target) return;
+    const { userId, invite, list } = target;
+
+    if (invite.status !== "pending") {
+      return res.status(409).json({ error: `This invite was already ${invite.status}`, code: "invite_not_pending" });
+    }
+
+    const sendMailFn = resolveSendMail(mailer);
+    if (!sendMailFn) {
+      return res.status(501).json({ error: "Email delivery is not configured" });
+    }
+
+    let mailResult;
+    try {
+      mailResult = await sendMailFn(inviteMail(req, list, invite));
+    } catch (err) {
+      if (logger && typeof logger.error === "function") {
+        logger.error("[tasks-api] invites:resend email send failed", {
           userId,
-          rawListId: req.params.id,
+          inviteId: invite.id,
+          error: err && err.message,
         });
       }
-      return res.status(400).json({ error: "Invalid list id" });
+      return res.status(500).json({ error: "Failed to send invitation email" });
+    }
+
+    const updated = await prisma.taskListShareInvite.update({
+      where: { id: invite.id },
+      data: { sentAt: new Date() },
+    });
+    const mailStatus = mailResult && mailResult.status ? mailResult.status : "unknown";
+
+    res.status(202).json({ ok: true, invite: describeInvite(updated, null), status: mailStatus });
+    activity.record(actor(req), {
+      action: "invites:resend",
+      listId: invite.listId,
+      changes: { invite: { from: null, to: { email: invite.email, role: invite.role } } },
+    });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] invites:resend", {
+        userId,
+        inviteId: invite.id,
+        listId: invite.listId,
+        mailStatus,
+      });
+    }
+  }));
+
+  // API: Revoke an invite. A pending link stops working; for an accepted invite the
+  // member who joined through it loses access to the list as well.
+  router.delete("/invites/:id", asyncHandler(async (req, res) => {
+    const target = await loadInvite(req, res, "invites:revoke");
+    if (!target) return;
+    const { userId, invite } = target;
+
+    if (invite.status === "revoked") {
+      return res.json({ ok: true, invite: describeInvite(invite, null), removedMember: false });
     }
 
-    const list = await prisma.taskList.findFirst({
-      where: { id: listId, userId },
+    const member = invite.status === "accepted"
+      ? await prisma.taskListMember.findFirst({ where: { listId: invite.listId, inviteId: invite.id } })
+      : null;
+
+    const [updated] = await prisma.$transaction([
+      prisma.taskListShareInvite.update({ where: { id: invite.id }, data: { status: "revoked" } }),
+      ...(member
+        ? [
+          prisma.taskListMember.delete({ where: { id: member.id } }),
+          // The list disappears from the former member's clients like after leaving it
+          prisma.taskTombstone.createMany({ data: tombstoneData(member.userId, "list", [invite.listId]) }),
+        ]
+        : []),
+    ]);
+
+    res.json({ ok: true, invite: describeInvite(updated, null), removedMember: !!member });
+    activity.record(actor(req), {
+      action: "invites:revoke",
+      listId: invite.listId,
+      changes: {
+        invite: { from: { email: invite.email, role: invite.role, status: invite.status }, to: null },
+      },
     });
-    if (!list) {
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] invites:revoke", {
+        userId,
+        inviteId: invite.id,
+        listId: invite.listId,
+        removedMemberId: member ? member.userId : null,
+      });
+    }
+  }));
+
+  // API: Delete all completed tasks in a list
+  router.delete("/lists/:id/completed", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:deleteCompleted");
+    if (!input) return;
+    const listId = input.params.id;
+
+    const listAccess = await accessFor(req).getListAccess(userId, listId);
+    if (!listAccess) {
       if (logger && typeof logger.warn === "function") {
         logger.warn("[tasks-api] tasks:deleteCompleted list not found", {
           userId,
@@ -783,12 +3669,32 @@ export default (ctx) => {
       }
       return res.status(404).json({ error: "List not found" });
     }
+    if (!hasListRole(listAccess.role, "editor")) {
+      return forbidden(res, "tasks:deleteCompleted", { userId, listId, role: listAccess.role });
+    }
 
-    const result = await prisma.task.deleteMany({
-      where: { userId, listId, completed: true },
+    // Subtasks of a completed parent go to the trash with it
+    const completedTasks = await prisma.task.findMany({
+      where: { listId, deletedAt: null, OR: [{ completed: true }, { parent: { completed: true } }] },
+      select: { id: true, title: true, parentId: true },
     });
+    const completedIds = completedTasks.map((t) => t.id);
+
+    const [result] = await prisma.$transaction([
+      prisma.task.updateMany({
+        where: { id: { in: completedIds } },
+        data: { deletedAt: new Date() },
+      }),
+      prisma.taskTombstone.createMany({ data: tombstoneData(userId, "task", completedIds, listId) }),
+    ]);
 
     res.json({ ok: true, deletedCount: result.count });
+    // One event per deleted task, with its subtasks, as in `DELETE /:id`
+    completedTasks.filter((t) => !completedIds.includes(t.parentId)).forEach((t) => {
+      const ids = [t.id, ...completedTasks.filter((c) => c.parentId === t.id).map((c) => c.id)];
+      emitEvent(req, "task.deleted", listId, { task: { id: t.id, title: t.title }, ids });
+    });
+    activity.record(actor(req), completedIds.map((taskId) => ({ action: "tasks:delete", listId, taskId })));
     if (logger && typeof logger.info === "function") {
       logger.info("[tasks-api] tasks:deleteCompleted", {
         userId,
@@ -798,6 +3704,82 @@ export default (ctx) => {
     }
   }));
 
+  // API: Leave a list that was shared with the current user
+  router.delete("/lists/:id/membership", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "lists:leave");
+    if (!input) return;
+    const listId = input.params.id;
+
+    const listAccess = await accessFor(req).getListAccess(userId, listId);
+    if (!listAccess) {
+      return res.status(404).json({ error: "List not found" });
+    }
+    if (listAccess.role === "owner") {
+      return res.status(400).json({ error: "The owner cannot leave their own list", code: "owner_cannot_leave" });
+    }
+
+    await prisma.$transaction([
+      prisma.taskListMember.delete({
+        where: { listId_userId: { listId, userId: String(userId) } },
+      }),
+      prisma.taskTombstone.createMany({ data: tombstoneData(userId, "list", [listId]) }),
+    ]);
+
+    res.json({ ok: true });
+    activity.record(actor(req), { action: "lists:leave", listId });
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-api] lists:leave", {
+        userId,
+        listId,
+      });
+    }
+  }));
+
+  // Shared by both history routes: `limit` and `before` (an entry id from `nextBefore`)
+  function historyPage(query) {
+    const { limit = HISTORY_DEFAULT_LIMIT, before = null } = query;
+    return { limit: Math.min(limit, HISTORY_MAX_LIMIT), before };
+  }
+
+  // API: Activity history of a task, newest first
+  router.get("/:id/history", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "tasks:history");
+    if (!input) return;
+    const { id } = input.params;
+    const page = historyPage(input.query);
+
+    const taskAccess = await accessFor(req).getTaskAccess(userId, id);
+    if (!taskAccess) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    res.json(await activity.history({ taskId: id }, userId, page));
+  }));
+
+  // API: Activity history of a list and its tasks, newest first
+  router.get("/lists/:id/history", asyncHandler(async (req, res) => {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const input = parseInput(req, res, "lists:history");
+    if (!input) return;
+    const { id } = input.params;
+    const page = historyPage(input.query);
+
+    const listAccess = await accessFor(req).getListAccess(userId, id);
+    if (!listAccess) {
+      return res.status(404).json({ error: "List not found" });
+    }
+
+    res.json(await activity.history({ listId: id }, userId, page));
+  }));
+
   // Local error handler for this router (JSON responses)
   router.use((err, req, res, next) => {
     try {
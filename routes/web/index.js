@@ -1,4 +1,20 @@
 import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import { INVITE_ROLES, createListAccess, inviteExpiresAt } from "../../lib/access.js";
+import { buildTasksCalendar } from "../../lib/ics.js";
+import { rankBetween, lastListRank } from "../../lib/rank.js";
+import { createWebhookDispatcher } from "../../lib/webhooks.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// lib/ modules that the browser imports as ES modules (they must not use Node APIs)
+const SHARED_MODULES = {
+  "recurrence.js": path.resolve(__dirname, "../../lib/recurrence.js"),
+  "search.js": path.resolve(__dirname, "../../lib/search.js"),
+  "views.js": path.resolve(__dirname, "../../lib/views.js"),
+  "quickadd.js": path.resolve(__dirname, "../../lib/quickadd.js"),
+};
+
 // Helper to resolve current user id from request (adapt as needed to Sovereign auth)
 function getUserId(req) {
   // Adjust this to match Sovereign's auth/user injection
@@ -21,7 +37,9 @@ export default (ctx) => {
 
   const prisma = ctx.prisma;
   const logger = ctx.logger || console;
-  const INVITE_MAX_AGE_DAYS = 30;
+  const access = createListAccess(prisma);
+  // Only queues and sends events; retries are run by the API router's dispatcher
+  const webhooks = createWebhookDispatcher({ prisma, logger });
 
   function asyncHandler(fn) {
     return function (req, res, next) {
@@ -29,365 +47,8 @@ export default (ctx) => {
     };
   }
 
-  // API: Bootstrap tasks state
-  router.get("/api/tasks/bootstrap", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
-
-    const [lists, tasks] = await Promise.all([
-      prisma.taskList.findMany({
-        where: { userId },
-        orderBy: [{ position: "asc" }, { id: "asc" }],
-      }),
-      prisma.task.findMany({
-        where: { userId },
-        orderBy: [{ listId: "asc" }, { position: "asc" }, { id: "asc" }],
-      }),
-    ]);
-
-    const now = new Date().toISOString();
-
-    res.json({
-      meta: {
-        version: "2.0.0",
-        updatedAt: now,
-      },
-      lists,
-      tasks,
-    });
-  }));
-
-  // API: List all lists
-  router.get("/api/tasks/lists", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const lists = await prisma.taskList.findMany({
-      where: { userId },
-      orderBy: [{ position: "asc" }, { id: "asc" }],
-    });
-
-    res.json(lists);
-  }));
-
-  // API: Create a new list
-  router.post("/api/tasks/lists", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const { name, slug } = req.body || {};
-    if (!name || typeof name !== "string") {
-      return res.status(400).json({ error: "name is required" });
-    }
-
-    const count = await prisma.taskList.count({ where: { userId } });
-
-    const created = await prisma.taskList.create({
-      data: {
-        userId,
-        name,
-        slug: slug && typeof slug === "string" ? slug : name.toLowerCase().replace(/\s+/g, "-"),
-        position: count,
-      },
-    });
-
-    res.status(201).json(created);
-  }));
-
-  // API: Update / rename a list
-  router.put("/api/tasks/lists/:id", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid id" });
-
-    const { name, slug } = req.body || {};
-
-    const existing = await prisma.taskList.findFirst({
-      where: { id, userId },
-    });
-    if (!existing) return res.status(404).json({ error: "List not found" });
-
-    const updated = await prisma.taskList.update({
-      where: { id },
-      data: {
-        name: typeof name === "string" ? name : existing.name,
-        slug: typeof slug === "string"
-          ? slug
-          : existing.slug,
-      },
-    });
-
-    res.json(updated);
-  }));
-
-  // API: Delete a list (and its tasks)
-  router.delete("/api/tasks/lists/:id", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid id" });
-
-    const existing = await prisma.taskList.findFirst({
-      where: { id, userId },
-    });
-    if (!existing) return res.status(404).json({ error: "List not found" });
-
-    await prisma.$transaction([
-      prisma.task.deleteMany({ where: { listId: id, userId } }),
-      prisma.taskList.delete({ where: { id } }),
-    ]);
-
-    res.json({ ok: true });
-  }));
-
-  // API: Reorder lists (full order)
-  router.put("/api/tasks/lists/order", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const { listOrder } = req.body || {};
-    if (!Array.isArray(listOrder) || listOrder.some((v) => !Number.isFinite(Number(v)))) {
-      return res.status(400).json({ error: "listOrder must be an array of ids" });
-    }
-
-    const ids = listOrder.map((v) => Number(v));
-
-    const lists = await prisma.taskList.findMany({
-      where: { userId, id: { in: ids } },
-      select: { id: true },
-    });
-    const existingIds = new Set(lists.map((l) => l.id));
-    const missing = ids.filter((id) => !existingIds.has(id));
-    if (missing.length > 0) {
-      return res.status(400).json({ error: "Some lists do not exist or do not belong to user", missing });
-    }
-
-    await prisma.$transaction(
-      ids.map((id, index) =>
-        prisma.taskList.update({
-          where: { id },
-          data: { position: index },
-        })
-      )
-    );
-
-    res.json({ ok: true });
-  }));
-
-  // API: List tasks (optionally by list)
-  router.get("/api/tasks", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const listIdParam = req.query.listId;
-    const where = { userId };
-    if (typeof listIdParam !== "undefined") {
-      const listId = Number(listIdParam);
-      if (!Number.isFinite(listId)) {
-        return res.status(400).json({ error: "Invalid listId" });
-      }
-      where.listId = listId;
-    }
-
-    const tasks = await prisma.task.findMany({
-      where,
-      orderBy: [{ listId: "asc" }, { position: "asc" }, { id: "asc" }],
-    });
-
-    res.json(tasks);
-  }));
-
-  // API: Create a new task
-  router.post("/api/tasks", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const {
-      listId,
-      title,
-      description,
-      dueDate,
-      recurringConfig,
-      starred,
-    } = req.body || {};
-
-    const parsedListId = Number(listId);
-    if (!Number.isFinite(parsedListId)) {
-      return res.status(400).json({ error: "listId is required and must be a number" });
-    }
-    if (!title || typeof title !== "string") {
-      return res.status(400).json({ error: "title is required" });
-    }
-
-    const list = await prisma.taskList.findFirst({
-      where: { id: parsedListId, userId },
-    });
-    if (!list) return res.status(404).json({ error: "List not found" });
-
-    const countInList = await prisma.task.count({
-      where: { userId, listId: parsedListId },
-    });
-
-    const created = await prisma.task.create({
-      data: {
-        userId,
-        listId: parsedListId,
-        title,
-        description: typeof description === "string" ? description : null,
-        dueDate: dueDate ? new Date(dueDate) : null,
-        recurringConfig: recurringConfig || null,
-        completed: false,
-        starred: !!starred,
-        position: countInList,
-      },
-    });
-
-    res.status(201).json(created);
-  }));
-
-  // API: Update a task
-  router.put("/api/tasks/:id", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid id" });
-
-    const existing = await prisma.task.findFirst({
-      where: { id, userId },
-    });
-    if (!existing) return res.status(404).json({ error: "Task not found" });
-
-    const {
-      listId,
-      title,
-      description,
-      dueDate,
-      recurringConfig,
-      completed,
-      starred,
-      position,
-    } = req.body || {};
-
-    const data = {};
-
-    if (typeof listId !== "undefined") {
-      const newListId = Number(listId);
-      if (!Number.isFinite(newListId)) {
-        return res.status(400).json({ error: "Invalid listId" });
-      }
-      data.listId = newListId;
-    }
-
-    if (typeof title === "string") data.title = title;
-    if (typeof description !== "undefined") {
-      data.description = typeof description === "string" ? description : null;
-    }
-    if (typeof dueDate !== "undefined") {
-      data.dueDate = dueDate ? new Date(dueDate) : null;
-    }
-    if (typeof recurringConfig !== "undefined") {
-      data.recurringConfig = recurringConfig || null;
-    }
-    if (typeof completed !== "undefined") data.completed = !!completed;
-    if (typeof starred !== "undefined") data.starred = !!starred;
-    if (typeof position !== "undefined") {
-      const newPos = Number(position);
-      if (!Number.isFinite(newPos)) {
-        return res.status(400).json({ error: "Invalid position" });
-      }
-      data.position = newPos;
-    }
-
-    const updated = await prisma.task.update({
-      where: { id },
-      data,
-    });
-
-    res.json(updated);
-  }));
-
-  // API: Delete a task
-  router.delete("/api/tasks/:id", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) return res.status(400).json({ error: "Invalid id" });
-
-    const existing = await prisma.task.findFirst({
-      where: { id, userId },
-    });
-    if (!existing) return res.status(404).json({ error: "Task not found" });
-
-    await prisma.task.delete({ where: { id } });
-
-    res.json({ ok: true });
-  }));
-
-  // API: Reorder tasks within a list (and optionally move into list)
-  router.put("/api/tasks/order", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const { listId, taskOrder } = req.body || {};
-    const parsedListId = Number(listId);
-
-    if (!Number.isFinite(parsedListId)) {
-      return res.status(400).json({ error: "listId is required and must be a number" });
-    }
-    if (!Array.isArray(taskOrder) || taskOrder.some((v) => !Number.isFinite(Number(v)))) {
-      return res.status(400).json({ error: "taskOrder must be an array of ids" });
-    }
-
-    const ids = taskOrder.map((v) => Number(v));
-
-    const tasks = await prisma.task.findMany({
-      where: { userId, id: { in: ids } },
-      select: { id: true },
-    });
-    const existingIds = new Set(tasks.map((t) => t.id));
-    const missing = ids.filter((id) => !existingIds.has(id));
-    if (missing.length > 0) {
-      return res.status(400).json({ error: "Some tasks do not exist or do not belong to user", missing });
-    }
-
-    await prisma.$transaction(
-      ids.map((id, index) =>
-        prisma.task.update({
-          where: { id },
-          data: { listId: parsedListId, position: index },
-        })
-      )
-    );
-
-    res.json({ ok: true });
-  }));
-
-  // API: Delete all completed tasks in a list
-  router.delete("/api/tasks/lists/:id/completed", asyncHandler(async (req, res) => {
-    const userId = getUserId(req);
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-    const listId = Number(req.params.id);
-    if (!Number.isFinite(listId)) return res.status(400).json({ error: "Invalid list id" });
-
-    const list = await prisma.taskList.findFirst({
-      where: { id: listId, userId },
-    });
-    if (!list) return res.status(404).json({ error: "List not found" });
-
-    const result = await prisma.task.deleteMany({
-      where: { userId, listId, completed: true },
-    });
-
-    res.json({ ok: true, deletedCount: result.count });
-  }));
+  // Task and list data is served by the API router (routes/api), which checks list
+  // access for every request
 
   // Web: Accept a shared list invitation
   router.get("/share/accept", asyncHandler(async (req, res) => {
@@ -457,6 +118,15 @@ export default (ctx) => {
         "The list linked to this invitation no longer exists."
       );
     }
+    if (sourceList.deletedAt) {
+      // Not revoked: the invite works again if the owner restores the list
+      return renderInviteError(
+        res,
+        410,
+        "List in the trash",
+        "The owner deleted the list linked to this invitation. Ask them to restore it, then open the link again."
+      );
+    }
 
     // Enforce invite recipient email: require the signed-in user's email to match the invite target
     const currentEmail = (req.user && req.user.email ? String(req.user.email) : "").toLowerCase().trim();
@@ -470,102 +140,151 @@ export default (ctx) => {
       );
     }
 
-    // Enforce a maximum age on invites to avoid indefinite validity
-    const createdAt = invite.createdAt ? new Date(invite.createdAt) : null;
-    const now = new Date();
-    if (createdAt && now.getTime() - createdAt.getTime() > INVITE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
-      await prisma.taskListShareInvite.update({
-        where: { id: invite.id },
-        data: { status: "revoked" },
-      });
+    // Enforce a maximum age on invites to avoid indefinite validity.
+    // Expired invites stay pending so the owner can resend them.
+    if (inviteExpiresAt(invite) < new Date()) {
       return renderInviteError(
         res,
         410,
         "Invitation expired",
-        "This invitation has expired. Please ask the sender to share the list again."
+        "This invitation has expired. Please ask the sender to resend it."
       );
     }
 
-    const tasksToClone = await prisma.task.findMany({
-      where: { listId: sourceList.id },
-      orderBy: [{ position: "asc" }, { id: "asc" }],
-    });
+    if (String(sourceList.userId) === String(userId)) {
+      return res.status(409).render("tasks/share-accept", {
+        heading: "This is your list",
+        message: `You already own "${sourceList.name}", so there is nothing to accept.`,
+        ctaHref: "/tasks",
+        note: "Invitations are meant for other people. Forward the email to the person you wanted to share with.",
+      });
+    }
 
-    const baseSlug = sourceList.slug || (sourceList.name || "list")
-      .toLowerCase()
-      .replace(/\s+/g, "-")
-      .replace(/[^a-z0-9-]/g, "-")
-      .replace(/-+/g, "-")
-      .replace(/^-|-$/g, "") || "list";
-
-    const createdList = await prisma.$transaction(async (tx) => {
-      const listPosition = await tx.taskList.count({ where: { userId } });
-
-      // Ensure slug uniqueness per user
-      let uniqueSlug = baseSlug;
-      let suffix = 2;
-      // eslint-disable-next-line no-constant-condition
-      while (true) {
-        const conflict = await tx.taskList.findFirst({
-          where: { userId, slug: uniqueSlug },
-          select: { id: true },
-        });
-        if (!conflict) break;
-        uniqueSlug = `${baseSlug}-${suffix}`;
-        suffix += 1;
-      }
-
-      const clonedList = await tx.taskList.create({
-        data: {
-          userId,
-          name: sourceList.name,
-          slug: uniqueSlug,
-          position: listPosition,
+    // Grant access to the same list instead of copying it
+    const role = INVITE_ROLES.includes(invite.role) ? invite.role : "viewer";
+
+    await prisma.$transaction(async (tx) => {
+      // The shared list goes after the user's own lists
+      const rank = rankBetween(await lastListRank(tx, userId), null);
+
+      await tx.taskListMember.upsert({
+        where: { listId_userId: { listId: sourceList.id, userId: String(userId) } },
+        create: {
+          listId: sourceList.id,
+          userId: String(userId),
+          role,
+          inviteId: invite.id,
+          rank,
+        },
+        update: {
+          role,
+          inviteId: invite.id,
         },
       });
 
-      if (tasksToClone.length > 0) {
-        await tx.task.createMany({
-          data: tasksToClone.map((task) => ({
-            userId,
-            listId: clonedList.id,
-            title: task.title,
-            description: task.description,
-            dueDate: task.dueDate,
-            recurringConfig: task.recurringConfig,
-            completed: task.completed,
-            starred: task.starred,
-            position: task.position,
-          })),
-        });
-      }
-
       await tx.taskListShareInvite.update({
         where: { id: invite.id },
         data: { status: "accepted" },
       });
+    });
 
-      return clonedList;
+    webhooks.emit("invite.accepted", {
+      listId: sourceList.id,
+      data: {
+        listId: sourceList.id,
+        list: { id: sourceList.id, name: sourceList.name },
+        invite: { id: invite.id, email: invite.email, role },
+        member: { userId: String(userId), name: req.user ? req.user.name || req.user.email || null : null },
+      },
     });
 
     if (logger && typeof logger.info === "function") {
       logger.info("[tasks-web] share:accept", {
         userId,
         inviteId: invite.id,
-        sourceListId: invite.listId,
-        clonedListId: createdList.id,
+        listId: sourceList.id,
+        role,
       });
     }
 
     return res.render("tasks/share-accept", {
       heading: "Invitation accepted",
-      message: `The list "${createdList.name}" was added to your Tasks.`,
+      message: role === "viewer"
+        ? `You can now view the list "${sourceList.name}" in your Tasks.`
+        : `You can now view and edit the list "${sourceList.name}" in your Tasks.`,
       ctaHref: "/tasks",
-      listUrl: `/tasks?list=${encodeURIComponent(createdList.slug)}`,
-      note: "You'll find this list in your Tasks board. If it doesn't appear immediately, refresh the page.",
+      listUrl: `/tasks?list=${encodeURIComponent(sourceList.slug)}`,
+      note: "Changes you and the other members make show up for everyone. If the list doesn't appear immediately, refresh the page.",
     });
   }));
 
+  // Web: ICS subscription feed. The secret token replaces the session cookie,
+  // which calendar apps cannot send. `?component=vtodo` serves to-dos instead of events.
+  router.get("/feeds/:token.ics", asyncHandler(async (req, res) => {
+    const feed = await prisma.taskCalendarFeed.findUnique({
+      where: { token: String(req.params.token) },
+    });
+    if (!feed) {
+      return res.status(404).type("text/plain").send("Feed not found");
+    }
+
+    // Access is checked on every fetch, so leaving a shared list also empties its feed
+    const roles = await access.listRoles(feed.userId);
+    if (feed.listId !== null && !roles.has(feed.listId)) {
+      return res.status(404).type("text/plain").send("Feed not found");
+    }
+    const listIds = feed.listId !== null ? [feed.listId] : [...roles.keys()];
+
+    const [lists, tasks] = await Promise.all([
+      prisma.taskList.findMany({
+        where: { id: { in: listIds } },
+        select: { id: true, name: true },
+      }),
+      prisma.task.findMany({
+        where: { listId: { in: listIds }, deletedAt: null, dueDate: { not: null } },
+        orderBy: [{ dueDate: "asc" }, { id: "asc" }],
+      }),
+    ]);
+
+    const listsById = new Map(lists.map((l) => [l.id, l]));
+    const component = String(req.query.component || "").toLowerCase() === "vtodo" ? "VTODO" : "VEVENT";
+    const baseUrl = `${req.protocol}://${req.get("host") || ""}`;
+    const body = buildTasksCalendar(tasks, listsById, {
+      name: feed.listId !== null && listsById.get(feed.listId)
+        ? `Tasks – ${listsById.get(feed.listId).name}`
+        : "Tasks",
+      component,
+      uidDomain: req.hostname || undefined,
+      url: `${baseUrl}/tasks`,
+    });
+
+    prisma.taskCalendarFeed.update({
+      where: { id: feed.id },
+      data: { lastFetchedAt: new Date() },
+    }).catch(() => {});
+
+    res.set("Cache-Control", "private, max-age=300");
+    res.type("text/calendar; charset=utf-8");
+    res.send(body);
+    if (logger && typeof logger.info === "function") {
+      logger.info("[tasks-web] feed:fetch", {
+        feedId: feed.id,
+        userId: feed.userId,
+        listId: feed.listId,
+        tasksCount: tasks.length,
+      });
+    }
+  }));
+
+  // Engines shared with the API, imported by the browser as ES modules
+  router.get("/assets/:module", (req, res, next) => {
+    const modulePath = SHARED_MODULES[req.params.module];
+    if (!modulePath) return next();
+    res.type("application/javascript");
+    res.set("Cache-Control", "no-cache");
+    return res.sendFile(modulePath);
+  });
+
   // Main view
   router.get(["/", "/index", "/home"], (req, res) => {
     const userId = getUserId(req);
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { startApi, USER_ID } from "./helpers/api.js";
+
+function seed() {
+  return {
+    taskList: [
+      { userId: USER_ID, name: "Inbox", slug: "inbox" },
+      { userId: "someone-else", name: "Private", slug: "private" },
+    ],
+    task: [
+      {
+        userId: USER_ID,
+        listId: 1,
+        title: "Water plants",
+        dueDate: new Date("2026-03-02T00:00:00Z"),
+        recurringConfig: { kind: "preset", preset: "weekly" },
+      },
+      { userId: USER_ID, listId: 1, title: "Check soil", parentId: 1, completed: true },
+      { userId: USER_ID, listId: 1, title: "Buy pots" },
+      { userId: "someone-else", listId: 2, title: "Secret" },
+    ],
+  };
+}
+
+test("an invalid operation rejects the whole batch with its field path", async (t) => {
+  const api = await startApi(seed());
+  t.after(api.close);
+
+  const res = await api.request("POST", "/batch", { operations: [{ op: "star", id: 3 }, { op: "explode", id: 2 }] });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "validation_failed");
+  assert.deepEqual(res.body.error.fields.map((f) => f.path), ["operations.1.op"]);
+  assert.equal(api.prisma.$rows("task").find((row) => row.id === 3).starred, false);
+});
+
+test("complete rolls recurring tasks forward and reopens their subtasks", async (t) => {
+  const api = await startApi(seed());
+  t.after(api.close);
+
+  const res = await api.request("POST", "/batch", { operations: [{ op: "complete", id: 1 }, { op: "complete", id: 3 }] });
+  assert.equal(res.status, 200);
+  const [rolled, plain] = res.body.results;
+  assert.equal(rolled.task.completed, false);
+  assert.equal(rolled.task.dueDate, "2026-03-09T00:00:00.000Z");
+  assert.deepEqual(rolled.subtasks.map((s) => [s.id, s.completed]), [[2, false]]);
+  assert.equal(plain.task.completed, true);
+});
+
+test("a failing operation rolls back the ones before it", async (t) => {
+  const api = await startApi(seed());
+  t.after(api.close);
+
+  const res = await api.request("POST", "/batch", {
+    operations: [{ op: "star", id: 3 }, { op: "delete", id: 4 }, { op: "star", id: 1 }],
+  });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.index, 1);
+  assert.deepEqual(res.body.results.map((r) => r.error), ["Rolled back", "Task not found", "Not applied"]);
+
+  const task = api.prisma.$rows("task").find((row) => row.id === 3);
+  assert.equal(task.starred, false);
+});
@@ -0,0 +1,41 @@
+// Mounts the API router on a throwaway HTTP server backed by the in-memory Prisma
+// stand-in, signed in as USER_ID.
+
+import express from "express";
+import createApiRouter from "../../routes/api/index.js";
+import { createFakePrisma } from "./fake-prisma.js";
+
+export const USER_ID = "user-1";
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {}, log() {} };
+
+export async function startApi(seed = {}, ctx = {}) {
+  const prisma = createFakePrisma(seed);
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: USER_ID, email: "user-1@example.com" };
+    next();
+  });
+  app.use("/", createApiRouter({ prisma, logger: silentLogger, mailer: null, ...ctx }));
+
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, body) {
+    const res = await fetch(base + path, {
+      method,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    prisma,
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,301 @@
+// In-memory stand-in for the Prisma client, covering the queries the routes and
+// schedulers make: where filters (including relation filters), orderBy, take,
+// select/include, distinct, groupBy, compound unique keys and rolled-back transactions.
+
+// relation name -> [model, foreign key on this row] or [model, foreign key on the other row, "many"]
+const RELATIONS = {
+  task: {
+    list: ["taskList", "listId"],
+    parent: ["task", "parentId"],
+    subtasks: ["task", "parentId", "many"],
+    reminders: ["taskReminder", "taskId", "many"],
+    tagAssignments: ["taskTagAssignment", "taskId", "many"],
+  },
+  taskList: {
+    tasks: ["task", "listId", "many"],
+    members: ["taskListMember", "listId", "many"],
+    shareInvites: ["taskListShareInvite", "listId", "many"],
+  },
+  taskListMember: { list: ["taskList", "listId"] },
+  taskListShareInvite: { list: ["taskList", "listId"] },
+  taskReminder: { task: ["task", "taskId"] },
+  taskTag: { assignments: ["taskTagAssignment", "tagId", "many"] },
+  taskTagAssignment: { task: ["task", "taskId"], tag: ["taskTag", "tagId"] },
+  taskWebhookDelivery: { webhook: ["taskWebhook", "webhookId"] },
+  taskWebhook: { deliveries: ["taskWebhookDelivery", "webhookId", "many"] },
+};
+
+const DEFAULTS = {
+  task: () => ({ completed: false, starred: false, position: 0, rank: "", parentId: null, deletedAt: null }),
+  taskList: () => ({ position: 0, rank: "", deletedAt: null }),
+  taskListMember: () => ({ role: "editor", position: 0, rank: "" }),
+  taskReminder: () => ({ sentAt: null, dismissedAt: null, snoozeUntil: null }),
+  taskWebhook: () => ({ active: true }),
+  taskWebhookDelivery: () => ({ attempts: 0, status: "pending", redeliveryOf: null }),
+};
+
+// Models whose rows have `updatedAt`
+const TIMESTAMPED = new Set(["task", "taskList", "taskListMember", "taskTag"]);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !(value instanceof Date) && !Array.isArray(value);
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function same(a, b) {
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  return comparable(a) === comparable(b);
+}
+
+export function createFakePrisma(seed = {}) {
+  let tables = {};
+  const ids = {};
+  let lastTime = 0;
+
+  // Strictly increasing timestamps, so every write changes `updatedAt`
+  function now() {
+    lastTime = Math.max(Date.now(), lastTime + 1);
+    return new Date(lastTime);
+  }
+
+  function table(model) {
+    if (!tables[model]) tables[model] = [];
+    return tables[model];
+  }
+
+  function related(model, row, name) {
+    const [target, key, many] = RELATIONS[model][name];
+    if (many) return table(target).filter((other) => same(other[key], row.id));
+    return row[key] == null ? null : table(target).find((other) => same(other.id, row[key])) || null;
+  }
+
+  function matchField(model, row, field, filter) {
+    if (RELATIONS[model] && RELATIONS[model][field]) {
+      const [target, , many] = RELATIONS[model][field];
+      const value = related(model, row, field);
+      if (many) {
+        if (filter.some) return value.some((other) => matches(target, other, filter.some));
+        if (filter.none) return !value.some((other) => matches(target, other, filter.none));
+        if (filter.every) return value.every((other) => matches(target, other, filter.every));
+        return true;
+      }
+      if (filter === null) return value === null;
+      if ("is" in filter) return filter.is === null ? value === null : !!value && matches(target, value, filter.is);
+      return !!value && matches(target, value, filter);
+    }
+    const value = row[field] === undefined ? null : row[field];
+    if (!isPlainObject(filter)) return same(value, filter);
+    return Object.entries(filter).every(([op, arg]) => {
+      switch (op) {
+        case "equals": return same(value, arg);
+        case "not": return isPlainObject(arg) ? !matchField(model, row, field, arg) : !same(value, arg);
+        case "in": return arg.some((item) => same(value, item));
+        case "notIn": return !arg.some((item) => same(value, item));
+        case "lt": return value !== null && comparable(value) < comparable(arg);
+        case "lte": return value !== null && comparable(value) <= comparable(arg);
+        case "gt": return value !== null && comparable(value) > comparable(arg);
+        case "gte": return value !== null && comparable(value) >= comparable(arg);
+        case "contains": return typeof value === "string" && value.includes(arg);
+        case "startsWith": return typeof value === "string" && value.startsWith(arg);
+        case "mode": return true;
+        default: throw new Error(`fake prisma: unsupported filter ${op} on ${model}.${field}`);
+      }
+    });
+  }
+
+  function matches(model, row, where) {
+    if (!where) return true;
+    return Object.entries(where).every(([key, filter]) => {
+      if (filter === undefined) return true;
+      if (key === "AND") return [].concat(filter).every((w) => matches(model, row, w));
+      if (key === "OR") return filter.some((w) => matches(model, row, w));
+      if (key === "NOT") return ![].concat(filter).some((w) => matches(model, row, w));
+      // Compound unique keys such as `userId_key: { userId, key }`
+      if (key.includes("_") && isPlainObject(filter) && !(key in row)) return matches(model, row, filter);
+      return matchField(model, row, key, filter);
+    });
+  }
+
+  function sortRows(rows, orderBy) {
+    const keys = [].concat(orderBy || []).flatMap((entry) => Object.entries(entry));
+    return [...rows].sort((a, b) => {
+      for (const [field, spec] of keys) {
+        const dir = typeof spec === "string" ? spec : spec.sort;
+        const nulls = typeof spec === "string" ? (dir === "asc" ? "first" : "last") : spec.nulls || (dir === "asc" ? "first" : "last");
+        const x = a[field] == null ? null : comparable(a[field]);
+        const y = b[field] == null ? null : comparable(b[field]);
+        if (x === y) continue;
+        if (x === null) return nulls === "first" ? -1 : 1;
+        if (y === null) return nulls === "first" ? 1 : -1;
+        const result = x < y ? -1 : 1;
+        return dir === "desc" ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  function shape(model, row, { select, include } = {}) {
+    if (!row) return null;
+    const out = select ? {} : { ...row };
+    Object.entries(select || include || {}).forEach(([key, spec]) => {
+      if (!spec) return;
+      if (RELATIONS[model] && RELATIONS[model][key]) {
+        const [target, , many] = RELATIONS[model][key];
+        const value = related(model, row, key);
+        const nested = isPlainObject(spec) ? spec : {};
+        out[key] = many
+          ? sortRows(value.filter((other) => matches(target, other, nested.where)), nested.orderBy)
+            .map((other) => shape(target, other, nested))
+          : shape(target, value, nested);
+      } else if (select) {
+        out[key] = row[key];
+      }
+    });
+    return out;
+  }
+
+  function applyData(model, row, data) {
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (isPlainObject(value) && ("increment" in value || "decrement" in value || "set" in value)) {
+        if ("set" in value) row[key] = value.set;
+        if ("increment" in value) row[key] = (row[key] || 0) + value.increment;
+        if ("decrement" in value) row[key] = (row[key] || 0) - value.decrement;
+      } else {
+        row[key] = value;
+      }
+    });
+    if (TIMESTAMPED.has(model) && !("updatedAt" in data)) row.updatedAt = now();
+    return row;
+  }
+
+  function insert(model, data) {
+    ids[model] = Math.max(ids[model] || 0, ...table(model).map((row) => row.id || 0)) + 1;
+    const createdAt = now();
+    const row = {
+      id: ids[model],
+      ...(DEFAULTS[model] ? DEFAULTS[model]() : {}),
+      createdAt,
+      ...(TIMESTAMPED.has(model) ? { updatedAt: createdAt } : {}),
+    };
+    Object.entries(data).forEach(([key, value]) => {
+      if (value !== undefined) row[key] = value;
+    });
+    table(model).push(row);
+    return row;
+  }
+
+  function uniqueRow(model, where) {
+    const row = table(model).find((candidate) => matches(model, candidate, where));
+    return row || null;
+  }
+
+  function delegate(model) {
+    const read = (args = {}) => {
+      let rows = sortRows(table(model).filter((row) => matches(model, row, args.where)), args.orderBy);
+      if (args.distinct) {
+        const seen = new Set();
+        rows = rows.filter((row) => {
+          const key = JSON.stringify(args.distinct.map((field) => row[field]));
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+      }
+      if (args.skip) rows = rows.slice(args.skip);
+      if (typeof args.take === "number") rows = args.take < 0 ? rows.slice(args.take) : rows.slice(0, args.take);
+      return rows;
+    };
+    return {
+      async findMany(args = {}) {
+        return read(args).map((row) => shape(model, row, args));
+      },
+      async findFirst(args = {}) {
+        const [row] = read({ ...args, take: 1 });
+        return shape(model, row, args);
+      },
+      async findUnique(args) {
+        return shape(model, uniqueRow(model, args.where), args);
+      },
+      async findUniqueOrThrow(args) {
+        const row = uniqueRow(model, args.where);
+        if (!row) throw Object.assign(new Error("Record not found"), { code: "P2025" });
+        return shape(model, row, args);
+      },
+      async count(args = {}) {
+        return read(args).length;
+      },
+      async create(args) {
+        return shape(model, insert(model, args.data), args);
+      },
+      async createMany(args) {
+        [].concat(args.data).forEach((data) => insert(model, data));
+        return { count: [].concat(args.data).length };
+      },
+      async update(args) {
+        const row = uniqueRow(model, args.where);
+        if (!row) throw Object.assign(new Error("Record to update not found"), { code: "P2025" });
+        return shape(model, applyData(model, row, args.data), args);
+      },
+      async updateMany(args) {
+        const rows = table(model).filter((row) => matches(model, row, args.where));
+        rows.forEach((row) => applyData(model, row, args.data));
+        return { count: rows.length };
+      },
+      async upsert(args) {
+        const row = uniqueRow(model, args.where);
+        return shape(model, row ? applyData(model, row, args.update) : insert(model, args.create), args);
+      },
+      async delete(args) {
+        const row = uniqueRow(model, args.where);
+        if (!row) throw Object.assign(new Error("Record to delete does not exist"), { code: "P2025" });
+        tables[model] = table(model).filter((other) => other !== row);
+        return row;
+      },
+      async deleteMany(args = {}) {
+        const before = table(model).length;
+        tables[model] = table(model).filter((row) => !matches(model, row, args.where));
+        return { count: before - tables[model].length };
+      },
+      async groupBy(args) {
+        const groups = new Map();
+        read(args).forEach((row) => {
+          const key = JSON.stringify(args.by.map((field) => row[field]));
+          if (!groups.has(key)) groups.set(key, { row, count: 0 });
+          groups.get(key).count += 1;
+        });
+        return [...groups.values()].map(({ row, count }) => ({
+          ...Object.fromEntries(args.by.map((field) => [field, row[field]])),
+          ...(args._count ? { _count: { _all: count } } : {}),
+        }));
+      },
+    };
+  }
+
+  const client = new Proxy({}, {
+    get(target, prop) {
+      if (prop === "$transaction") {
+        return async (arg) => {
+          if (Array.isArray(arg)) return Promise.all(arg);
+          const snapshot = Object.fromEntries(Object.entries(tables).map(([model, rows]) => [model, rows.map((row) => ({ ...row }))]));
+          try {
+            return await arg(client);
+          } catch (err) {
+            tables = snapshot;
+            throw err;
+          }
+        };
+      }
+      if (prop === "$rows") return (model) => table(model);
+      if (typeof prop !== "string" || prop.startsWith("$") || prop === "then") return undefined;
+      return delegate(prop);
+    },
+  });
+
+  Object.entries(seed).forEach(([model, rows]) => rows.forEach((row) => insert(model, row)));
+  return client;
+}
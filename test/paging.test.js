@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TASK_SORTS, sortKeys, encodePageCursor, decodePageCursor } from "../lib/paging.js";
+import { startApi, USER_ID } from "./helpers/api.js";
+
+function craftCursor(keys, values) {
+  const s = keys.map(([field, dir]) => `${field}:${dir}`).join(",");
+  return Buffer.from(JSON.stringify({ s, k: values })).toString("base64url");
+}
+
+test("a cursor decodes to the sort keys of the row it was made from", () => {
+  const keys = sortKeys(TASK_SORTS, "dueDate", "asc");
+  const row = { id: 7, listId: 2, rank: "m", position: 3, dueDate: new Date("2026-05-01T00:00:00Z") };
+  assert.deepEqual(decodePageCursor(keys, encodePageCursor(keys, row)), [row.dueDate, 2, "m", 3, 7]);
+
+  const undated = { ...row, dueDate: null };
+  assert.deepEqual(decodePageCursor(keys, encodePageCursor(keys, undated)), [null, 2, "m", 3, 7]);
+});
+
+test("a cursor from another sort or order is rejected", () => {
+  const byTitle = sortKeys(TASK_SORTS, "title", "asc");
+  const cursor = encodePageCursor(byTitle, { id: 1, title: "Milk" });
+  assert.equal(decodePageCursor(sortKeys(TASK_SORTS, "createdAt", "asc"), cursor), null);
+  assert.equal(decodePageCursor(sortKeys(TASK_SORTS, "title", "desc"), cursor), null);
+  assert.equal(decodePageCursor(byTitle, "not a cursor"), null);
+});
+
+test("a cursor with a value of the wrong type is rejected", () => {
+  const keys = sortKeys(TASK_SORTS, "title", "asc");
+  assert.equal(decodePageCursor(keys, craftCursor(keys, ["Milk", { gt: 0 }])), null);
+  assert.equal(decodePageCursor(keys, craftCursor(keys, [["Milk"], 1])), null);
+  assert.equal(decodePageCursor(keys, craftCursor(keys, ["Milk", 1.5])), null);
+
+  const starred = sortKeys(TASK_SORTS, "starred", "asc");
+  assert.equal(decodePageCursor(starred, craftCursor(starred, ["yes", 1, "m", 0, 1])), null);
+  assert.equal(decodePageCursor(starred, craftCursor(starred, [true, 1, null, 0, 1])), null);
+});
+
+test("GET / pages through every task once", async (t) => {
+  const titles = ["Alpha", "Bravo", "Charlie", "Delta", "Echo"];
+  const api = await startApi({
+    taskList: [{ userId: USER_ID, name: "Inbox", slug: "inbox" }],
+    task: titles.map((title) => ({ userId: USER_ID, listId: 1, title })),
+  });
+  t.after(api.close);
+
+  const seen = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const res = await api.request("GET", `/?sort=title&order=desc&limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+    assert.equal(res.status, 200);
+    seen.push(...res.body.tasks.map((task) => task.title));
+    cursor = res.body.nextCursor;
+    pages += 1;
+  } while (cursor && pages < 10);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(seen, [...titles].reverse());
+
+  const wrongSort = await api.request("GET", `/?sort=title&order=desc&limit=2`);
+  const res = await api.request("GET", `/?sort=createdAt&cursor=${wrongSort.body.nextCursor}`);
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.error.fields.map((f) => f.path), ["cursor"]);
+
+  const keys = sortKeys(TASK_SORTS, "title", "asc");
+  const crafted = await api.request("GET", `/?sort=title&cursor=${craftCursor(keys, ["Bravo", { not: 0 }])}`);
+  assert.equal(crafted.status, 400);
+});
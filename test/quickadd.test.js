@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseQuickAdd, quickAddReminderAt } from "../lib/quickadd.js";
+
+// A Wednesday
+const TODAY = "2026-03-04";
+const LISTS = [{ id: 1, name: "Inbox", slug: "inbox" }, { id: 2, name: "Work", slug: "work" }];
+
+function parse(input) {
+  return parseQuickAdd(input, { today: TODAY, lists: LISTS });
+}
+
+test("Pay rent every month on the 1st !", () => {
+  const result = parse("Pay rent every month on the 1st !");
+  assert.equal(result.title, "Pay rent");
+  assert.equal(result.starred, true);
+  assert.deepEqual(result.recurring, { kind: "preset", preset: "monthly" });
+  assert.equal(result.dueDate, "2026-04-01");
+  assert.deepEqual(result.parts.map((part) => part.type), ["recurrence", "date", "star"]);
+});
+
+test("call mom tomorrow 6pm", () => {
+  const result = parse("call mom tomorrow 6pm");
+  assert.equal(result.title, "call mom");
+  assert.equal(result.dueDate, "2026-03-05");
+  assert.equal(result.time, "18:00");
+  assert.equal(result.recurring, null);
+});
+
+test("standup every weekday", () => {
+  const result = parse("standup every weekday");
+  assert.equal(result.title, "standup");
+  assert.deepEqual(result.recurring, { kind: "preset", preset: "weekday" });
+  assert.equal(result.dueDate, TODAY);
+});
+
+test("#work review PR friday", () => {
+  const result = parse("#work review PR friday");
+  assert.equal(result.title, "review PR");
+  assert.equal(result.list, LISTS[1]);
+  assert.equal(result.dueDate, "2026-03-06");
+});
+
+test("unknown lists stay in the title", () => {
+  const result = parse("#garden plant tulips");
+  assert.equal(result.list, null);
+  assert.equal(result.title, "#garden plant tulips");
+});
+
+test("a bare hour is in the afternoon or left alone", () => {
+  const meeting = parse("Meeting at 3");
+  assert.equal(meeting.title, "Meeting");
+  assert.equal(meeting.time, "15:00");
+  assert.equal(meeting.dueDate, TODAY);
+
+  assert.equal(parse("Lunch at 12").time, "12:00");
+  assert.equal(parse("Train at 18").time, "18:00");
+
+  const breakfast = parse("Breakfast at 8");
+  assert.equal(breakfast.title, "Breakfast at 8");
+  assert.equal(breakfast.time, null);
+  assert.equal(breakfast.dueDate, null);
+});
+
+test("explicit times keep their meaning", () => {
+  assert.equal(parse("Run at 6am").time, "06:00");
+  assert.equal(parse("Call at 9:30").time, "09:30");
+});
+
+test("quickAddReminderAt applies the caller's offset", () => {
+  assert.equal(quickAddReminderAt("2026-03-05", "18:00", -60).toISOString(), "2026-03-05T17:00:00.000Z");
+  assert.equal(quickAddReminderAt("2026-03-05", null, 0), null);
+});
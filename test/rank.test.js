@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { rankBetween, ranksBetween, rerankForOrder } from "../lib/rank.js";
+import { backfillRanks } from "../prisma/backfill-ranks.mjs";
+import { createFakePrisma } from "./helpers/fake-prisma.js";
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+test("rankBetween finds room between any two ranks", () => {
+  assert.equal(rankBetween("", null), "i");
+  assert.ok(rankBetween("a", "b") > "a" && rankBetween("a", "b") < "b");
+  assert.ok(rankBetween("a", "a1") > "a" && rankBetween("a", "a1") < "a1");
+  assert.throws(() => rankBetween("b", "a"));
+});
+
+test("ranksBetween spreads ranks in order", () => {
+  const ranks = ranksBetween("", null, 5);
+  assert.deepEqual([...ranks].sort(), ranks);
+  assert.equal(new Set(ranks).size, 5);
+});
+
+test("rerankForOrder only moves the rows that are out of order", () => {
+  const moved = rerankForOrder([{ id: 1, rank: "b" }, { id: 3, rank: "x" }, { id: 2, rank: "d" }]);
+  assert.deepEqual([...moved.keys()], [3]);
+  assert.ok(moved.get(3) > "b" && moved.get(3) < "d");
+});
+
+test("backfillRanks ranks old rows in their position order", async () => {
+  const prisma = createFakePrisma({
+    taskList: [
+      { userId: "u1", name: "Work", slug: "work", position: 1 },
+      { userId: "u1", name: "Inbox", slug: "inbox", position: 0 },
+    ],
+    task: [
+      { userId: "u1", listId: 1, title: "second", position: 1 },
+      { userId: "u1", listId: 1, title: "first", position: 0 },
+      { userId: "u1", listId: 2, title: "only", position: 0 },
+    ],
+  });
+
+  assert.equal(await backfillRanks({ prisma, logger: silentLogger }), 5);
+
+  const byRank = (rows) => [...rows].sort((a, b) => (a.rank < b.rank ? -1 : 1));
+  assert.deepEqual(byRank(prisma.$rows("taskList")).map((l) => l.slug), ["inbox", "work"]);
+  assert.deepEqual(byRank(prisma.$rows("task").filter((t) => t.listId === 1)).map((t) => t.title), ["first", "second"]);
+  assert.ok(prisma.$rows("task").every((t) => t.rank));
+  assert.equal(await backfillRanks({ prisma, logger: silentLogger }), 0);
+});
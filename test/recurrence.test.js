@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  advanceRecurringTask,
+  formatDateOnly,
+  nextRRuleOccurrence,
+  parseRRule,
+} from "../lib/recurrence.js";
+
+function next(rrule, after) {
+  return formatDateOnly(nextRRuleOccurrence(parseRRule(rrule), new Date(`${after}T00:00:00Z`)));
+}
+
+test("parseRRule reads BYDAY ordinals", () => {
+  const rule = parseRRule("RRULE:FREQ=MONTHLY;BYDAY=-1FR,2MO;COUNT=3");
+  assert.equal(rule.freq, "MONTHLY");
+  assert.deepEqual(rule.byDay, [{ weekday: 5, nth: -1 }, { weekday: 1, nth: 2 }]);
+  assert.equal(rule.count, 3);
+});
+
+test("parseRRule rejects unsupported or malformed parts", () => {
+  assert.equal(parseRRule("FREQ=HOURLY"), null);
+  assert.equal(parseRRule("FREQ=MONTHLY;BYDAY=0FR"), null);
+  assert.equal(parseRRule("FREQ=DAILY;BYHOUR=9"), null);
+  assert.equal(parseRRule("BYDAY=MO"), null);
+});
+
+test("BYDAY=-1FR lands on the last Friday of each month", () => {
+  assert.equal(next("FREQ=MONTHLY;BYDAY=-1FR", "2026-01-30"), "2026-02-27");
+  assert.equal(next("FREQ=MONTHLY;BYDAY=-1FR", "2026-02-27"), "2026-03-27");
+});
+
+test("BYMONTHDAY=31 skips months without a 31st", () => {
+  assert.equal(next("FREQ=MONTHLY;BYMONTHDAY=31", "2026-01-31"), "2026-03-31");
+  assert.equal(next("FREQ=MONTHLY;BYMONTHDAY=31", "2026-03-31"), "2026-05-31");
+});
+
+test("UNTIL stops the series after the cutoff", () => {
+  assert.equal(next("FREQ=WEEKLY;UNTIL=20260210", "2026-02-02"), "2026-02-09");
+  assert.equal(next("FREQ=WEEKLY;UNTIL=20260210", "2026-02-09"), null);
+
+  const last = advanceRecurringTask({
+    dueDate: "2026-02-09",
+    recurring: { kind: "rrule", rrule: "FREQ=WEEKLY;UNTIL=20260210" },
+  });
+  assert.deepEqual(last, { completed: true, dueDate: "2026-02-09", recurring: null });
+});
+
+test("COUNT counts down to a final completion", () => {
+  const recurring = { kind: "rrule", rrule: "FREQ=MONTHLY;BYDAY=-1FR;COUNT=2" };
+
+  const first = advanceRecurringTask({ dueDate: "2026-01-30", recurring });
+  assert.deepEqual(first, {
+    completed: false,
+    dueDate: "2026-02-27",
+    recurring: { kind: "rrule", rrule: "FREQ=MONTHLY;BYDAY=-1FR;COUNT=1" },
+  });
+
+  const second = advanceRecurringTask({ dueDate: first.dueDate, recurring: first.recurring });
+  assert.deepEqual(second, { completed: true, dueDate: "2026-02-27", recurring: null });
+});
+
+test("custom afterCount rules count down the same way", () => {
+  const recurring = { kind: "custom", custom: { interval: 2, unit: "week", ends: { type: "afterCount", count: 2 } } };
+
+  const first = advanceRecurringTask({ dueDate: "2026-03-02", recurring });
+  assert.equal(first.completed, false);
+  assert.equal(first.dueDate, "2026-03-16");
+  assert.equal(first.recurring.custom.ends.count, 1);
+  assert.equal(recurring.custom.ends.count, 2);
+
+  assert.equal(advanceRecurringTask({ dueDate: first.dueDate, recurring: first.recurring }).completed, true);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseSearchQuery, searchTasks } from "../lib/search.js";
+
+const TASKS = [
+  { id: 1, title: "Call the bank", description: "about the mortgage", starred: false, completed: false },
+  { id: 2, title: "Bank holiday plans", description: null, starred: true, completed: false },
+  { id: 3, title: "Pay rent", description: "bank transfer", starred: false, completed: true },
+  { id: 4, title: "Call mom", description: null, starred: false, completed: false },
+];
+
+function ids(query, context) {
+  return searchTasks(TASKS, parseSearchQuery(query), context).map((result) => result.task.id);
+}
+
+test("quoted phrases stay one term", () => {
+  const query = parseSearchQuery('"call the bank" is:open');
+  assert.deepEqual(query.terms, [{ text: "call the bank", negate: false }]);
+  assert.deepEqual(query.filters, [{ key: "is", value: "open", negate: false }]);
+  assert.deepEqual(ids('"call the bank"'), [1]);
+});
+
+test("negated terms and phrases exclude matches", () => {
+  assert.deepEqual(parseSearchQuery('-"bank holiday"').terms, [{ text: "bank holiday", negate: true }]);
+  assert.deepEqual(ids("bank -holiday"), [1, 3]);
+  assert.deepEqual(ids('call -"the bank"'), [4]);
+});
+
+test("negated filters invert them", () => {
+  assert.deepEqual(ids("bank -is:done"), [2, 1]);
+  assert.deepEqual(ids("-is:starred -is:done"), [1, 4]);
+});
+
+test("title hits rank above description hits", () => {
+  assert.deepEqual(ids("bank"), [2, 1, 3]);
+});
+
+test("unknown operators are searched as text and bad values are reported", () => {
+  const query = parseSearchQuery('foo:bar is:later tag:""');
+  assert.deepEqual(query.terms, [{ text: "foo:bar", negate: false }]);
+  assert.deepEqual(query.errors, ['Unknown value for is: "later"', "tag: needs a value"]);
+});
+
+test("list, tag and due filters use the caller's context", () => {
+  const tasks = [
+    { id: 1, title: "a", listId: 1, dueDate: "2026-03-02" },
+    { id: 2, title: "b", listId: 2, dueDate: "2026-03-09" },
+    { id: 3, title: "c", listId: 1, dueDate: null },
+  ];
+  const lists = { 1: { slug: "work", name: "Work" }, 2: { slug: "home", name: "Home" } };
+  const context = {
+    today: "2026-03-04",
+    listOf: (task) => lists[task.listId],
+    tagNamesOf: (task) => (task.id === 3 ? ["Errand"] : []),
+  };
+  const found = (query) => searchTasks(tasks, parseSearchQuery(query), context).map((result) => result.task.id);
+
+  assert.deepEqual(found("list:work"), [1, 3]);
+  assert.deepEqual(found("tag:errand"), [3]);
+  assert.deepEqual(found("due:this-week"), [1]);
+  assert.deepEqual(found("due:>this-week"), [2]);
+  assert.deepEqual(found("due:none -list:home"), [3]);
+});
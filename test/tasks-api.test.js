@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { startApi, USER_ID } from "./helpers/api.js";
+
+function seedRecurringTask(rrule) {
+  return {
+    taskList: [{ userId: USER_ID, name: "Inbox", slug: "inbox" }],
+    task: [{
+      userId: USER_ID,
+      listId: 1,
+      title: "Pay rent",
+      dueDate: new Date("2026-01-30T00:00:00Z"),
+      recurringConfig: { kind: "rrule", rrule },
+    }],
+  };
+}
+
+test("PUT /:id rolls a completed recurring task forward", async (t) => {
+  const api = await startApi(seedRecurringTask("FREQ=MONTHLY;BYDAY=-1FR;COUNT=2"));
+  t.after(api.close);
+
+  const rolled = await api.request("PUT", "/1", { completed: true });
+  assert.equal(rolled.status, 200);
+  assert.equal(rolled.body.completed, false);
+  assert.equal(rolled.body.dueDate, "2026-02-27T00:00:00.000Z");
+  assert.equal(rolled.body.recurringConfig.rrule, "FREQ=MONTHLY;BYDAY=-1FR;COUNT=1");
+
+  const last = await api.request("PUT", "/1", { completed: true });
+  assert.equal(last.status, 200);
+  assert.equal(last.body.completed, true);
+  assert.equal(last.body.dueDate, "2026-02-27T00:00:00.000Z");
+  assert.equal(last.body.recurringConfig, null);
+});
+
+test("PUT /:id leaves other updates to a recurring task alone", async (t) => {
+  const api = await startApi(seedRecurringTask("FREQ=WEEKLY"));
+  t.after(api.close);
+
+  const res = await api.request("PUT", "/1", { title: "Pay the rent" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.completed, false);
+  assert.equal(res.body.dueDate, "2026-01-30T00:00:00.000Z");
+});
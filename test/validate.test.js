@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validate, issuesMessage, errorEnvelope } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+
+function paths(result) {
+  return result.issues.map((issue) => issue.path);
+}
+
+test("batch operations are checked per index and per variant", () => {
+  const result = validate(SCHEMAS.batch.body, {
+    operations: [{ op: "star", id: 1 }, { op: "create", listId: 1, title: "  " }, { op: "move", id: "x" }],
+  });
+  assert.deepEqual(paths(result), ["operations.1.title", "operations.2.id", "operations.2.listId"]);
+  assert.equal(result.issues[0].code, "required");
+  assert.equal(issuesMessage(result.issues), "operations.1.title: must not be empty (and 2 more)");
+});
+
+test("batch operations are parsed and defaulted", () => {
+  const { value } = validate(SCHEMAS.batch.body, {
+    operations: [{ op: "complete", id: "7" }, { op: "create", listId: 2, title: " Call ", extra: true }],
+  });
+  assert.deepEqual(value.operations, [
+    { op: "complete", id: 7, completed: true, completeSubtasks: false },
+    { op: "create", listId: 2, title: "Call", starred: false, parentId: null },
+  ]);
+});
+
+test("nested recurrence fields report their full path", () => {
+  const body = (ends) => ({
+    listId: 1,
+    title: "Pay rent",
+    recurringConfig: { kind: "custom", custom: { interval: 1, unit: "month", ends } },
+  });
+  const missing = validate(SCHEMAS["tasks:create"].body, body({ type: "afterCount" }));
+  assert.deepEqual(paths(missing), ["recurringConfig.custom.ends.count"]);
+
+  const wrongUnit = validate(SCHEMAS["tasks:create"].body, {
+    listId: 1,
+    title: "Pay rent",
+    recurringConfig: { kind: "custom", custom: { interval: 0, unit: "fortnight" } },
+  });
+  assert.deepEqual(paths(wrongUnit), ["recurringConfig.custom.interval", "recurringConfig.custom.unit"]);
+
+  assert.ok(validate(SCHEMAS["tasks:create"].body, body({ type: "afterCount", count: 3 })).value);
+});
+
+test("errorEnvelope moves the message under error and keeps extra keys", () => {
+  assert.deepEqual(errorEnvelope(404, { error: "Task not found", index: 2 }), {
+    index: 2,
+    error: { code: "not_found", message: "Task not found" },
+  });
+  const wrapped = { error: { code: "conflict", message: "Changed" } };
+  assert.equal(errorEnvelope(409, wrapped), wrapped);
+});
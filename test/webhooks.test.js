@@ -0,0 +1,122 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+
+import { createWebhookDispatcher, isPrivateAddress } from "../lib/webhooks.js";
+import { createFakePrisma } from "./helpers/fake-prisma.js";
+import { startApi, USER_ID } from "./helpers/api.js";
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// A local receiver that records each request and answers with the next queued status
+const received = [];
+const statuses = [];
+let receiver;
+let receiverUrl;
+
+before(async () => {
+  process.env.TASKS_WEBHOOKS_ALLOW_PRIVATE = "true";
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end("ok");
+    });
+  });
+  receiver.listen(0, "127.0.0.1");
+  await new Promise((resolve) => receiver.once("listening", resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+  delete process.env.TASKS_WEBHOOKS_ALLOW_PRIVATE;
+  await new Promise((resolve) => receiver.close(resolve));
+});
+
+function reset() {
+  received.length = 0;
+  statuses.length = 0;
+}
+
+test("isPrivateAddress sees IPv4 addresses inside IPv6 ones", () => {
+  assert.equal(isPrivateAddress("::ffff:127.0.0.1"), true);
+  assert.equal(isPrivateAddress("64:ff9b::a00:1"), true);
+  assert.equal(isPrivateAddress("2002:7f00:1::"), true);
+  assert.equal(isPrivateAddress("2002:c0a8:101::1"), true);
+  assert.equal(isPrivateAddress("2002:808:808::"), false);
+  assert.equal(isPrivateAddress("2606:4700::1111"), false);
+});
+
+test("deliveries are signed with the webhook's secret", async (t) => {
+  reset();
+  const api = await startApi({ taskList: [{ userId: USER_ID, name: "Inbox", slug: "inbox" }] });
+  t.after(api.close);
+
+  const created = await api.request("POST", "/webhooks", { url: receiverUrl, events: ["task.created"] });
+  assert.equal(created.status, 201);
+  assert.match(created.body.secret, /^whsec_/);
+
+  const ping = await api.request("POST", `/webhooks/${created.body.id}/ping`);
+  assert.equal(ping.status, 200);
+  assert.equal(ping.body.status, "delivered");
+
+  const [{ headers, body }] = received;
+  const timestamp = headers["x-tasks-timestamp"];
+  const expected = crypto.createHmac("sha256", created.body.secret).update(`${timestamp}.${body}`).digest("hex");
+  assert.equal(headers["x-tasks-signature"], `sha256=${expected}`);
+  assert.equal(headers["x-tasks-event"], "ping");
+  assert.equal(headers["x-tasks-delivery"], String(ping.body.id));
+  assert.equal(JSON.parse(body).id, ping.body.id);
+});
+
+test("a 5xx answer is retried with backoff", async () => {
+  reset();
+  const prisma = createFakePrisma({
+    taskWebhook: [{ userId: USER_ID, url: receiverUrl, secret: "whsec_test", events: ["task.created"] }],
+    taskWebhookDelivery: [{ webhookId: 1, event: "task.created", payload: {}, status: "pending", nextAttemptAt: new Date() }],
+  });
+  const dispatcher = createWebhookDispatcher({ prisma, logger: silentLogger });
+
+  statuses.push(503);
+  assert.equal(await dispatcher.runOnce(), 1);
+  let [delivery] = prisma.$rows("taskWebhookDelivery");
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.responseStatus, 503);
+  assert.equal(delivery.nextAttemptAt.getTime() - delivery.lastAttemptAt.getTime(), 60 * 1000);
+
+  // Not due yet
+  assert.equal(await dispatcher.runOnce(new Date(Date.now() + 30 * 1000)), 0);
+
+  assert.equal(await dispatcher.runOnce(new Date(Date.now() + 61 * 1000)), 1);
+  [delivery] = prisma.$rows("taskWebhookDelivery");
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.equal(received.length, 2);
+});
+
+test("POST /webhooks/:id/deliveries/:deliveryId/redeliver sends a copy", async (t) => {
+  reset();
+  const api = await startApi({});
+  t.after(api.close);
+
+  const created = await api.request("POST", "/webhooks", { url: receiverUrl, events: ["task.created"] });
+  statuses.push(500);
+  const ping = await api.request("POST", `/webhooks/${created.body.id}/ping`);
+  assert.equal(ping.body.status, "pending");
+
+  const res = await api.request("POST", `/webhooks/${created.body.id}/deliveries/${ping.body.id}/redeliver`);
+  assert.equal(res.status, 201);
+  assert.equal(res.body.redeliveryOf, ping.body.id);
+  assert.equal(res.body.status, "delivered");
+  assert.notEqual(res.body.id, ping.body.id);
+  assert.deepEqual(received.map((r) => r.headers["x-tasks-delivery"]), [String(ping.body.id), String(res.body.id)]);
+  assert.equal(received[1].body.includes('"event":"ping"'), true);
+
+  const missing = await api.request("POST", `/webhooks/${created.body.id}/deliveries/999/redeliver`);
+  assert.equal(missing.status, 404);
+});